@@ -36,3 +36,177 @@ CREATE TABLE IF NOT EXISTS slack_channel_cursors (
   latest_ts TEXT NOT NULL,
   PRIMARY KEY (team_id, channel_id)
 );
+
+-- Audit trail for approve/reject clicks and the MCP executions they trigger.
+CREATE TABLE IF NOT EXISTS action_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+
+  event TEXT NOT NULL,             -- approved | rejected | previewed | verified | reverted | revert_extended | revert_cancelled | details_provided | auto_executed | undone
+  outcome TEXT NOT NULL,           -- success | failed | rejected
+
+  channel_id TEXT,
+  message_ts TEXT,
+
+  requested_by TEXT,               -- Slack user ID who mentioned the bot
+  actor_id TEXT,                   -- Slack user ID who clicked approve/reject
+  actor_name TEXT,
+
+  alert_type TEXT,
+  service_name TEXT,
+  parsed JSONB,
+
+  action_label TEXT,
+  command TEXT,                    -- exact gcloud command or PR URL
+  mcp_tool TEXT,
+  stdout TEXT,
+  stderr TEXT,
+  error TEXT,
+  duration_ms INT,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_action_audit_channel ON action_audit_log(channel_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_action_audit_service ON action_audit_log(service_name, created_at DESC);
+
+-- Every approver when more than one was required.
+ALTER TABLE action_audit_log ADD COLUMN IF NOT EXISTS approvers JSONB;
+
+-- Approval state machine per proposal message (one option may be approved per message):
+-- pending -> partially_approved -> executing -> done | failed   (or rejected before executing)
+CREATE TABLE IF NOT EXISTS approval_requests (
+  id BIGSERIAL PRIMARY KEY,
+  channel_id TEXT NOT NULL,
+  message_ts TEXT NOT NULL,
+  option_index INT,                               -- option being approved (set on first approval)
+
+  state TEXT NOT NULL DEFAULT 'pending',
+  required_approvals INT NOT NULL DEFAULT 1,
+  approvals JSONB NOT NULL DEFAULT '[]'::jsonb,   -- [{ user_id, user_name, at }]
+  required_approver TEXT,                         -- on-call rules: must be among the approvals before executing
+  rejected_by TEXT,
+  error TEXT,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (channel_id, message_ts)
+);
+
+-- Proposed actions behind Slack buttons. Buttons carry only the opaque id, so approval
+-- executes exactly the stored (untruncated, untampered) payload. Rows expire after a TTL.
+CREATE TABLE IF NOT EXISTS pending_actions (
+  id TEXT PRIMARY KEY,
+  kind TEXT NOT NULL,              -- approve | reject | preview | rollback | missing_fields
+  payload JSONB NOT NULL,
+  channel_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_pending_actions_expires ON pending_actions(expires_at);
+
+-- Set when a one-shot pending action (missing_fields form) has been submitted.
+ALTER TABLE pending_actions ADD COLUMN IF NOT EXISTS used_at TIMESTAMPTZ;
+
+-- Rollback executions point at the audit entry of the action they undo.
+ALTER TABLE action_audit_log ADD COLUMN IF NOT EXISTS rollback_of BIGINT REFERENCES action_audit_log(id);
+
+-- Result of a "verified" check (resolved | still_firing | unknown); outcome is success only when resolved.
+ALTER TABLE action_audit_log ADD COLUMN IF NOT EXISTS verification_status TEXT;
+
+-- Durable jobs (e.g. auto-revert of temporary scale-ups). Polled with FOR UPDATE SKIP LOCKED so
+-- several bot instances can run the scheduler. scheduled -> notified -> running -> done | failed (or cancelled)
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+  id BIGSERIAL PRIMARY KEY,
+  kind TEXT NOT NULL,              -- revert | verify
+  state TEXT NOT NULL DEFAULT 'scheduled',
+  run_at TIMESTAMPTZ NOT NULL,
+
+  channel_id TEXT NOT NULL,
+  thread_ts TEXT,                  -- thread for the heads-up and result
+  heads_up_ts TEXT,                -- ts of the heads-up message (updated when the job runs)
+
+  alert_type TEXT,
+  command TEXT NOT NULL,
+  payload JSONB,                   -- revert: { actionLabel, parsed, audit_id, ... }; verify: { plan, parsed, audit }
+
+  created_by TEXT,
+  cancelled_by TEXT,
+  extended_by TEXT,
+  error TEXT,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs(state, run_at);
+
+-- Repeated alerts grouped into one incident: same fingerprint (alert_type, project_id, instance_name,
+-- condition_name) in the same channel while occurrences keep arriving within the grouping window.
+-- Only the first occurrence gets a report and action proposal; later ones update its thread.
+CREATE TABLE IF NOT EXISTS alert_incidents (
+  id BIGSERIAL PRIMARY KEY,
+  fingerprint TEXT NOT NULL,
+  channel_id TEXT NOT NULL,
+  thread_ts TEXT NOT NULL,         -- message of the first occurrence (its thread holds the proposal)
+  status_ts TEXT,                  -- "fired N×" message in that thread, edited on each repeat
+  last_message_ts TEXT,
+
+  alert_type TEXT,
+  project_id TEXT,
+  instance_name TEXT,
+  condition_name TEXT,
+
+  occurrences INT NOT NULL DEFAULT 1,
+  first_seen_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_incidents_fingerprint ON alert_incidents(channel_id, fingerprint, last_seen_at DESC);
+
+-- Runtime switches changed from Slack (e.g. auto_execute: { "enabled": false } is the auto-execution kill switch).
+CREATE TABLE IF NOT EXISTS bot_settings (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Actions run without approval (AUTO_* decisions). Rows are reserved before running so the
+-- per-policy rate limit and the hourly blast radius hold across concurrent alerts and instances.
+-- running -> done | failed; undone_at is set when someone clicks Undo.
+CREATE TABLE IF NOT EXISTS auto_executions (
+  id BIGSERIAL PRIMARY KEY,
+  alert_type TEXT NOT NULL,
+  resource TEXT,                   -- service / MIG / instance the action touches (blast radius)
+  channel_id TEXT NOT NULL,
+  message_ts TEXT,
+  command TEXT NOT NULL,
+  state TEXT NOT NULL DEFAULT 'running',
+  audit_id BIGINT REFERENCES action_audit_log(id),
+  undone_by TEXT,
+  undone_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auto_executions_recent ON auto_executions(created_at DESC);
+
+-- Change freezes created from Slack (`freeze` command). During a freeze decide() turns AUTO_* decisions
+-- into NEEDS_APPROVAL (mode approval) or BLOCKED (mode block). Freezes from policies.json (freeze_windows)
+-- are not stored here.
+CREATE TABLE IF NOT EXISTS freeze_windows (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  mode TEXT NOT NULL DEFAULT 'approval', -- approval | block
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  alert_types TEXT[],              -- null = every policy
+  project_ids TEXT[],              -- null = every project
+  channel_id TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  ended_by TEXT,                   -- set when ended early (`freeze end <id>`)
+  ended_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_freeze_windows_ends_at ON freeze_windows(ends_at);
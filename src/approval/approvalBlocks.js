@@ -0,0 +1,47 @@
+/**
+ * Live approval status for proposal messages: a context block under the clicked button
+ * showing who has approved so far and how many approvals are still needed.
+ */
+
+const STATUS_BLOCK_ID = "approval_status";
+
+export function formatApprovers(approvals) {
+  return (approvals || []).map((a) => `<@${a.user_id}>`).join(", ");
+}
+
+/** Status line for an approval_requests row. */
+export function approvalStatusText(request, { highRisk = false } = {}) {
+  const count = request.approvals.length;
+  const needed = request.required_approvals;
+  const prefix = highRisk ? "🔐 *High-risk action* — " : "";
+  if (request.state === "executing") {
+    return `${prefix}⏳ Executing… approved by ${formatApprovers(request.approvals)} (${count}/${needed})`;
+  }
+  const oncall = request.required_approver;
+  const waitingForOncall = Boolean(oncall) && !request.approvals.some((a) => a.user_id === oncall);
+  const including = waitingForOncall ? `, including <@${oncall}> (on call)` : "";
+  const waiting = waitingForOncall && count >= needed
+    ? `waiting for <@${oncall}> (on call)`
+    : `waiting for ${needed - count} more approver(s)${including} (must be a different person)`;
+  return `${prefix}Approvals ${count}/${needed}: ✅ ${formatApprovers(request.approvals)} · ${waiting}`;
+}
+
+/**
+ * Return a copy of the message blocks with the approval status block placed after `afterBlockId`
+ * (replacing any previous status block).
+ */
+export function withApprovalStatus(blocks, afterBlockId, text) {
+  const out = (blocks || []).filter((b) => b.block_id !== STATUS_BLOCK_ID);
+  const status = { type: "context", block_id: STATUS_BLOCK_ID, elements: [{ type: "mrkdwn", text }] };
+  const idx = out.findIndex((b) => b.block_id === afterBlockId);
+  if (idx === -1) out.push(status);
+  else out.splice(idx + 1, 0, status);
+  return out;
+}
+
+const PROPOSAL_ACTION_IDS = ["approve_action", "reject_action", "provide_missing_fields"];
+
+/** Remove approve/reject (and missing-details) button rows (used while executing so nobody can click twice). */
+export function withoutApprovalButtons(blocks) {
+  return (blocks || []).filter((b) => !(b.type === "actions" && b.elements?.some((e) => PROPOSAL_ACTION_IDS.includes(e.action_id))));
+}
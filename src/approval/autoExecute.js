@@ -0,0 +1,338 @@
+/**
+ * Unattended execution of AUTO_* decisions for policies with `auto_execute.enabled`, behind guardrails:
+ * - AUTO_EXECUTE_ENABLED=true, and the runtime kill switch (`@bot autoexec off|on|status`) not off
+ * - no blackout window (policy and top-level `auto_execute.blackout`) covering the current time
+ * - per-policy `auto_execute.max_per_hour` and global `auto_execute.max_blast_radius_per_hour`
+ *   (distinct resources touched per hour), both counted in the auto_executions table
+ * - a single gcloud action (commands still go through the gcloud allowlist)
+ *
+ * When a guardrail says no, the caller falls back to the normal approval flow. The result message
+ * has an Undo button when the policy has a rollback_template.
+ */
+import { getAutoExecuteConfig } from "../parser/parserEngine.js";
+import { inDailyWindow } from "../decision/clock.js";
+import { getSetting, setSetting } from "../db/settingsRepo.js";
+import { reserveAutoExecution, finishAutoExecution, markAutoExecutionUndone, releaseAutoExecutionUndo } from "../db/autoExecutionsRepo.js";
+import { createPendingAction } from "../db/pendingActionsRepo.js";
+import { createScheduledJob } from "../db/scheduledJobsRepo.js";
+import { recordAudit, serviceNameFromParsed } from "../audit/auditLog.js";
+import { scheduleVerification } from "../verify/verification.js";
+import { isAuthorizedApprover, describeApprovers } from "./permissions.js";
+import { splitIntoBlocks } from "../slack/reportBlocks.js";
+
+export const DEFAULT_MAX_PER_HOUR = 3;
+export const DEFAULT_MAX_BLAST_RADIUS = 5;
+const KILL_SWITCH_KEY = "auto_execute";
+
+/** AUTO_REPLACE and any other AUTO_* decision. */
+export function isAutoDecision(decision) {
+  return typeof decision?.decision === "string" && decision.decision.startsWith("AUTO_");
+}
+
+/** Whether a report is meant to run unattended (AUTO_* decision from a policy that opted in). */
+export function wantsAutoExecution(report) {
+  return isAutoDecision(report?.decision) && report?.policy?.auto_execute?.enabled === true;
+}
+
+function envEnabled() {
+  return process.env.AUTO_EXECUTE_ENABLED === "true";
+}
+
+/** Kill switch state: { enabled, updated_by, updated_at }; enabled unless someone turned it off. */
+export async function getKillSwitch() {
+  const setting = await getSetting(KILL_SWITCH_KEY);
+  return { enabled: setting?.value?.enabled !== false, updated_by: setting?.updated_by ?? null, updated_at: setting?.updated_at ?? null };
+}
+
+/**
+ * The one action to run for a report: its single action_templates entry, or the legacy
+ * action_template. Null when the policy offers several actions (a human picks) or none.
+ */
+function autoAction(report) {
+  const options = report.actionOptions;
+  if (options?.length > 1) return null;
+  const source = options?.length === 1 ? options[0] : report;
+  return source.action
+    ? { command: source.action.trim(), rollbackCommand: source.rollbackCommand, revertCommand: source.revertCommand, revertAfterSec: source.revertAfterSec }
+    : null;
+}
+
+/**
+ * Why a report's action can't run unattended right now, or null if it can (rate limits aside;
+ * those are checked when the run is reserved).
+ */
+export async function autoExecutionBlocker(report, now = new Date()) {
+  if (!envEnabled()) return "auto-execution is disabled (AUTO_EXECUTE_ENABLED)";
+  if (report.actionOptions?.length > 1) return "the policy offers several actions; pick one";
+  if (!autoAction(report)?.command.startsWith("gcloud")) return "only single gcloud commands run automatically";
+
+  const blackout = [...(report.policy.auto_execute.blackout || []), ...(getAutoExecuteConfig().blackout || [])]
+    .find((window) => inDailyWindow(window, now));
+  if (blackout) return `blackout window ${blackout.days?.length ? `${blackout.days.join("/")} ` : ""}${blackout.from}-${blackout.to}`;
+
+  try {
+    const killSwitch = await getKillSwitch();
+    if (!killSwitch.enabled) return `auto-execution is paused${killSwitch.updated_by ? ` by <@${killSwitch.updated_by}>` : ""}`;
+  } catch (err) {
+    // Without Postgres neither the kill switch nor the rate limits can be checked
+    return `auto-execution state unavailable (${err.message})`;
+  }
+  return null;
+}
+
+function resultText({ report, command, execution, verification, revertJob }) {
+  const output = (execution.stdout || execution.output || "").trim();
+  const truncated = output.length > 1500 ? output.substring(0, 1500) + "\n... (truncated)" : output;
+  let text = `🤖 *Executed automatically* (${report.decision.decision}, no approval needed)\n\n${report.summary || ""}`;
+  text += `\n\n*Command:*\n\`\`\`${command}\`\`\`\n*Result:* ${execution.success ? "✅ Success" : "❌ Failed"}`;
+  if (truncated) text += `\n*Output:*\n\`\`\`${truncated}\`\`\``;
+  if (execution.error) text += `\n*Error:* ${execution.error}`;
+  if (verification) text += `\n\n🔎 Verifying in ${verification.delaySec}s; the result will be posted in this thread.`;
+  if (revertJob) text += `\n\n⏰ Auto-revert scheduled for ${new Date(revertJob.run_at).toISOString()}.`;
+  return text;
+}
+
+/** Context block shown above the approval buttons when an AUTO_* decision was held back. */
+export function autoBlockedNote(reason) {
+  return { type: "context", elements: [{ type: "mrkdwn", text: `⚠️ Not run automatically: ${reason}. Approval needed.` }] };
+}
+
+/**
+ * Run a report's action without approval if every guardrail allows it, and post the outcome.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.client - Slack WebClient
+ * @param {Object} opts.report - formatReport() result with an AUTO_* decision
+ * @param {string} opts.channel_id
+ * @param {string} opts.message_ts - The alert / request message (the outcome is posted in its thread)
+ * @param {string} [opts.requested_by] - Slack user who asked (null for alerts posted by bots)
+ * @param {Object[]} [opts.extraBlocks] - Appended to the outcome message (e.g. "Why this decision?")
+ * @returns {Promise<{ executed: true } | { blocked: string }>}
+ */
+export async function tryAutoExecute({ client, report, channel_id, message_ts, requested_by = null, extraBlocks = [] }) {
+  const { policy, parsed } = report;
+  const held = (reason) => {
+    console.log(`[auto-execute] ${policy.alert_type}: not run automatically (${reason})`);
+    return { blocked: reason };
+  };
+  const blocker = await autoExecutionBlocker(report);
+  if (blocker) return held(blocker);
+  const { command, rollbackCommand, revertCommand, revertAfterSec } = autoAction(report);
+
+  const maxPerHour = policy.auto_execute.max_per_hour ?? DEFAULT_MAX_PER_HOUR;
+  const maxResources = getAutoExecuteConfig().max_blast_radius_per_hour ?? DEFAULT_MAX_BLAST_RADIUS;
+  let reservation;
+  try {
+    reservation = await reserveAutoExecution({
+      alert_type: policy.alert_type,
+      resource: serviceNameFromParsed(parsed),
+      channel_id,
+      message_ts,
+      command,
+      maxPerHour,
+      maxResources
+    });
+  } catch (err) {
+    console.warn("[auto-execute] Failed to reserve auto-execution:", err?.message || err);
+    return held(`rate limits unavailable (${err.message})`);
+  }
+  if (reservation.status === "rate_limited") {
+    return held(`rate limit: ${reservation.count} automatic ${policy.alert_type} action(s) in the last hour (max ${maxPerHour})`);
+  }
+  if (reservation.status === "blast_radius") {
+    return held(`blast radius: ${reservation.count} resources already changed automatically in the last hour (max ${maxResources})`);
+  }
+
+  console.log(`[auto-execute] ${policy.alert_type}: running ${command}`);
+  const startedAt = Date.now();
+  let execution;
+  try {
+    const { executeMCPGcloudCommand } = await import("../report/mcpClient.js");
+    execution = await executeMCPGcloudCommand(command, { alertType: policy.alert_type });
+  } catch (err) {
+    execution = { success: false, error: err.message };
+  }
+  const auditId = await recordAudit({
+    event: "auto_executed",
+    outcome: execution.success ? "success" : "failed",
+    channel_id,
+    message_ts,
+    requested_by,
+    actor_name: "auto-execute",
+    alert_type: policy.alert_type,
+    parsed,
+    action_label: "Auto-execute",
+    command: execution.command || command,
+    mcp_tool: "execute_gcloud_command",
+    stdout: execution.stdout ?? execution.output ?? null,
+    stderr: execution.stderr ?? null,
+    error: execution.error ?? null,
+    duration_ms: Date.now() - startedAt,
+  });
+  await finishAutoExecution(reservation.row.id, { success: execution.success, audit_id: auditId })
+    .catch((err) => console.warn("[auto-execute] Failed to update auto_executions:", err?.message || err));
+
+  const verification = execution.success
+    ? await scheduleVerification({ channel: channel_id, thread_ts: message_ts, policy, parsed, audit: { channel_id, message_ts, requested_by } })
+    : null;
+  let revertJob = null;
+  if (execution.success && revertCommand && revertAfterSec > 0) {
+    revertJob = await createScheduledJob({
+      kind: "revert",
+      delaySec: revertAfterSec,
+      channel_id,
+      thread_ts: message_ts,
+      alert_type: policy.alert_type,
+      command: revertCommand,
+      payload: { actionLabel: "Auto-execute", parsed, audit_id: auditId ?? null },
+      created_by: requested_by
+    }).catch((err) => {
+      console.warn("[scheduler] Failed to schedule auto-revert:", err?.message || err);
+      return null;
+    });
+  }
+
+  const text = resultText({ report, command, execution, verification, revertJob });
+  const blocks = splitIntoBlocks(text);
+  if (execution.success && rollbackCommand) {
+    blocks.push({
+      type: "actions",
+      elements: [{
+        type: "button",
+        text: { type: "plain_text", text: "↩ Undo" },
+        style: "danger",
+        value: await createPendingAction({
+          kind: "undo_auto",
+          channel_id,
+          payload: { command: rollbackCommand, original_command: command, auto_execution_id: reservation.row.id, audit_id: auditId ?? null, parsed, message_ts }
+        }),
+        action_id: "undo_auto_action"
+      }]
+    });
+  }
+  blocks.push(...extraBlocks);
+  await client.chat.postMessage({ channel: channel_id, thread_ts: message_ts, text, blocks });
+  return { executed: true };
+}
+
+/**
+ * What to post for a policy report, shared by every path that posts one (mention, channel
+ * subscription, missing-details modal): an AUTO_* decision of an opted-in policy runs right away
+ * when the guardrails allow; otherwise the report needs approval buttons for NEEDS_APPROVAL, or
+ * when auto-execution was held back (then `note` says why, to go above the report).
+ *
+ * @param {Object} opts - As for tryAutoExecute()
+ * @returns {Promise<{ executed: true } | { executed: false, needsApproval: boolean, note: Object|null }>}
+ */
+export async function autoExecuteOrHold({ client, report, channel_id, message_ts, requested_by = null, extraBlocks = [] }) {
+  let blocked = null;
+  if (wantsAutoExecution(report)) {
+    const auto = await tryAutoExecute({ client, report, channel_id, message_ts, requested_by, extraBlocks });
+    if (auto.executed) return { executed: true };
+    blocked = auto.blocked;
+  }
+  const needsApproval = Boolean((report.decision?.decision === "NEEDS_APPROVAL" || blocked) && report.action);
+  return { executed: false, needsApproval, note: needsApproval && blocked ? autoBlockedNote(blocked) : null };
+}
+
+/**
+ * Undo button: run the policy's rollback command for an auto-executed action. The clicker must be
+ * an allowed approver of the policy; the click itself is the approval.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.client - Slack WebClient
+ * @param {Object} opts.body - Bolt action payload
+ * @param {Object} opts.value - undo_auto pending action payload
+ * @param {Object} [opts.policy]
+ */
+export async function undoAutoExecution({ client, body, value, policy = null }) {
+  const channel = body.channel.id;
+  const userId = body.user?.id;
+  if (!(await isAuthorizedApprover({ client, userId, approvers: policy?.approvers ?? null }))) {
+    await client.chat.postEphemeral({
+      channel,
+      user: userId,
+      text: `🚫 You're not allowed to undo *${policy?.name || value.parsed?.alert_type || "this"}* actions.\nAllowed approvers: ${describeApprovers(policy?.approvers ?? null)}`
+    });
+    return;
+  }
+  if (!(await markAutoExecutionUndone(value.auto_execution_id, userId))) {
+    await client.chat.postEphemeral({ channel, user: userId, text: "This action has already been undone." });
+    return;
+  }
+
+  console.log(`[auto-execute] Undo of auto-execution ${value.auto_execution_id} by ${body.user?.name || userId}: ${value.command}`);
+  const startedAt = Date.now();
+  let execution;
+  try {
+    const { executeMCPGcloudCommand } = await import("../report/mcpClient.js");
+    execution = await executeMCPGcloudCommand(value.command, { alertType: value.parsed?.alert_type ?? null });
+  } catch (err) {
+    execution = { success: false, error: err.message };
+  }
+  if (!execution.success) {
+    // Let someone try again
+    await releaseAutoExecutionUndo(value.auto_execution_id).catch(() => {});
+  }
+  await recordAudit({
+    event: "undone",
+    outcome: execution.success ? "success" : "failed",
+    channel_id: channel,
+    message_ts: value.message_ts ?? body.message.ts,
+    actor_id: userId ?? null,
+    actor_name: body.user?.name || body.user?.username || null,
+    alert_type: value.parsed?.alert_type ?? null,
+    parsed: value.parsed ?? null,
+    action_label: "Undo auto-execute",
+    command: value.command,
+    mcp_tool: "execute_gcloud_command",
+    stdout: execution.stdout ?? execution.output ?? null,
+    stderr: execution.stderr ?? null,
+    error: execution.error ?? null,
+    duration_ms: Date.now() - startedAt,
+    rollback_of: value.audit_id ?? null,
+  });
+
+  const note = execution.success
+    ? `↩ Undone by <@${userId}>: \`${value.command}\``
+    : `❌ Undo by <@${userId}> failed: ${execution.error || "unknown error"}. The Undo button still works.`;
+  const blocks = (body.message.blocks || []).filter((b) => execution.success ? !(b.type === "actions" && b.elements?.some((e) => e.action_id === "undo_auto_action")) : true);
+  await client.chat.update({
+    channel,
+    ts: body.message.ts,
+    text: body.message.text,
+    blocks: [...blocks.filter((b) => b.block_id !== "undo_status"), { type: "context", block_id: "undo_status", elements: [{ type: "mrkdwn", text: note }] }]
+  });
+}
+
+/** "autoexec on|off|status" (also "auto-execute ..."); null for anything else. */
+export function parseAutoExecRequest(text) {
+  const m = String(text || "").trim().match(/^auto-?exec(?:ute)?(?:\s+(on|off|status))?$/i);
+  return m ? { command: (m[1] || "status").toLowerCase() } : null;
+}
+
+function autoExecAdmins() {
+  return (process.env.AUTO_EXECUTE_ADMINS || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * Kill switch from Slack. Anyone can turn auto-execution off; turning it back on is limited to
+ * AUTO_EXECUTE_ADMINS when that is set.
+ * @returns {Promise<string>} reply text
+ */
+export async function handleAutoExecRequest({ request, user_id }) {
+  if (request.command === "off" || request.command === "on") {
+    const admins = autoExecAdmins();
+    if (request.command === "on" && admins.length > 0 && !admins.includes(user_id)) {
+      return "🚫 Only AUTO_EXECUTE_ADMINS can turn auto-execution back on.";
+    }
+    await setSetting(KILL_SWITCH_KEY, { enabled: request.command === "on" }, user_id);
+    console.log(`[auto-execute] Turned ${request.command} by ${user_id}`);
+  }
+  const killSwitch = await getKillSwitch();
+  const by = killSwitch.updated_by ? ` (set by <@${killSwitch.updated_by}>${killSwitch.updated_at ? ` at ${new Date(killSwitch.updated_at).toISOString()}` : ""})` : "";
+  if (!envEnabled()) return `🤖 Auto-execution is *disabled* on this deployment (AUTO_EXECUTE_ENABLED is not true). Kill switch: ${killSwitch.enabled ? "on" : "off"}${by}.`;
+  return killSwitch.enabled
+    ? `🤖 Auto-execution is *on*${by}. Turn it off with \`autoexec off\`.`
+    : `🛑 Auto-execution is *off*${by}. AUTO_* decisions get approval buttons until \`autoexec on\`.`;
+}
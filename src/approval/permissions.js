@@ -0,0 +1,136 @@
+/**
+ * Approval permissions declared per policy:
+ *
+ *   "approvers": {
+ *     "users": ["U0123ABC"],
+ *     "user_groups": ["@mcoc-release", "S0456DEF"],
+ *     "channels": ["#mcoc-oncall"],
+ *     "required_approvals": 1
+ *   }
+ *
+ * A user may approve if they match ANY of users / user_groups / channels.
+ * Policies without "approvers" keep the old behaviour (anyone can approve, one click).
+ * decision_rules entries may set "required_approvals" to demand more distinct approvers,
+ * or "high_risk": true for the two-person rule (e.g. production instances).
+ */
+import { resolveChannelForPost } from "../slack/channels.js";
+import { withSlackRetry } from "../slack/retry.js";
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const groupIdCache = new Map(); // handle -> { id, at }
+const membersCache = new Map(); // "group:S123" | "channel:C123" -> { members: Set, at }
+
+function fresh(entry) {
+  return entry && Date.now() - entry.at < CACHE_TTL_MS;
+}
+
+async function resolveUserGroupId(client, ref) {
+  const handle = String(ref).trim().replace(/^@/, "");
+  if (/^S[A-Z0-9]{4,}$/.test(handle)) return handle;
+  const cached = groupIdCache.get(handle);
+  if (fresh(cached)) return cached.id;
+  const res = await withSlackRetry(() => client.usergroups.list({ include_disabled: false }), { operation: "usergroups.list" });
+  const group = res.usergroups?.find((g) => g.handle === handle || g.name === handle);
+  groupIdCache.set(handle, { id: group?.id ?? null, at: Date.now() });
+  return group?.id ?? null;
+}
+
+async function getUserGroupMembers(client, groupId) {
+  const key = `group:${groupId}`;
+  const cached = membersCache.get(key);
+  if (fresh(cached)) return cached.members;
+  const res = await withSlackRetry(() => client.usergroups.users.list({ usergroup: groupId }), { operation: "usergroups.users.list" });
+  const members = new Set(res.users || []);
+  membersCache.set(key, { members, at: Date.now() });
+  return members;
+}
+
+async function getChannelMembers(client, channelId) {
+  const key = `channel:${channelId}`;
+  const cached = membersCache.get(key);
+  if (fresh(cached)) return cached.members;
+  const members = new Set();
+  let cursor;
+  do {
+    const res = await withSlackRetry(
+      () => client.conversations.members({ channel: channelId, limit: 1000, cursor }),
+      { operation: "conversations.members" }
+    );
+    for (const m of res.members || []) members.add(m);
+    cursor = res.response_metadata?.next_cursor;
+  } while (cursor);
+  membersCache.set(key, { members, at: Date.now() });
+  return members;
+}
+
+/**
+ * Who may approve a proposal: the policy's approvers, plus the on-call found for a
+ * `"require_approval_from": "oncall"` rule (who must be one of them, see requiredApprover()).
+ */
+export function effectiveApprovers(policy, decision) {
+  const oncall = decision?.oncall?.user_id;
+  const approvers = policy?.approvers ?? null;
+  if (!oncall || !approvers) return approvers;
+  return { ...approvers, users: [...(approvers.users || []), oncall] };
+}
+
+/** Slack user whose approval is required before executing (the on-call for on-call rules), or null. */
+export function requiredApprover(decision) {
+  return decision?.oncall?.user_id ?? null;
+}
+
+/**
+ * Number of distinct approvers needed: decision rule override, then policy, then 1.
+ * High-risk decisions (decision_rules entry with "high_risk": true) always need at least two people.
+ * On-call rules don't lower this; the on-call's approval is required on top (requiredApprover()).
+ */
+export function requiredApprovals(policy, decision) {
+  const n = decision?.required_approvals ?? policy?.approvers?.required_approvals ?? 1;
+  const required = Math.max(1, parseInt(n, 10) || 1);
+  return decision?.high_risk ? Math.max(2, required) : required;
+}
+
+/** Human-readable list of who may approve, for the "not authorized" reply. */
+export function describeApprovers(approvers) {
+  if (!approvers) return "anyone";
+  const parts = [
+    ...(approvers.users || []).map((u) => `<@${u}>`),
+    ...(approvers.user_groups || []).map((g) => (String(g).startsWith("S") ? `<!subteam^${g}>` : `@${String(g).replace(/^@/, "")}`)),
+    ...(approvers.channels || []).map((c) => (String(c).startsWith("C") ? `members of <#${c}>` : `members of #${String(c).replace(/^#/, "")}`)),
+  ];
+  return parts.length ? parts.join(", ") : "nobody (approvers list is empty)";
+}
+
+/**
+ * Check whether a Slack user may approve actions for a policy.
+ * Lookup failures (missing usergroups:read scope, unknown channel) deny rather than allow.
+ *
+ * @param {{ client: import("@slack/web-api").WebClient, userId: string, approvers?: Object }} opts
+ * @returns {Promise<boolean>}
+ */
+export async function isAuthorizedApprover({ client, userId, approvers }) {
+  if (!approvers) return true;
+  if (!userId) return false;
+
+  if ((approvers.users || []).includes(userId)) return true;
+
+  for (const ref of approvers.user_groups || []) {
+    try {
+      const groupId = await resolveUserGroupId(client, ref);
+      if (groupId && (await getUserGroupMembers(client, groupId)).has(userId)) return true;
+    } catch (err) {
+      console.warn(`[approval] User group lookup failed for ${ref}:`, err?.data?.error || err?.message || err);
+    }
+  }
+
+  for (const ref of approvers.channels || []) {
+    try {
+      const channelId = await resolveChannelForPost(client, ref);
+      if (channelId && (await getChannelMembers(client, channelId)).has(userId)) return true;
+    } catch (err) {
+      console.warn(`[approval] Channel membership lookup failed for ${ref}:`, err?.data?.error || err?.message || err);
+    }
+  }
+
+  return false;
+}
@@ -0,0 +1,29 @@
+import { insertAuditEntry } from "../db/auditLogRepo.js";
+
+/** Best-effort service identifier for filtering the audit log (service, MIG or instance). */
+export function serviceNameFromParsed(parsed) {
+  if (!parsed) return null;
+  return parsed.service_name || parsed.serviceName || parsed.mig_name || parsed.instance_name || null;
+}
+
+/** MCP tool name for an approved action: "MCP:tool" templates, otherwise direct gcloud execution. */
+export function mcpToolForAction({ actionTemplate, action }) {
+  if (actionTemplate && actionTemplate.startsWith("MCP:")) return actionTemplate.substring(4);
+  if (action && String(action).trim().startsWith("gcloud")) return "execute_gcloud_command";
+  return null;
+}
+
+/**
+ * Write an audit entry without ever failing the caller (Slack flow must continue if Postgres is down).
+ */
+export async function recordAudit(entry) {
+  try {
+    return await insertAuditEntry({
+      ...entry,
+      service_name: entry.service_name ?? serviceNameFromParsed(entry.parsed),
+    });
+  } catch (err) {
+    console.warn("[audit] Failed to write audit entry:", err?.message || err);
+    return null;
+  }
+}
@@ -0,0 +1,52 @@
+import { listAuditEntries } from "../db/auditLogRepo.js";
+
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Parse "audit", "audit all", "audit service <name>" (optionally followed by a number for the limit).
+ * Returns null when the text is not an audit command.
+ */
+export function parseAuditRequest(text) {
+  if (!text || typeof text !== "string") return null;
+  const m = text.trim().match(/^audit(?:\s+(all|service\s+(\S+)))?(?:\s+(\d+))?$/i);
+  if (!m) return null;
+  const limit = m[3] ? parseInt(m[3], 10) : DEFAULT_LIMIT;
+  if (m[2]) return { scope: "service", service: m[2], limit };
+  if (m[1]) return { scope: "all", service: null, limit };
+  return { scope: "channel", service: null, limit };
+}
+
+function formatEntry(e) {
+  const when = new Date(e.created_at).toISOString().replace("T", " ").substring(0, 16) + " UTC";
+  const icon = e.outcome === "success" ? "✅" : e.outcome === "rejected" ? "🚫" : "❌";
+  const who = e.actor_id ? `<@${e.actor_id}>` : (e.actor_name || "unknown");
+  const requester = e.requested_by ? ` (requested by <@${e.requested_by}>)` : "";
+  const command = e.command ? `\n    \`${e.command.length > 150 ? e.command.substring(0, 150) + "..." : e.command}\`` : "";
+  const duration = e.duration_ms != null ? ` · ${(e.duration_ms / 1000).toFixed(1)}s` : "";
+  const tool = e.mcp_tool ? ` · ${e.mcp_tool}` : "";
+  const rollback = e.rollback_of ? ` · ↩ rollback of #${e.rollback_of}` : "";
+  const verification = e.verification_status ? ` (${e.verification_status.replace("_", " ")})` : "";
+  return `${icon} ${when} · *${e.alert_type || "unknown"}*${e.service_name ? ` · ${e.service_name}` : ""} · #${e.id} ${e.event}${verification} by ${who}${requester}${rollback}${tool}${duration}${command}`;
+}
+
+/**
+ * Build the Slack reply for an audit command.
+ * @param {{ channel_id: string, request: ReturnType<typeof parseAuditRequest> }} opts
+ */
+export async function buildAuditMessage({ channel_id, request }) {
+  const filters = {
+    channel_id: request.scope === "channel" ? channel_id : null,
+    service: request.scope === "service" ? request.service : null,
+    limit: request.limit,
+  };
+  const entries = await listAuditEntries(filters);
+
+  const scopeText = request.scope === "service"
+    ? `service \`${request.service}\``
+    : request.scope === "all" ? "all channels" : "this channel";
+
+  if (entries.length === 0) {
+    return `📜 *Audit log* (${scopeText})\n\nNo approve/reject decisions recorded yet.`;
+  }
+  return `📜 *Audit log* (${scopeText}, last ${entries.length})\n\n${entries.map(formatEntry).join("\n")}`;
+}
@@ -2,7 +2,7 @@ import "dotenv/config";
 import pkg from "@slack/bolt";
 const { App } = pkg;
 import { UserResolver } from "./slack/userResolver.js";
-import { normalizeSlackTextBase, normalizeSlackText } from "./slack/normalize.js";
+import { normalizeSlackTextBase, normalizeSlackText, flattenSlackMessage } from "./slack/normalize.js";
 import { retrieveContexts } from "./rag/retrieve.js";
 import { buildRagPrompt } from "./rag/prompt.js";
 import { ollamaChat } from "./rag/ollama.js";
@@ -71,7 +71,7 @@ app.event("app_mention", async ({ event, client, logger }) => {
 
     const rawText = event.text || "";
     const stripped = stripLeadingBotMention(rawText);
-    const question = await normalizeSlackText(stripped, resolver);
+    const question = await normalizeSlackText(flattenSlackMessage({ ...event, text: stripped }).text, resolver);
 
     if (!question) {
       await client.chat.postMessage({
@@ -0,0 +1,102 @@
+import { withClient } from "./pool.js";
+
+/** Terminal or in-flight states: no further approvals/rejections accepted. */
+const CLOSED_STATES = ["executing", "done", "failed", "rejected"];
+
+async function inTransaction(client, fn) {
+  await client.query("BEGIN");
+  try {
+    const out = await fn();
+    await client.query("COMMIT");
+    return out;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  }
+}
+
+async function lockRequest(client, { channel_id, message_ts, required_approvals, required_approver = null }) {
+  await client.query(
+    `
+    INSERT INTO approval_requests (channel_id, message_ts, required_approvals, required_approver)
+    VALUES ($1,$2,$3,$4)
+    ON CONFLICT (channel_id, message_ts) DO NOTHING;
+    `,
+    [channel_id, message_ts, required_approvals, required_approver]
+  );
+  const res = await client.query(
+    `SELECT * FROM approval_requests WHERE channel_id=$1 AND message_ts=$2 FOR UPDATE`,
+    [channel_id, message_ts]
+  );
+  return res.rows[0];
+}
+
+/**
+ * Apply one user's approval under a row lock, so concurrent clicks can't both start execution.
+ * With `required_approver` (the on-call), enough approvals only execute once that user is among them.
+ *
+ * status:
+ * - "execute":   enough distinct approvals (including required_approver); state moved to executing (caller must run the action and call finishRequest)
+ * - "recorded":  approval stored; state partially_approved
+ * - "duplicate": this user already approved; nothing changed
+ * - "conflict":  another option of the same message is already collecting approvals
+ * - "closed":    request already executing/done/failed/rejected
+ *
+ * @returns {Promise<{ status: string, request: Object }>}
+ */
+export async function approveRequest({ channel_id, message_ts, option_index = 0, required_approvals = 1, required_approver = null, user_id, user_name = null }) {
+  return withClient((client) => inTransaction(client, async () => {
+    const request = await lockRequest(client, { channel_id, message_ts, required_approvals, required_approver });
+
+    if (CLOSED_STATES.includes(request.state)) {
+      return { status: "closed", request };
+    }
+    if (request.option_index !== null && request.option_index !== option_index) {
+      return { status: "conflict", request };
+    }
+    if (request.approvals.some((a) => a.user_id === user_id)) {
+      return { status: "duplicate", request };
+    }
+
+    const approvals = [...request.approvals, { user_id, user_name, at: new Date().toISOString() }];
+    const required = Math.max(request.required_approvals, required_approvals);
+    const requiredApprover = request.required_approver ?? required_approver;
+    const ready = approvals.length >= required && (!requiredApprover || approvals.some((a) => a.user_id === requiredApprover));
+    const state = ready ? "executing" : "partially_approved";
+    const res = await client.query(
+      `
+      UPDATE approval_requests
+      SET approvals=$2::jsonb, state=$3, option_index=$4, required_approvals=$5, updated_at=now()
+      WHERE id=$1
+      RETURNING *;
+      `,
+      [request.id, JSON.stringify(approvals), state, option_index, required]
+    );
+    return { status: state === "executing" ? "execute" : "recorded", request: res.rows[0] };
+  }));
+}
+
+/** Reject unless already executing/finished. @returns {Promise<{ status: "rejected"|"closed", request: Object }>} */
+export async function rejectRequest({ channel_id, message_ts, user_id }) {
+  return withClient((client) => inTransaction(client, async () => {
+    const request = await lockRequest(client, { channel_id, message_ts, required_approvals: 1 });
+    if (CLOSED_STATES.includes(request.state)) {
+      return { status: "closed", request };
+    }
+    const res = await client.query(
+      `UPDATE approval_requests SET state='rejected', rejected_by=$2, updated_at=now() WHERE id=$1 RETURNING *`,
+      [request.id, user_id]
+    );
+    return { status: "rejected", request: res.rows[0] };
+  }));
+}
+
+/** Move an executing request to done/failed. */
+export async function finishRequest(id, { success, error = null }) {
+  return withClient(async (client) => {
+    await client.query(
+      `UPDATE approval_requests SET state=$2, error=$3, updated_at=now() WHERE id=$1 AND state='executing'`,
+      [id, success ? "done" : "failed", error]
+    );
+  });
+}
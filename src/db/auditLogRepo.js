@@ -0,0 +1,103 @@
+import { withClient } from "./pool.js";
+
+/**
+ * Insert one audit entry for an approve/reject click (and the execution it triggered).
+ */
+export async function insertAuditEntry(entry) {
+  const {
+    event,
+    outcome,
+    channel_id,
+    message_ts,
+    requested_by,
+    actor_id,
+    actor_name,
+    alert_type,
+    service_name,
+    parsed,
+    action_label,
+    command,
+    mcp_tool,
+    stdout,
+    stderr,
+    error,
+    duration_ms,
+    approvers,
+    rollback_of,
+    verification_status,
+  } = entry;
+
+  return withClient(async (client) => {
+    const res = await client.query(
+      `
+      INSERT INTO action_audit_log (
+        event, outcome,
+        channel_id, message_ts,
+        requested_by, actor_id, actor_name,
+        alert_type, service_name, parsed,
+        action_label, command, mcp_tool,
+        stdout, stderr, error, duration_ms,
+        approvers, rollback_of, verification_status
+      )
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10::jsonb,$11,$12,$13,$14,$15,$16,$17,$18::jsonb,$19,$20)
+      RETURNING id;
+      `,
+      [
+        event,
+        outcome,
+        channel_id ?? null,
+        message_ts ?? null,
+        requested_by ?? null,
+        actor_id ?? null,
+        actor_name ?? null,
+        alert_type ?? null,
+        service_name ?? null,
+        parsed ? JSON.stringify(parsed) : null,
+        action_label ?? null,
+        command ?? null,
+        mcp_tool ?? null,
+        stdout ?? null,
+        stderr ?? null,
+        error ?? null,
+        duration_ms ?? null,
+        approvers ? JSON.stringify(approvers) : null,
+        rollback_of ?? null,
+        verification_status ?? null,
+      ]
+    );
+    return res.rows[0]?.id;
+  });
+}
+
+/**
+ * Most recent audit entries, optionally filtered by channel and/or service (case-insensitive substring).
+ */
+export async function listAuditEntries({ channel_id = null, service = null, limit = 20 } = {}) {
+  return withClient(async (client) => {
+    const where = [];
+    const params = [];
+    if (channel_id) {
+      params.push(channel_id);
+      where.push(`channel_id = $${params.length}`);
+    }
+    if (service) {
+      params.push(`%${service}%`);
+      where.push(`service_name ILIKE $${params.length}`);
+    }
+    params.push(Math.min(Math.max(parseInt(limit, 10) || 20, 1), 200));
+
+    const res = await client.query(
+      `
+      SELECT id, event, outcome, channel_id, message_ts, requested_by, actor_id, actor_name,
+             alert_type, service_name, parsed, action_label, command, mcp_tool,
+             stdout, stderr, error, duration_ms, approvers, rollback_of, verification_status, created_at
+      FROM action_audit_log
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY created_at DESC
+      LIMIT $${params.length};
+      `,
+      params
+    );
+    return res.rows;
+  });
+}
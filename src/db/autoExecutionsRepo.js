@@ -0,0 +1,81 @@
+import { withClient } from "./pool.js";
+
+async function inTransaction(client, fn) {
+  await client.query("BEGIN");
+  try {
+    const out = await fn();
+    await client.query("COMMIT");
+    return out;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  }
+}
+
+/**
+ * Reserve an auto-execution if the hourly limits allow it. The limits are checked and the row
+ * inserted under one advisory lock, so simultaneous alerts can't both take the last slot.
+ *
+ * status:
+ * - "reserved":     row inserted (state running); the caller runs the action and calls finishAutoExecution
+ * - "rate_limited": the policy already ran `maxPerHour` actions in the last hour
+ * - "blast_radius": the action would touch a resource beyond the `maxResources` distinct ones of the last hour
+ *
+ * @returns {Promise<{ status: string, row?: Object, count?: number }>}
+ */
+export async function reserveAutoExecution({ alert_type, resource, channel_id, message_ts, command, maxPerHour, maxResources }) {
+  return withClient((client) => inTransaction(client, async () => {
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('auto_executions'))`);
+    const recent = await client.query(
+      `
+      SELECT
+        count(*) FILTER (WHERE alert_type=$1)::int AS policy_count,
+        array_remove(array_agg(DISTINCT resource), NULL) AS resources
+      FROM auto_executions
+      WHERE created_at > now() - interval '1 hour' AND state <> 'failed';
+      `,
+      [alert_type]
+    );
+    const { policy_count, resources } = recent.rows[0];
+    if (policy_count >= maxPerHour) return { status: "rate_limited", count: policy_count };
+    if (resource && !resources.includes(resource) && resources.length >= maxResources) {
+      return { status: "blast_radius", count: resources.length };
+    }
+    const res = await client.query(
+      `
+      INSERT INTO auto_executions (alert_type, resource, channel_id, message_ts, command)
+      VALUES ($1,$2,$3,$4,$5)
+      RETURNING *;
+      `,
+      [alert_type, resource, channel_id, message_ts, command]
+    );
+    return { status: "reserved", row: res.rows[0] };
+  }));
+}
+
+export async function finishAutoExecution(id, { success, audit_id = null }) {
+  return withClient(async (client) => {
+    await client.query(
+      `UPDATE auto_executions SET state=$2, audit_id=$3 WHERE id=$1`,
+      [id, success ? "done" : "failed", audit_id]
+    );
+  });
+}
+
+/** Mark an auto-execution undone; null if it was already undone (the Undo button was clicked twice). */
+export async function markAutoExecutionUndone(id, undone_by) {
+  return withClient(async (client) => {
+    const res = await client.query(
+      `UPDATE auto_executions SET undone_by=$2, undone_at=now() WHERE id=$1 AND undone_at IS NULL RETURNING *`,
+      [id, undone_by]
+    );
+    return res.rows[0] || null;
+  });
+}
+
+/** Clear the undone mark after a failed undo, so it can be retried. */
+export async function releaseAutoExecutionUndo(id) {
+  return withClient(async (client) => {
+    await client.query(`UPDATE auto_executions SET undone_by=NULL, undone_at=NULL WHERE id=$1`, [id]);
+  });
+}
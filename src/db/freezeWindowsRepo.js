@@ -0,0 +1,36 @@
+import { withClient } from "./pool.js";
+
+export async function createFreezeWindow({ name, mode = "approval", starts_at, ends_at, alert_types = null, project_ids = null, channel_id = null, created_by = null }) {
+  return withClient(async (client) => {
+    const res = await client.query(
+      `
+      INSERT INTO freeze_windows (name, mode, starts_at, ends_at, alert_types, project_ids, channel_id, created_by)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+      RETURNING *;
+      `,
+      [name, mode, starts_at, ends_at, alert_types, project_ids, channel_id, created_by]
+    );
+    return res.rows[0];
+  });
+}
+
+/** Freezes that are active or upcoming (not over and not ended early), soonest first. */
+export async function listFreezeWindows() {
+  return withClient(async (client) => {
+    const res = await client.query(
+      `SELECT * FROM freeze_windows WHERE ends_at > now() AND ended_at IS NULL ORDER BY starts_at, id`
+    );
+    return res.rows;
+  });
+}
+
+/** End a freeze now; null if there is no such freeze or it is already over. */
+export async function endFreezeWindow(id, ended_by) {
+  return withClient(async (client) => {
+    const res = await client.query(
+      `UPDATE freeze_windows SET ended_by=$2, ended_at=now() WHERE id=$1 AND ended_at IS NULL AND ends_at > now() RETURNING *`,
+      [id, ended_by]
+    );
+    return res.rows[0] || null;
+  });
+}
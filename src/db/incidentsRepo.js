@@ -0,0 +1,61 @@
+import { withClient } from "./pool.js";
+
+async function inTransaction(client, fn) {
+  await client.query("BEGIN");
+  try {
+    const out = await fn();
+    await client.query("COMMIT");
+    return out;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  }
+}
+
+/**
+ * Record one occurrence of an alert. Joins the channel's incident with the same fingerprint when its
+ * last occurrence is within `windowSec`, else opens a new incident. An advisory lock on the fingerprint
+ * keeps two simultaneous posts of the same alert from both opening one.
+ *
+ * @returns {Promise<{ incident: Object, repeat: boolean }>}
+ */
+export async function recordAlertOccurrence({ fingerprint, channel_id, message_ts, parsed, windowSec }) {
+  return withClient((client) => inTransaction(client, async () => {
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`${channel_id}:${fingerprint}`]);
+    const open = await client.query(
+      `
+      SELECT id FROM alert_incidents
+      WHERE channel_id=$1 AND fingerprint=$2 AND last_seen_at > now() - make_interval(secs => $3)
+      ORDER BY last_seen_at DESC
+      LIMIT 1;
+      `,
+      [channel_id, fingerprint, windowSec]
+    );
+    if (open.rows[0]) {
+      const res = await client.query(
+        `
+        UPDATE alert_incidents SET occurrences=occurrences+1, last_seen_at=now(), last_message_ts=$2
+        WHERE id=$1
+        RETURNING *;
+        `,
+        [open.rows[0].id, message_ts]
+      );
+      return { incident: res.rows[0], repeat: true };
+    }
+    const res = await client.query(
+      `
+      INSERT INTO alert_incidents (fingerprint, channel_id, thread_ts, last_message_ts, alert_type, project_id, instance_name, condition_name)
+      VALUES ($1,$2,$3,$3,$4,$5,$6,$7)
+      RETURNING *;
+      `,
+      [fingerprint, channel_id, message_ts, parsed.alert_type ?? null, parsed.project_id ?? null, parsed.instance_name ?? null, parsed.condition_name ?? null]
+    );
+    return { incident: res.rows[0], repeat: false };
+  }));
+}
+
+export async function setIncidentStatusTs(id, status_ts) {
+  return withClient(async (client) => {
+    await client.query(`UPDATE alert_incidents SET status_ts=$2 WHERE id=$1`, [id, status_ts]);
+  });
+}
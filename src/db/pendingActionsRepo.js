@@ -0,0 +1,56 @@
+import { randomBytes } from "crypto";
+import { withClient } from "./pool.js";
+
+/** Default lifetime of a proposed action (PENDING_ACTION_TTL_SEC, default 24h). */
+export function pendingActionTtlSec() {
+  return parseInt(process.env.PENDING_ACTION_TTL_SEC || "86400", 10);
+}
+
+/**
+ * Store a proposed action and return its opaque id (the only thing that goes into the button value).
+ * Also purges rows that expired more than a week ago.
+ */
+export async function createPendingAction({ kind, payload, channel_id = null, ttlSec = pendingActionTtlSec() }) {
+  const id = randomBytes(16).toString("base64url");
+  return withClient(async (client) => {
+    await client.query(
+      `
+      INSERT INTO pending_actions (id, kind, payload, channel_id, expires_at)
+      VALUES ($1, $2, $3::jsonb, $4, now() + make_interval(secs => $5));
+      `,
+      [id, kind, JSON.stringify(payload), channel_id, ttlSec]
+    );
+    await client.query(`DELETE FROM pending_actions WHERE expires_at < now() - interval '7 days'`);
+    return id;
+  });
+}
+
+/**
+ * Load a proposed action by id.
+ * @returns {Promise<null | { id: string, kind: string, payload: Object, channel_id: string|null, expired: boolean, used: boolean }>}
+ */
+export async function getPendingAction(id) {
+  if (!id || typeof id !== "string") return null;
+  return withClient(async (client) => {
+    const res = await client.query(
+      `SELECT id, kind, payload, channel_id, expires_at < now() AS expired, used_at IS NOT NULL AS used FROM pending_actions WHERE id=$1`,
+      [id]
+    );
+    return res.rows[0] || null;
+  });
+}
+
+/** Mark a one-shot pending action used; false if it already was (e.g. the form was submitted twice). */
+export async function markPendingActionUsed(id) {
+  return withClient(async (client) => {
+    const res = await client.query(`UPDATE pending_actions SET used_at=now() WHERE id=$1 AND used_at IS NULL RETURNING id`, [id]);
+    return res.rowCount > 0;
+  });
+}
+
+/** Clear the used mark after a failed submission, so it can be retried. */
+export async function releasePendingAction(id) {
+  return withClient(async (client) => {
+    await client.query(`UPDATE pending_actions SET used_at=NULL WHERE id=$1`, [id]);
+  });
+}
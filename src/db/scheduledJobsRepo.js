@@ -0,0 +1,147 @@
+import { withClient } from "./pool.js";
+
+/** States in which a job can still be extended or cancelled. */
+const OPEN_STATES = ["scheduled", "notified"];
+
+/** Schedule a job to run after `delaySec`. @returns {Promise<Object>} the new row */
+export async function createScheduledJob({ kind, delaySec, channel_id, thread_ts = null, alert_type = null, command, payload = {}, created_by = null }) {
+  return withClient(async (client) => {
+    const res = await client.query(
+      `
+      INSERT INTO scheduled_jobs (kind, run_at, channel_id, thread_ts, alert_type, command, payload, created_by)
+      VALUES ($1, now() + make_interval(secs => $2), $3, $4, $5, $6, $7::jsonb, $8)
+      RETURNING *;
+      `,
+      [kind, delaySec, channel_id, thread_ts, alert_type, command, JSON.stringify(payload), created_by]
+    );
+    return res.rows[0];
+  });
+}
+
+/**
+ * Claim scheduled revert jobs whose heads-up is due (run_at within `leadSec`) and mark them notified.
+ * Other kinds (verify) run without a heads-up. SKIP LOCKED lets concurrent schedulers claim disjoint rows.
+ */
+export async function claimHeadsUps(leadSec, limit = 20) {
+  return withClient(async (client) => {
+    const res = await client.query(
+      `
+      UPDATE scheduled_jobs SET state='notified', updated_at=now()
+      WHERE id IN (
+        SELECT id FROM scheduled_jobs
+        WHERE state='scheduled' AND kind='revert' AND run_at <= now() + make_interval(secs => $1)
+        ORDER BY run_at
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *;
+      `,
+      [leadSec, limit]
+    );
+    return res.rows;
+  });
+}
+
+/** Claim due jobs and move them to running; updated_at marks the start of the run (see failStuckJobs()). */
+export async function claimDueJobs(limit = 20) {
+  return withClient(async (client) => {
+    const res = await client.query(
+      `
+      UPDATE scheduled_jobs SET state='running', updated_at=now()
+      WHERE id IN (
+        SELECT id FROM scheduled_jobs
+        WHERE state = ANY($1) AND run_at <= now()
+        ORDER BY run_at
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *;
+      `,
+      [OPEN_STATES, limit]
+    );
+    return res.rows;
+  });
+}
+
+export async function setHeadsUpTs(id, heads_up_ts) {
+  return withClient(async (client) => {
+    await client.query(`UPDATE scheduled_jobs SET heads_up_ts=$2, updated_at=now() WHERE id=$1`, [id, heads_up_ts]);
+  });
+}
+
+/**
+ * Move a running job to done/failed.
+ * @returns {Promise<boolean>} false if the job was no longer running (e.g. already failed by failStuckJobs())
+ */
+export async function finishScheduledJob(id, { success, error = null }) {
+  return withClient(async (client) => {
+    const res = await client.query(
+      `UPDATE scheduled_jobs SET state=$2, error=$3, updated_at=now() WHERE id=$1 AND state='running'`,
+      [id, success ? "done" : "failed", error]
+    );
+    return res.rowCount > 0;
+  });
+}
+
+/**
+ * Fail jobs that have been running for more than `timeoutSec`: the instance running them stopped
+ * before finishing. They are not re-run, since a revert may already have been applied.
+ * @returns {Promise<Object[]>} the failed rows
+ */
+export async function failStuckJobs(timeoutSec, limit = 20) {
+  return withClient(async (client) => {
+    const res = await client.query(
+      `
+      UPDATE scheduled_jobs SET state='failed', error=$3, updated_at=now()
+      WHERE id IN (
+        SELECT id FROM scheduled_jobs
+        WHERE state='running' AND updated_at < now() - make_interval(secs => $1)
+        ORDER BY updated_at
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *;
+      `,
+      [timeoutSec, limit, `still running after ${timeoutSec}s (the scheduler stopped before finishing it)`]
+    );
+    return res.rows;
+  });
+}
+
+/**
+ * Push run_at back by `seconds` (from the later of now and the current run_at) and re-arm the heads-up.
+ * @returns {Promise<Object|null>} updated row, or null if the job is no longer open
+ */
+export async function extendScheduledJob(id, seconds, user_id) {
+  return withClient(async (client) => {
+    const res = await client.query(
+      `
+      UPDATE scheduled_jobs
+      SET run_at = GREATEST(run_at, now()) + make_interval(secs => $2),
+          state='scheduled', extended_by=$3, updated_at=now()
+      WHERE id=$1 AND state = ANY($4)
+      RETURNING *;
+      `,
+      [id, seconds, user_id, OPEN_STATES]
+    );
+    return res.rows[0] || null;
+  });
+}
+
+/** @returns {Promise<Object|null>} cancelled row, or null if the job is no longer open */
+export async function cancelScheduledJob(id, user_id) {
+  return withClient(async (client) => {
+    const res = await client.query(
+      `UPDATE scheduled_jobs SET state='cancelled', cancelled_by=$2, updated_at=now() WHERE id=$1 AND state = ANY($3) RETURNING *`,
+      [id, user_id, OPEN_STATES]
+    );
+    return res.rows[0] || null;
+  });
+}
+
+export async function getScheduledJob(id) {
+  return withClient(async (client) => {
+    const res = await client.query(`SELECT * FROM scheduled_jobs WHERE id=$1`, [id]);
+    return res.rows[0] || null;
+  });
+}
@@ -0,0 +1,22 @@
+import { withClient } from "./pool.js";
+
+/** Value of a runtime setting, or null when it was never set. */
+export async function getSetting(key) {
+  return withClient(async (client) => {
+    const res = await client.query(`SELECT value, updated_by, updated_at FROM bot_settings WHERE key=$1`, [key]);
+    return res.rows[0] || null;
+  });
+}
+
+export async function setSetting(key, value, updated_by = null) {
+  return withClient(async (client) => {
+    await client.query(
+      `
+      INSERT INTO bot_settings (key, value, updated_by)
+      VALUES ($1, $2::jsonb, $3)
+      ON CONFLICT (key) DO UPDATE SET value=EXCLUDED.value, updated_by=EXCLUDED.updated_by, updated_at=now();
+      `,
+      [key, JSON.stringify(value), updated_by]
+    );
+  });
+}
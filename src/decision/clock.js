@@ -0,0 +1,62 @@
+/**
+ * Wall-clock time in DECISION_TIMEZONE (IANA name, default UTC), for time-of-day decision
+ * conditions and recurring windows such as auto-execution blackouts.
+ */
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+function clockFormat() {
+  const options = { hour: "numeric", minute: "numeric", hourCycle: "h23", weekday: "short" };
+  try {
+    return new Intl.DateTimeFormat("en-US", { ...options, timeZone: process.env.DECISION_TIMEZONE || "UTC" });
+  } catch {
+    console.warn(`[decide] Invalid DECISION_TIMEZONE "${process.env.DECISION_TIMEZONE}", using UTC`);
+    return new Intl.DateTimeFormat("en-US", { ...options, timeZone: "UTC" });
+  }
+}
+
+/** { hour, minute, weekday } of `now` in DECISION_TIMEZONE; weekday is "mon".."sun". */
+export function localClock(now = new Date()) {
+  const parts = Object.fromEntries(clockFormat().formatToParts(new Date(now)).map((p) => [p.type, p.value]));
+  const weekday = parts.weekday?.toLowerCase();
+  return {
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.includes(weekday) ? weekday : null
+  };
+}
+
+/** "HH:MM" -> minutes since midnight, or null. */
+export function parseClockTime(value) {
+  const m = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value ?? ""));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+/**
+ * Whether `now` falls in a recurring window { from: "HH:MM", to: "HH:MM", days?: ["mon", ...] }.
+ * A window whose `to` is before `from` runs past midnight (its day is the day it starts).
+ */
+export function inDailyWindow(window, now = new Date()) {
+  const from = parseClockTime(window.from);
+  const to = parseClockTime(window.to);
+  if (from === null || to === null) return false;
+  const clock = localClock(now);
+  const minutes = clock.hour * 60 + clock.minute;
+  const days = window.days?.length ? window.days.map((d) => d.toLowerCase()) : WEEKDAYS;
+  if (from <= to) return days.includes(clock.weekday) && minutes >= from && minutes < to;
+  // Overnight: the evening part belongs to today, the early-morning part to yesterday's window
+  const yesterday = WEEKDAYS[(WEEKDAYS.indexOf(clock.weekday) + 6) % 7];
+  return (days.includes(clock.weekday) && minutes >= from) || (days.includes(yesterday) && minutes < to);
+}
+
+/** Validation problems of a recurring window definition, prefixed with `at`. */
+export function dailyWindowErrors(window, at) {
+  if (!window || typeof window !== "object" || Array.isArray(window)) return [`${at}: must be an object`];
+  const errors = [];
+  for (const key of ["from", "to"]) {
+    if (parseClockTime(window[key]) === null) errors.push(`${at}.${key}: must be a time "HH:MM"`);
+  }
+  if (window.days !== undefined && (!Array.isArray(window.days) || window.days.some((d) => !WEEKDAYS.includes(String(d).toLowerCase())))) {
+    errors.push(`${at}.days: must be a list of ${WEEKDAYS.join(", ")}`);
+  }
+  return errors;
+}
@@ -1,93 +1,238 @@
+import { localClock } from "./clock.js";
+
 /**
  * Decision Engine
  * Reads decision rules from policy configuration
  * Supports:
  * - default_decision: Default decision if no rules match
  * - decision_rules: Array of conditional rules
- *   - condition: Object with field conditions (e.g., { instance_name: { startsWith: "prefix" } })
+ *   - condition: Object with field conditions (e.g., { instance_name: { startsWith: "prefix" } }),
+ *     combinable with all / any / not; "context.*" keys test where and when the alert was raised
  *   - decision: Decision to return if condition matches
+ *   - required_approvals: (optional) number of distinct approvers needed when this rule matches
+ *   - high_risk: (optional) two-person rule: a second, different approver is required before executing
+ *   - require_approval_from: (optional) "oncall": the current on-call of `oncall_schedule` (rule,
+ *     then policy, then ONCALL_DEFAULT_SCHEDULE) must be among the approvers; buildPolicyResult() looks them up
+ *
+ * During a change freeze (context.freezes, see freeze/freezeCalendar.js) an AUTO_* decision becomes
+ * NEEDS_APPROVAL, or BLOCKED for a freeze with mode "block"; the result then carries the freeze.
+ *
+ * The result carries a trace of how it was reached (see DecisionTrace), rendered by
+ * formatDecisionTrace() in report/formatReport.js.
+ *
+ * @param {Object} parsed
+ * @param {Object} [policy]
+ * @param {Object} [context] - Request context: { channel_id, channel, user, now, freezes }
+ * @returns {{ decision: string, required_approvals?: number, high_risk?: boolean, require_approval_from?: string,
+ *   oncall_schedule?: string, freeze?: AppliedFreeze, trace: DecisionTrace }}
  */
-export function decide(parsed, policy = null) {
+export function decide(parsed, policy = null, context = {}) {
   // If no policy provided, return NO_ACTION
   if (!policy) {
-    return { decision: "NO_ACTION" };
+    return { decision: "NO_ACTION", trace: { matched_rule: null, default_used: false, rules: [] } };
   }
 
+  const rules = [];
   // Check if policy has decision_rules
   if (policy.decision_rules && Array.isArray(policy.decision_rules)) {
+    const values = conditionValues(parsed, context);
     // Evaluate each rule in order
-    for (const rule of policy.decision_rules) {
-      if (evaluateCondition(rule.condition, parsed)) {
-        return { decision: rule.decision };
+    for (const [index, rule] of policy.decision_rules.entries()) {
+      const checks = [];
+      const matched = evaluateCondition(rule.condition, values, checks);
+      rules.push({ index, decision: rule.decision, matched, checks });
+      if (matched) {
+        // required_approvals / high_risk feed the approval flow (see approval/permissions.js)
+        const result = { decision: rule.decision };
+        if (rule.required_approvals) result.required_approvals = rule.required_approvals;
+        if (rule.high_risk) result.high_risk = true;
+        if (rule.require_approval_from) {
+          result.require_approval_from = rule.require_approval_from;
+          const schedule = rule.oncall_schedule ?? policy.oncall_schedule;
+          if (schedule) result.oncall_schedule = schedule;
+        }
+        result.trace = { matched_rule: index, default_used: false, rules };
+        return applyFreeze(result, parsed, policy, context);
       }
     }
   }
 
-  // Use default_decision from policy if available
-  if (policy.default_decision) {
-    return { decision: policy.default_decision };
-  }
+  // Use default_decision from policy if available (NO_ACTION when the policy has none)
+  return applyFreeze({
+    decision: policy.default_decision || "NO_ACTION",
+    trace: { matched_rule: null, default_used: true, default_decision: policy.default_decision ?? null, rules }
+  }, parsed, policy, context);
+}
+
+/** Freeze modes: what an AUTO_* decision becomes during the freeze. */
+export const FREEZE_MODES = { approval: "NEEDS_APPROVAL", block: "BLOCKED" };
+
+/**
+ * The freeze covering this alert at context.now, or null. A freeze limited to alert_types /
+ * project_ids only covers those; when several apply, a "block" freeze wins.
+ */
+function activeFreeze(parsed, policy, context) {
+  const now = context.now ? new Date(context.now) : new Date();
+  const covering = (context.freezes || []).filter((f) =>
+    new Date(f.starts_at) <= now && now < new Date(f.ends_at) &&
+    (!f.alert_types?.length || f.alert_types.includes(policy.alert_type)) &&
+    (!f.project_ids?.length || f.project_ids.includes(parsed?.project_id))
+  );
+  return covering.find((f) => f.mode === "block") || covering[0] || null;
+}
 
-  // Fallback to NO_ACTION
-  return { decision: "NO_ACTION" };
+function applyFreeze(result, parsed, policy, context) {
+  if (!result.decision.startsWith("AUTO_")) return result;
+  const freeze = activeFreeze(parsed, policy, context);
+  if (!freeze) return result;
+  const mode = Object.hasOwn(FREEZE_MODES, freeze.mode) ? freeze.mode : "approval";
+  return {
+    ...result,
+    decision: FREEZE_MODES[mode],
+    freeze: {
+      id: freeze.id ?? null,
+      name: freeze.name,
+      mode,
+      source: freeze.source ?? null,
+      created_by: freeze.created_by ?? null,
+      starts_at: new Date(freeze.starts_at).toISOString(),
+      ends_at: new Date(freeze.ends_at).toISOString(),
+      downgraded_from: result.decision
+    }
+  };
 }
 
 /**
- * Evaluate a condition against parsed data
- * Supports:
- * - startsWith: String field starts with value
- * - equals: Field equals value
- * - contains: String field contains value
- * - matches: String field matches regex pattern
+ * @typedef {Object} AppliedFreeze
+ * @property {string|number|null} id - freeze_windows id (Slack freezes), null for policies.json ones
+ * @property {string} name
+ * @property {"approval"|"block"} mode
+ * @property {"slack"|"file"|null} source
+ * @property {string|null} created_by - Slack user ID (Slack freezes) or the file's created_by text
+ * @property {string} starts_at - ISO time
+ * @property {string} ends_at - ISO time
+ * @property {string} downgraded_from - The AUTO_* decision the rules produced
  */
-function evaluateCondition(condition, parsed) {
-  if (!condition || typeof condition !== "object") {
-    return false;
+
+/**
+ * @typedef {Object} DecisionTrace
+ * @property {number|null} matched_rule - Index of the decision_rules entry that decided, or null
+ * @property {boolean} default_used - No rule matched; default_decision (or NO_ACTION) applied
+ * @property {string|null} [default_decision] - The policy's default_decision when default_used
+ * @property {Array<{ index: number, decision: string, matched: boolean, checks: DecisionCheck[] }>} rules - Rules
+ *   evaluated, in order (rules after the matching one aren't evaluated)
+ */
+
+/**
+ * @typedef {Object} DecisionCheck
+ * @property {string} path - Field or context key, prefixed with the combinators it sits in ("any[1].project_id")
+ * @property {string} operator - Operator; "equals" for plain values and null
+ * @property {*} expected - Operator argument
+ * @property {*} actual - Value the field had (null when missing)
+ * @property {boolean} passed
+ */
+
+/** Combinators: { all: [cond, ...] }, { any: [cond, ...] }, { not: cond }. */
+export const CONDITION_COMBINATORS = ["all", "any", "not"];
+
+/** Keys available as "context.<name>" in conditions. */
+export const CONTEXT_FIELDS = ["channel", "channel_id", "user", "hour", "weekday"];
+
+function isMissing(value) {
+  return value === null || value === undefined;
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") return Number(value);
+  return NaN;
+}
+
+/** Compare numerically; a value that isn't a number never satisfies a comparison. */
+function compare(value, test) {
+  const number = toNumber(value);
+  return Number.isFinite(number) && test(number);
+}
+
+/**
+ * Field operators. Each gets the field's value (never null/undefined, see evaluateField) and the
+ * operator's argument.
+ */
+const OPERATORS = {
+  startsWith: (value, prefix) => String(value).startsWith(prefix),
+  equals: (value, expected) => value === expected,
+  contains: (value, part) => String(value).includes(part),
+  matches: (value, pattern) => new RegExp(pattern).test(String(value)),
+  gt: (value, limit) => compare(value, (n) => n > limit),
+  gte: (value, limit) => compare(value, (n) => n >= limit),
+  lt: (value, limit) => compare(value, (n) => n < limit),
+  lte: (value, limit) => compare(value, (n) => n <= limit),
+  between: (value, [min, max]) => compare(value, (n) => n >= min && n <= max),
+  in: (value, list) => list.includes(value),
+  notIn: (value, list) => !list.includes(value)
+};
+
+/** Operators understood in a field condition object (all of them must hold). */
+export const CONDITION_OPERATORS = [...Object.keys(OPERATORS), "exists"];
+
+/** Parsed fields plus "context.*" values (hour / weekday in DECISION_TIMEZONE, default UTC). */
+function conditionValues(parsed, context) {
+  const clock = localClock(context.now ? new Date(context.now) : new Date());
+  return {
+    ...parsed,
+    "context.channel": context.channel ? String(context.channel).replace(/^#/, "") : null,
+    "context.channel_id": context.channel_id ?? null,
+    "context.user": context.user ?? null,
+    "context.hour": clock.hour,
+    "context.weekday": clock.weekday
+  };
+}
+
+/**
+ * Evaluate one field's condition: a plain value (equality), null (field must be missing) or an
+ * operator object. A missing field satisfies only `exists: false` (and null).
+ * Every operator tried is reported through record(operator, expected, passed).
+ */
+function evaluateField(fieldCondition, value, record) {
+  if (isMissing(fieldCondition)) return record("equals", null, isMissing(value));
+  if (typeof fieldCondition !== "object" || Array.isArray(fieldCondition)) {
+    return record("equals", fieldCondition, value === fieldCondition);
   }
 
-  // Check each field condition
-  for (const [field, fieldCondition] of Object.entries(condition)) {
-    const fieldValue = parsed[field];
-    
-    if (fieldCondition === null || fieldCondition === undefined) {
-      // Check if field is null/undefined
-      if (fieldValue === null || fieldValue === undefined) {
-        continue;
-      } else {
-        return false;
-      }
+  const operators = Object.keys(fieldCondition);
+  if (operators.length === 0) return false;
+  return operators.every((op) => {
+    const arg = fieldCondition[op];
+    if (op === "exists") return record(op, arg, arg === !isMissing(value));
+    if (!OPERATORS[op]) {
+      // policyValidator rejects these at load time; a rule that can't be evaluated never matches
+      console.warn(`[decide] Unknown condition operator "${op}"`);
+      return record(op, arg, false);
     }
+    return record(op, arg, !isMissing(value) && OPERATORS[op](value, arg));
+  });
+}
 
-    if (typeof fieldCondition === "object") {
-      // Handle object conditions (e.g., { startsWith: "prefix" })
-      if (fieldCondition.startsWith) {
-        if (!fieldValue || !String(fieldValue).startsWith(fieldCondition.startsWith)) {
-          return false;
-        }
-      } else if (fieldCondition.equals) {
-        if (fieldValue !== fieldCondition.equals) {
-          return false;
-        }
-      } else if (fieldCondition.contains) {
-        if (!fieldValue || !String(fieldValue).includes(fieldCondition.contains)) {
-          return false;
-        }
-      } else if (fieldCondition.matches) {
-        const regex = new RegExp(fieldCondition.matches);
-        if (!fieldValue || !regex.test(String(fieldValue))) {
-          return false;
-        }
-      } else {
-        // Unknown condition type
-        return false;
-      }
-    } else {
-      // Simple equality check
-      if (fieldValue !== fieldCondition) {
-        return false;
-      }
-    }
+/**
+ * Evaluate a condition against parsed data (and context). Every key must hold:
+ * - all / any / not: nested conditions
+ * - field or "context.<name>": see evaluateField
+ * Evaluated checks are appended to `checks` (evaluation stops at the first failing key).
+ */
+function evaluateCondition(condition, values, checks = [], path = "") {
+  if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+    return false;
   }
 
-  return true;
+  return Object.entries(condition).every(([key, fieldCondition]) => {
+    const nested = (c, i) => evaluateCondition(c, values, checks, `${path}${key}[${i}].`);
+    if (key === "all") return Array.isArray(fieldCondition) && fieldCondition.every(nested);
+    if (key === "any") return Array.isArray(fieldCondition) && fieldCondition.some(nested);
+    if (key === "not") return !evaluateCondition(fieldCondition, values, checks, `${path}not.`);
+    const actual = values[key] ?? null;
+    return evaluateField(fieldCondition, values[key], (operator, expected, passed) => {
+      checks.push({ path: `${path}${key}`, operator, expected, actual, passed });
+      return passed;
+    });
+  });
 }
@@ -0,0 +1,180 @@
+/**
+ * Change freeze calendar: windows during which decide() turns AUTO_* decisions into NEEDS_APPROVAL
+ * (mode "approval") or BLOCKED (mode "block"). Freezes come from policies.json (freeze_windows) and
+ * from the Slack `freeze` command (freeze_windows table).
+ */
+import { getFreezeWindows } from "../parser/parserEngine.js";
+import { createFreezeWindow, listFreezeWindows, endFreezeWindow } from "../db/freezeWindowsRepo.js";
+import { FREEZE_MODES } from "../decision/decide.js";
+
+const DEFAULT_NAME = "Change freeze";
+const DURATION_UNITS = { m: 60, h: 3600, d: 86400 };
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2})?(?:Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+/** Slack freeze row / policies.json entry -> the shape decide() reads from context.freezes. */
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    mode: row.mode,
+    starts_at: new Date(row.starts_at),
+    ends_at: new Date(row.ends_at),
+    alert_types: row.alert_types ?? null,
+    project_ids: row.project_ids ?? null,
+    created_by: row.created_by ?? null,
+    source: "slack"
+  };
+}
+
+function fromFile(entry) {
+  return {
+    id: null,
+    name: entry.name || DEFAULT_NAME,
+    mode: entry.mode || "approval",
+    starts_at: new Date(entry.start),
+    ends_at: new Date(entry.end),
+    alert_types: entry.alert_types ?? null,
+    project_ids: entry.project_ids ?? null,
+    created_by: entry.created_by ?? null,
+    source: "file"
+  };
+}
+
+/**
+ * Current and upcoming freezes from both sources. When Postgres is unavailable only the
+ * policies.json freezes apply (and a warning is logged).
+ *
+ * @param {Function} [list] - listFreezeWindows(); replaced in tests
+ */
+export async function loadFreezes(list = listFreezeWindows) {
+  const now = new Date();
+  const fromConfig = getFreezeWindows().map(fromFile).filter((f) => f.ends_at > now);
+  try {
+    return [...fromConfig, ...(await list()).map(fromRow)];
+  } catch (err) {
+    console.warn(`[freeze] Could not load Slack freezes, using policies.json only: ${err.message}`);
+    return fromConfig;
+  }
+}
+
+function formatTime(value) {
+  return new Date(value).toISOString().replace("T", " ").substring(0, 16) + " UTC";
+}
+
+function describeCreator(freeze) {
+  if (!freeze.created_by) return freeze.source === "file" ? "policies.json" : "unknown";
+  return freeze.source === "slack" ? `<@${freeze.created_by}>` : freeze.created_by;
+}
+
+function describeScope(freeze) {
+  const parts = [];
+  if (freeze.alert_types?.length) parts.push(`alert types ${freeze.alert_types.join(", ")}`);
+  if (freeze.project_ids?.length) parts.push(`projects ${freeze.project_ids.join(", ")}`);
+  return parts.length ? parts.join("; ") : "all policies";
+}
+
+function parseTime(value, { endOfDay = false } = {}) {
+  if (!DATE_RE.test(value)) return null;
+  // Times without an offset are UTC; a date alone as the end of a range covers that whole day
+  const iso = value.includes("T") && !/(?:Z|[+-]\d{2}:?\d{2})$/i.test(value) ? `${value}Z` : value;
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && !value.includes("T")) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+}
+
+/**
+ * Parse a freeze command. Returns null when the text is not one.
+ *
+ *   freeze | freeze list
+ *   freeze end <id> | unfreeze <id>
+ *   freeze <4h|30m|2d> [block|approval] [alert_type=a,b] [project=p,q] [name...]
+ *   freeze <2026-11-27> to <2026-11-30T06:00> [block|approval] [alert_type=...] [project=...] [name...]
+ *
+ * @returns {null | { command: "list" } | { command: "end", id: number } | { command: "create", ... } | { error: string }}
+ */
+export function parseFreezeRequest(text, now = new Date()) {
+  const words = String(text || "").trim().split(/\s+/);
+  const first = words[0]?.toLowerCase();
+  if (first === "unfreeze") {
+    return /^\d+$/.test(words[1] || "") && words.length === 2 ? { command: "end", id: Number(words[1]) } : { error: "Usage: `unfreeze <id>`" };
+  }
+  if (first !== "freeze") return null;
+  if (words.length === 1 || (words.length === 2 && words[1].toLowerCase() === "list")) return { command: "list" };
+  if (words[1].toLowerCase() === "end") {
+    return /^\d+$/.test(words[2] || "") && words.length === 3 ? { command: "end", id: Number(words[2]) } : { error: "Usage: `freeze end <id>`" };
+  }
+
+  let rest;
+  let starts_at;
+  let ends_at;
+  const duration = /^(\d+)([mhd])$/i.exec(words[1]);
+  if (duration) {
+    starts_at = new Date(now);
+    ends_at = new Date(now.getTime() + Number(duration[1]) * DURATION_UNITS[duration[2].toLowerCase()] * 1000);
+    rest = words.slice(2);
+  } else if (words[2]?.toLowerCase() === "to" && words[3]) {
+    starts_at = parseTime(words[1]);
+    ends_at = parseTime(words[3], { endOfDay: true });
+    if (!starts_at || !ends_at) return { error: "Dates look like `2026-11-27` or `2026-11-27T18:00` (UTC unless an offset is given)." };
+    rest = words.slice(4);
+  } else {
+    return { error: "Usage: `freeze <4h|30m|2d> [block] [name]` or `freeze <start> to <end> [block] [name]`" };
+  }
+  if (ends_at <= starts_at) return { error: "The freeze must end after it starts." };
+  if (ends_at <= now) return { error: "That freeze would already be over." };
+
+  let mode = "approval";
+  let alert_types = null;
+  let project_ids = null;
+  const nameWords = [];
+  for (const word of rest) {
+    const option = /^(alert_types?|projects?)=(.+)$/i.exec(word);
+    if (Object.hasOwn(FREEZE_MODES, word.toLowerCase()) && nameWords.length === 0) mode = word.toLowerCase();
+    else if (option && option[1].toLowerCase().startsWith("alert")) alert_types = option[2].split(",").filter(Boolean);
+    else if (option) project_ids = option[2].split(",").filter(Boolean);
+    else nameWords.push(word);
+  }
+  return { command: "create", mode, starts_at, ends_at, alert_types, project_ids, name: nameWords.join(" ") || DEFAULT_NAME };
+}
+
+function freezeAdmins() {
+  return (process.env.FREEZE_ADMINS || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+function listLine(freeze, now) {
+  const id = freeze.id ? `#${freeze.id} ` : "";
+  const state = freeze.starts_at <= now ? " · *active*" : "";
+  return `• ${id}"${freeze.name}" · ${freeze.mode} · ${formatTime(freeze.starts_at)} → ${formatTime(freeze.ends_at)} · ${describeScope(freeze)} · created by ${describeCreator(freeze)}${state}`;
+}
+
+/**
+ * Run a parsed freeze command from Slack. Anyone can add a freeze; ending one early is limited
+ * to FREEZE_ADMINS when that is set. Freezes from policies.json are changed in the file.
+ * @returns {Promise<string>} reply text
+ */
+export async function handleFreezeRequest({ request, user_id, channel_id }) {
+  if (request.error) return request.error;
+
+  if (request.command === "create") {
+    const row = await createFreezeWindow({ ...request, channel_id, created_by: user_id });
+    const freeze = fromRow(row);
+    console.log(`[freeze] #${row.id} "${row.name}" (${row.mode}) created by ${user_id}: ${formatTime(row.starts_at)} → ${formatTime(row.ends_at)}`);
+    const effect = freeze.mode === "block" ? "are blocked" : "need approval";
+    return `🧊 Freeze #${row.id} "${freeze.name}" created: AUTO_* decisions ${effect} from ${formatTime(freeze.starts_at)} until ${formatTime(freeze.ends_at)} (${describeScope(freeze)}). End it early with \`freeze end ${row.id}\`.`;
+  }
+
+  if (request.command === "end") {
+    const admins = freezeAdmins();
+    if (admins.length > 0 && !admins.includes(user_id)) return "🚫 Only FREEZE_ADMINS can end a freeze early.";
+    const row = await endFreezeWindow(request.id, user_id);
+    if (!row) return `No active or upcoming freeze #${request.id}. Freezes from policies.json are changed in the file.`;
+    console.log(`[freeze] #${row.id} "${row.name}" ended by ${user_id}`);
+    return `✅ Freeze #${row.id} "${row.name}" ended by <@${user_id}>.`;
+  }
+
+  const now = new Date();
+  const freezes = await loadFreezes();
+  if (freezes.length === 0) return "No active or upcoming change freezes. Add one with `freeze 4h [block] [name]`.";
+  return `🧊 *Change freezes*\n${freezes.map((f) => listLine(f, now)).join("\n")}`;
+}
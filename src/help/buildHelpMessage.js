@@ -1,43 +1,7 @@
-import { readFileSync, existsSync } from "fs";
-import { join, resolve, dirname } from "path";
-import { fileURLToPath } from "url";
 import { retrieveContexts } from "../rag/retrieve.js";
 import { buildRagPrompt } from "../rag/prompt.js";
 import { ollamaChat } from "../rag/ollama.js";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-let helpTriggersCache = null;
-
-function getHelpTriggers() {
-  if (helpTriggersCache) return helpTriggersCache;
-  const policiesPath = process.env.POLICIES_PATH || resolve(__dirname, "../../config/policies.json");
-  if (!existsSync(policiesPath)) {
-    helpTriggersCache = [
-      { type: "regex", pattern: "^(?:--help|-h|help)$" },
-      { type: "regex", pattern: "who are you" },
-      { type: "regex", pattern: "^(?:man|manual)$" },
-    ];
-    return helpTriggersCache;
-  }
-  try {
-    const data = JSON.parse(readFileSync(policiesPath, "utf-8"));
-    helpTriggersCache = data.help_triggers || [
-      { type: "regex", pattern: "^(?:--help|-h|help)$" },
-      { type: "regex", pattern: "who are you" },
-      { type: "regex", pattern: "^(?:man|manual)$" },
-    ];
-    return helpTriggersCache;
-  } catch {
-    helpTriggersCache = [
-      { type: "regex", pattern: "^(?:--help|-h|help)$" },
-      { type: "regex", pattern: "who are you" },
-      { type: "regex", pattern: "^(?:man|manual)$" },
-    ];
-    return helpTriggersCache;
-  }
-}
+import { getHelpTriggers, getPolicies } from "../parser/parserEngine.js";
 
 export function isHelpRequest(text) {
   if (!text || typeof text !== "string") return false;
@@ -53,13 +17,8 @@ export function isHelpRequest(text) {
 }
 
 function getSupportedPoliciesSummary() {
-  const policiesPath = process.env.POLICIES_PATH || resolve(__dirname, "../../config/policies.json");
-  if (!existsSync(policiesPath)) {
-    return ["• Scaling intent detection"];
-  }
   try {
-    const data = JSON.parse(readFileSync(policiesPath, "utf-8"));
-    const policies = data.policies || [];
+    const policies = getPolicies();
     // Only include policies we actually support (scaling intent for now; others may be disabled)
     const supported = policies.filter((p) => {
       const type = p.alert_type;
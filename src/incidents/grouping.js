@@ -0,0 +1,56 @@
+/**
+ * Incident grouping: parsed alerts with the same fingerprint (alert_type, project_id, instance_name,
+ * condition_name) in one channel form a single incident while they keep firing within the window
+ * (INCIDENT_WINDOW_SEC, default 30 minutes). Only the first occurrence gets a report and proposal.
+ */
+import { createHash } from "crypto";
+import { recordAlertOccurrence } from "../db/incidentsRepo.js";
+
+const FINGERPRINT_FIELDS = ["alert_type", "project_id", "instance_name", "condition_name"];
+
+/** Default grouping window in seconds. */
+export function incidentWindowSec() {
+  return parseInt(process.env.INCIDENT_WINDOW_SEC || "1800", 10);
+}
+
+/**
+ * Fingerprint of a parsed alert, or null when it names no resource (requests such as SCALEPRREQUEST,
+ * or alerts whose fields weren't captured, are never grouped).
+ */
+export function alertFingerprint(parsed) {
+  if (!parsed?.alert_type) return null;
+  // An empty field is the same as a missing one, so "" and null don't split an incident
+  const values = FINGERPRINT_FIELDS.map((field) => (parsed[field] === "" ? null : parsed[field] ?? null));
+  if (values.slice(1).every((v) => v === null)) return null;
+  return createHash("sha256").update(JSON.stringify(values)).digest("hex").slice(0, 32);
+}
+
+/**
+ * Record an alert occurrence. Returns null when the alert isn't grouped (no fingerprint, no message
+ * to anchor a thread, window 0) or Postgres is unavailable; the message is then handled as new.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.parsed
+ * @param {string} opts.channel_id
+ * @param {string} opts.message_ts - The alert message (thread of a new incident)
+ * @param {number} [opts.windowSec]
+ * @param {Function} [record] - recordAlertOccurrence(); replaced in tests
+ * @returns {Promise<null | { incident: Object, repeat: boolean }>}
+ */
+export async function groupAlert({ parsed, channel_id, message_ts, windowSec = incidentWindowSec() }, record = recordAlertOccurrence) {
+  const fingerprint = alertFingerprint(parsed);
+  if (!fingerprint || !channel_id || !message_ts || !(windowSec > 0)) return null;
+  try {
+    return await record({ fingerprint, channel_id, message_ts, parsed, windowSec });
+  } catch (err) {
+    console.warn(`[incidents] Grouping failed, handling ${parsed.alert_type} as a new alert: ${err.message}`);
+    return null;
+  }
+}
+
+/** "fired 4× in last 30m" */
+export function describeOccurrences(incident, now = Date.now()) {
+  const minutes = Math.max(1, Math.ceil((now - new Date(incident.first_seen_at).getTime()) / 60000));
+  const span = minutes >= 120 ? `${Math.round(minutes / 60)}h` : `${minutes}m`;
+  return `fired ${incident.occurrences}× in last ${span}`;
+}
@@ -1,6 +1,7 @@
 import "dotenv/config";
 import { slackClient } from "../slack/client.js";
 import { UserResolver } from "../slack/userResolver.js";
+import { hasSlackContent } from "../slack/normalize.js";
 import { listAllPublicChannels, fetchHistory, fetchThreadReplies } from "./slackFetch.js";
 import { buildThreadChunk, buildWindows } from "./chunker.js";
 import { ollamaEmbed } from "../rag/ollama.js";
@@ -88,7 +89,7 @@ async function main() {
   const nonThread = [];
 
   for (const m of messages) {
-    if (!m?.text) continue;
+    if (!hasSlackContent(m)) continue;
     if (m.thread_ts) {
       threadRoots.add(m.thread_ts);
       continue;
@@ -1,12 +1,13 @@
-import { normalizeSlackText, formatUserLine } from "../slack/normalize.js";
+import { normalizeSlackText, flattenSlackMessage, hasSlackContent, formatUserLine } from "../slack/normalize.js";
 
 /**
  * Build one chunk for a full thread (messages must be oldest->newest).
+ * Attachments and blocks are flattened like incoming mentions, so alert bodies are searchable.
  */
 export async function buildThreadChunk({ team_id, channel, channel_name, thread_ts, messages, resolver }) {
   const lines = [];
   for (const m of messages) {
-    const text = await normalizeSlackText(m.text, resolver);
+    const text = await normalizeSlackText(flattenSlackMessage(m).text, resolver);
     if (!text) continue;
     const username = m.user ? await resolver.getUsername(m.user) : "unknown";
     lines.push(formatUserLine(username, text));
@@ -46,7 +47,7 @@ export async function buildWindows({ team_id, channel, channel_name, messages, r
 
     const lines = [];
     for (const m of buf) {
-      const text = await normalizeSlackText(m.text, resolver);
+      const text = await normalizeSlackText(flattenSlackMessage(m).text, resolver);
       if (!text) continue;
       const username = m.user ? await resolver.getUsername(m.user) : "unknown";
       lines.push(formatUserLine(username, text));
@@ -76,7 +77,7 @@ export async function buildWindows({ team_id, channel, channel_name, messages, r
   };
 
   for (const m of messages) {
-    if (!m?.text) continue;
+    if (!hasSlackContent(m)) continue;
 
     if (!buf.length) {
       buf.push(m);
@@ -3,6 +3,7 @@ import { ensureSecrets } from "../db/ensureSecrets.js";
 import { slackClient } from "../slack/client.js";
 import { withSlackRetry } from "../slack/retry.js";
 import { UserResolver } from "../slack/userResolver.js";
+import { hasSlackContent } from "../slack/normalize.js";
 import { listAllPublicChannels, fetchHistory, fetchThreadReplies } from "./slackFetch.js";
 import { buildThreadChunk, buildWindows } from "./chunker.js";
 import { ollamaEmbed } from "../rag/ollama.js";
@@ -97,7 +98,7 @@ async function main() {
     const nonThread = [];
 
     for (const m of newMessages) {
-      if (!m?.text) continue;
+      if (!hasSlackContent(m)) continue;
       if (m.thread_ts) {
         threadRoots.add(m.thread_ts);
         continue;
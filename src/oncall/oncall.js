@@ -0,0 +1,126 @@
+/**
+ * On-call lookup for decision rules with `"require_approval_from": "oncall"`. The provider is chosen
+ * with ONCALL_PROVIDER:
+ * - file (default): YAML rotation file ONCALL_FILE (config/oncall.yaml, see rotationFile.js)
+ * - pagerduty: PagerDuty-compatible API at ONCALL_PAGERDUTY_URL (`GET /oncalls`); the on-call's
+ *   email is looked up in Slack (users:read.email scope)
+ *
+ * Add a provider with registerOncallProvider().
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parse as parseYaml } from "yaml";
+import { rotationFileErrors, oncallFromRotation } from "./rotationFile.js";
+import { slackClient } from "../slack/client.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_ONCALL_FILE = path.join(__dirname, "..", "..", "config", "oncall.yaml");
+
+const providers = new Map();
+
+/**
+ * Register (or replace) an on-call provider.
+ * @param {string} name - Value of ONCALL_PROVIDER
+ * @param {Object} impl
+ * @param {(opts: { schedule: string, now: Date }) => Promise<{ user_id?: string, email?: string, name?: string } | null>} impl.lookup -
+ *   Who is on call (a Slack user ID, or an email to look up in Slack); null for an unknown schedule
+ */
+export function registerOncallProvider(name, impl) {
+  providers.set(name, impl);
+}
+
+/** Schedule used when neither the rule nor the policy names one. */
+export function defaultOncallSchedule() {
+  return process.env.ONCALL_DEFAULT_SCHEDULE || "default";
+}
+
+// Rotation file, re-read when it changes on disk
+let rotationCache = null;
+
+function loadRotationFile() {
+  const file = process.env.ONCALL_FILE || DEFAULT_ONCALL_FILE;
+  const mtimeMs = fs.statSync(file).mtimeMs;
+  if (rotationCache?.file === file && rotationCache.mtimeMs === mtimeMs) return rotationCache.data;
+  let data;
+  try {
+    data = parseYaml(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  const errors = rotationFileErrors(data);
+  if (errors.length) throw new Error(`${file}: ${errors.join("; ")}`);
+  rotationCache = { file, mtimeMs, data };
+  return data;
+}
+
+registerOncallProvider("file", {
+  lookup: async ({ schedule, now }) => {
+    const user_id = oncallFromRotation(loadRotationFile(), schedule, now);
+    return user_id ? { user_id } : null;
+  }
+});
+
+registerOncallProvider("pagerduty", {
+  lookup: async ({ schedule, now }) => {
+    const baseUrl = process.env.ONCALL_PAGERDUTY_URL;
+    if (!baseUrl) throw new Error("ONCALL_PAGERDUTY_URL is not set");
+    const params = new URLSearchParams({ "schedule_ids[]": schedule, since: now.toISOString(), until: now.toISOString(), earliest: "true" });
+    const res = await fetch(`${baseUrl.replace(/\/$/, "")}/oncalls?${params}`, {
+      headers: {
+        Accept: "application/vnd.pagerduty+json;version=2",
+        ...(process.env.ONCALL_PAGERDUTY_TOKEN ? { Authorization: `Token token=${process.env.ONCALL_PAGERDUTY_TOKEN}` } : {})
+      },
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!res.ok) throw new Error(`on-call API returned ${res.status}`);
+    const user = (await res.json()).oncalls?.[0]?.user;
+    return user?.email ? { email: user.email, name: user.summary ?? user.name ?? null } : null;
+  }
+});
+
+const slackIdsByEmail = new Map();
+
+async function slackUserIdForEmail(email) {
+  if (!slackIdsByEmail.has(email)) {
+    const res = await slackClient().users.lookupByEmail({ email });
+    slackIdsByEmail.set(email, res.user.id);
+  }
+  return slackIdsByEmail.get(email);
+}
+
+/**
+ * Who must approve for an on-call rule. Never throws: when the on-call can't be found, user_id is
+ * null and `error` says why (the policy's approvers then apply).
+ *
+ * @param {Object} opts
+ * @param {string} [opts.schedule]
+ * @param {Date} [opts.now]
+ * @returns {Promise<{ schedule: string, provider: string, user_id: string|null, name?: string|null, error?: string }>}
+ */
+export async function resolveOncall({ schedule = defaultOncallSchedule(), now = new Date() } = {}) {
+  const provider = process.env.ONCALL_PROVIDER || "file";
+  const result = { schedule, provider, user_id: null };
+  try {
+    const impl = providers.get(provider);
+    if (!impl) throw new Error(`unknown ONCALL_PROVIDER "${provider}" (available: ${[...providers.keys()].join(", ")})`);
+    const found = await impl.lookup({ schedule, now: new Date(now) });
+    if (!found) throw new Error(`no on-call found for schedule "${schedule}"`);
+    const user_id = found.user_id ?? await slackUserIdForEmail(found.email);
+    return { ...result, user_id, name: found.name ?? null };
+  } catch (err) {
+    const error = err?.data?.error || err?.message || String(err);
+    console.warn(`[oncall] ${provider} lookup for "${schedule}" failed: ${error}`);
+    return { ...result, error };
+  }
+}
+
+/**
+ * The decision with `oncall` looked up now for `"require_approval_from": "oncall"` rules (unchanged
+ * otherwise). Used for new proposals and for rollback proposals, whose stored decision may name a
+ * past on-call.
+ */
+export async function withOncall(decision) {
+  if (decision?.require_approval_from !== "oncall") return decision;
+  return { ...decision, oncall: await resolveOncall({ schedule: decision.oncall_schedule }) };
+}
@@ -0,0 +1,56 @@
+/**
+ * Local on-call rotation file, YAML (ONCALL_FILE, default config/oncall.yaml; see config/oncall.yaml.example):
+ *
+ *   schedules:
+ *     platform:
+ *       users: [U0123ABC, U0456DEF]
+ *       start: "2026-01-05T09:00:00Z"
+ *       shift_hours: 168
+ *       overrides:
+ *         - { user: U0789GHI, from: "2026-12-24T00:00:00Z", to: "2026-12-27T00:00:00Z" }
+ *
+ * `users` are Slack user IDs in rotation order, `start` is the handoff to the first user and
+ * `shift_hours` defaults to 168 (weekly). An override replaces the rotation between `from` and `to`.
+ */
+const DEFAULT_SHIFT_HOURS = 168;
+
+/** Problems with a parsed rotation file, e.g. ["schedules.platform.users: must be a non-empty list"]. */
+export function rotationFileErrors(data) {
+  const schedules = data?.schedules;
+  if (!schedules || typeof schedules !== "object" || Array.isArray(schedules)) return ["schedules: must be a map of schedule names"];
+  const errors = [];
+  const isTime = (value) => typeof value === "string" && !Number.isNaN(Date.parse(value));
+  for (const [name, schedule] of Object.entries(schedules)) {
+    const at = `schedules.${name}`;
+    if (!schedule || typeof schedule !== "object" || Array.isArray(schedule)) {
+      errors.push(`${at}: must be a map`);
+      continue;
+    }
+    if (!Array.isArray(schedule.users) || schedule.users.length === 0 || schedule.users.some((u) => typeof u !== "string")) {
+      errors.push(`${at}.users: must be a non-empty list of Slack user IDs`);
+    }
+    if (!isTime(schedule.start)) errors.push(`${at}.start: must be an ISO time`);
+    if (schedule.shift_hours !== undefined && schedule.shift_hours !== null && !(schedule.shift_hours > 0)) {
+      errors.push(`${at}.shift_hours: must be a positive number`);
+    }
+    (Array.isArray(schedule.overrides) ? schedule.overrides : schedule.overrides ? [null] : []).forEach((override, j) => {
+      if (!override || typeof override.user !== "string" || !isTime(override.from) || !isTime(override.to)) {
+        errors.push(`${at}.overrides[${j}]: needs user, from and to (ISO times)`);
+      }
+    });
+  }
+  return errors;
+}
+
+/** Slack user ID on call for a schedule at `now` (an override, else the rotation), or null for an unknown schedule. */
+export function oncallFromRotation(data, schedule, now = new Date()) {
+  const rotation = data.schedules?.[schedule];
+  if (!rotation) return null;
+  const time = new Date(now).getTime();
+  const override = (rotation.overrides || []).find((o) => Date.parse(o.from) <= time && time < Date.parse(o.to));
+  if (override) return override.user;
+  const shiftMs = (rotation.shift_hours || DEFAULT_SHIFT_HOURS) * 3600 * 1000;
+  const shift = Math.floor((time - Date.parse(rotation.start)) / shiftMs);
+  const count = rotation.users.length;
+  return rotation.users[((shift % count) + count) % count];
+}
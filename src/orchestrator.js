@@ -4,6 +4,38 @@ import { formatReport } from "./report/formatReport.js";
 import { retrieveContexts } from "./rag/retrieve.js";
 import { buildRagPrompt } from "./rag/prompt.js";
 import { ollamaChat } from "./rag/ollama.js";
+import { groupAlert, describeOccurrences } from "./incidents/grouping.js";
+import { loadFreezes } from "./freeze/freezeCalendar.js";
+import { withOncall } from "./oncall/oncall.js";
+
+/**
+ * Run decide() and formatReport() for a parsed alert. Used for new messages and again when
+ * the user fills in missing fields.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.parsed
+ * @param {Object} opts.policy
+ * @param {string} [opts.text] - Original message text
+ * @param {Object} [opts.context] - { channel_id, channel, user } for "context.*" decision conditions;
+ *   change freezes are loaded unless it has `freezes`
+ * @returns {Promise<{ source: "policy_engine", text: string, data: Object }>}
+ */
+export async function buildPolicyResult({ parsed, policy, text = null, context = {} }) {
+  const freezes = context.freezes ?? await loadFreezes();
+  // "require_approval_from": "oncall" rules: find who that is now, so the approval request can @-mention them
+  const decision = await withOncall(decide(parsed, policy, { ...context, freezes }));
+  const report = await formatReport({
+    parsed,
+    decision,
+    policy,
+    originalText: text,
+  });
+  return {
+    source: "policy_engine",
+    text: report.summary,
+    data: report,
+  };
+}
 
 /**
  * Combined Logic:
@@ -14,13 +46,25 @@ import { ollamaChat } from "./rag/ollama.js";
  * @param {string} opts.text - Message text
  * @param {string} [opts.channel_id] - Slack channel ID (for RAG and channel restriction)
  * @param {string} [opts.thread_ts] - Thread TS
- * @param {Function} [opts.getChannelName] - async (channelId) => channel name, for scalepr_request trigger_channel_only check
+ * @param {string} [opts.message_ts] - TS of the Slack message; when set, repeated alerts are grouped into one incident
+ * @param {string} [opts.user_id] - Slack user who sent the message (context.user in decision rules)
+ * @param {Function} [opts.getChannelName] - async (channelId) => channel name, for scalepr_request trigger_channel_only check and context.channel in decision rules
+ * @param {*} [opts.data] - Structured content of the message (Slack attachments/blocks or a JSON body) for jsonpath patterns
+ * @param {Object} [deps] - Collaborators that talk to Ollama / Postgres; tests replace them with stubs
+ * @param {Function} [deps.parse] - async (text, { data }) => parseAlert() result
+ * @param {Function} [deps.retrieve] - async ({ channel_id, question }) => RAG contexts
+ * @param {Function} [deps.chat] - async ({ prompt }) => answer text
+ * @param {Function} [deps.group] - async ({ parsed, channel_id, message_ts }) => groupAlert() result
+ * @param {Function} [deps.freezes] - async () => change freezes for decide() (loadFreezes())
  */
-export async function processIncomingMessage({ text, channel_id, thread_ts = null, getChannelName = null }) {
+export async function processIncomingMessage(
+  { text, channel_id, thread_ts = null, message_ts = null, user_id = null, getChannelName = null, data = null },
+  { parse = parseAlert, retrieve = retrieveContexts, chat = ollamaChat, group = groupAlert, freezes = loadFreezes } = {}
+) {
   // --- RUN PARSER + RAG RETRIEVAL IN PARALLEL (saves ~1–3s on first response) ---
   const [parseResult, contexts] = await Promise.all([
-    parseAlert(text),
-    retrieveContexts({ channel_id, question: text }),
+    parse(text, { data }),
+    retrieve({ channel_id, question: text }),
   ]);
 
   let policyResult = null;
@@ -53,17 +97,31 @@ export async function processIncomingMessage({ text, channel_id, thread_ts = nul
       }
     }
 
-    const decision = decide(useParsed, usePolicy);
-    const report = await formatReport({
-      parsed: useParsed,
-      decision,
-      policy: usePolicy,
-      originalText: text,
-    });
+    // A repeat of an incident that is still firing: point at the existing proposal instead of making another
+    const grouped = message_ts ? await group({ parsed: useParsed, channel_id, message_ts }) : null;
+    if (grouped?.repeat) {
+      console.log(`[orchestrator] ${useParsed.alert_type} is a repeat of incident ${grouped.incident.id} (${describeOccurrences(grouped.incident)})`);
+      return {
+        source: "incident_repeat",
+        text: `Same alert as an open incident (${describeOccurrences(grouped.incident)}).`,
+        incident: grouped.incident,
+        policy_result: null,
+        rag_result: null,
+        data: null
+      };
+    }
+
+    const context = {
+      channel_id,
+      channel: getChannelName && channel_id ? await getChannelName(channel_id) : null,
+      user: user_id,
+      freezes: await freezes()
+    };
     policyResult = {
-      source: "policy_engine",
-      text: report.summary,
-      data: report,
+      ...(await buildPolicyResult({ parsed: useParsed, policy: usePolicy, text, context })),
+      // Match score and runner-up policies (debugging aid, e.g. in /api/analyze responses)
+      score: parseResult.score ?? null,
+      candidates: parseResult.candidates ?? [],
     };
   }
 
@@ -71,7 +129,7 @@ export async function processIncomingMessage({ text, channel_id, thread_ts = nul
   
   if (contexts.length > 0) {
     const prompt = buildRagPrompt({ question: text, contexts });
-    const answer = await ollamaChat({ prompt });
+    const answer = await chat({ prompt });
     
     ragResult = {
       source: "rag_history",
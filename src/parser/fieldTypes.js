@@ -0,0 +1,145 @@
+/**
+ * Typed capture groups. A capture_groups entry is either a group index (legacy: the value stays a
+ * string, except *percent* / *threshold* / *value* fields which become numbers) or an object:
+ *
+ *   "duration": { "group": 1, "type": "duration" }                       "2h" -> 7200
+ *   "environment": { "group": 2, "type": "enum", "values": ["prod", "staging"] }
+ *   "service_name": { "group": 1, "transform": "lowercase" }
+ *
+ * jsonpath patterns use `path` instead of `group` ("project_id": "$.incident.scoping_project_id").
+ *
+ * The same specs generate the per-policy zod schema (see schemaForPolicy in schema.js).
+ */
+import { z } from "zod";
+
+export const FIELD_TYPES = ["string", "number", "int", "duration", "cron", "enum", "gcp_zone"];
+export const FIELD_TRANSFORMS = ["lowercase", "uppercase"];
+
+const DURATION_UNITS = {
+  s: 1, sec: 1, secs: 1, second: 1, seconds: 1,
+  m: 60, min: 60, mins: 60, minute: 60, minutes: 60,
+  h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600,
+  d: 86400, day: 86400, days: 86400
+};
+// One cron field: *, 5, 1-5, */15, 1-30/5, MON, JAN-MAR and comma lists of those
+const CRON_FIELD = /^(?:\*|\d+(?:-\d+)?|[a-z]{3}(?:-[a-z]{3})?)(?:\/\d+)?(?:,(?:\*|\d+(?:-\d+)?|[a-z]{3}(?:-[a-z]{3})?)(?:\/\d+)?)*$/i;
+const GCP_ZONE = /^[a-z]+-[a-z]+\d+-[a-z]$/;
+
+/** Seconds in "7200", "2h", "1h30m", "90 minutes"; null if not a duration. */
+export function parseDuration(raw) {
+  const text = String(raw).trim().toLowerCase();
+  if (/^\d+$/.test(text)) return Number(text);
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]+)\s*/g)];
+  if (parts.length === 0 || parts.map((p) => p[0]).join("") !== text) return null;
+  let seconds = 0;
+  for (const [, amount, unit] of parts) {
+    if (!DURATION_UNITS[unit]) return null;
+    seconds += Number(amount) * DURATION_UNITS[unit];
+  }
+  return Math.round(seconds);
+}
+
+/** Cron expressions: 5 fields, or 6 for the scaling schedules' "mm hh dd MM * YYYY" form. */
+export function isCronExpression(value) {
+  const fields = String(value).trim().split(/\s+/);
+  return (fields.length === 5 || fields.length === 6) && fields.every((f) => CRON_FIELD.test(f));
+}
+
+/**
+ * Normalize a capture_groups entry to { group | path, type?, values?, transform? }: a number is a regex
+ * group, a string a JSONPath (jsonpath patterns), an object is taken as is.
+ */
+export function captureGroupSpec(entry) {
+  if (entry !== null && typeof entry === "object") return entry;
+  if (typeof entry === "string" && !/^\d+$/.test(entry)) return { path: entry };
+  return { group: Number(entry) };
+}
+
+/** Whether a spec asks for typed handling (as opposed to a bare group index). */
+function isTyped(spec) {
+  return Boolean(spec && (spec.type || spec.transform));
+}
+
+/**
+ * Typed fields of a policy: field -> spec, from every pattern's capture_groups.
+ * Untyped (bare index) entries are not included.
+ */
+export function policyFieldTypes(policy) {
+  const fields = {};
+  for (const pattern of policy?.patterns || []) {
+    for (const [field, entry] of Object.entries(pattern.capture_groups || {})) {
+      const spec = captureGroupSpec(entry);
+      if (isTyped(spec)) fields[field] = spec;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Convert a captured (or user-supplied) string according to the field's spec.
+ * @param {string} field
+ * @param {*} raw
+ * @param {Object} [spec] - From captureGroupSpec(); omitted for fields the policy doesn't type
+ * @returns {{ value: * } | { error: string }}
+ */
+export function coerceField(field, raw, spec = null) {
+  if (!isTyped(spec)) {
+    if (field.includes("percent") || field.includes("threshold") || field.includes("value")) {
+      const value = Number(raw);
+      return Number.isFinite(value) ? { value } : { error: "Must be a number" };
+    }
+    return { value: raw };
+  }
+
+  let text = String(raw).trim();
+  if (spec.transform === "lowercase") text = text.toLowerCase();
+  if (spec.transform === "uppercase") text = text.toUpperCase();
+
+  switch (spec.type || "string") {
+    case "number": {
+      const value = Number(text.replace(/%$/, ""));
+      return text && Number.isFinite(value) ? { value } : { error: "Must be a number" };
+    }
+    case "int":
+      return /^[-+]?\d+$/.test(text) ? { value: Number(text) } : { error: "Must be a whole number" };
+    case "duration": {
+      const value = parseDuration(text);
+      return value === null ? { error: "Must be a duration, e.g. 7200, 90m or 2h" } : { value };
+    }
+    case "cron":
+      return isCronExpression(text)
+        ? { value: text.split(/\s+/).join(" ") }
+        : { error: "Must be a cron expression, e.g. 30 17 4 02 * 2026" };
+    case "enum": {
+      const match = (spec.values || []).find((v) => v.toLowerCase() === text.toLowerCase());
+      return match !== undefined ? { value: match } : { error: `Must be one of: ${(spec.values || []).join(", ")}` };
+    }
+    case "gcp_zone":
+      return GCP_ZONE.test(text.toLowerCase())
+        ? { value: text.toLowerCase() }
+        : { error: "Must be a GCP zone, e.g. us-central1-a" };
+    default:
+      return { value: text };
+  }
+}
+
+/** zod schema for one typed field (nullable: a failed or absent capture is reported as missing instead). */
+export function zodForField(spec) {
+  let schema;
+  switch (spec.type || "string") {
+    case "number": schema = z.number().finite(); break;
+    case "int": schema = z.number().int(); break;
+    case "duration": schema = z.number().int().nonnegative(); break;
+    case "cron": schema = z.string().refine(isCronExpression, "Must be a cron expression"); break;
+    case "enum": schema = z.enum(spec.values); break;
+    case "gcp_zone": schema = z.string().regex(GCP_ZONE, "Must be a GCP zone"); break;
+    default: schema = z.string();
+  }
+  if (spec.transform === "lowercase" && schema instanceof z.ZodString) {
+    schema = schema.refine((v) => v === v.toLowerCase(), "Must be lowercase");
+  }
+  if (spec.transform === "uppercase" && schema instanceof z.ZodString) {
+    schema = schema.refine((v) => v === v.toUpperCase(), "Must be uppercase");
+  }
+  return schema.nullable().optional();
+}
@@ -2,12 +2,22 @@ import { readFileSync, existsSync } from "fs";
 import { fileURLToPath } from "url";
 import { dirname, join, resolve } from "path";
 import { validateParsedAlert } from "./schema.js";
+import { captureGroupSpec, coerceField, policyFieldTypes } from "./fieldTypes.js";
+import { getPatternType, patternInput } from "./patternTypes.js";
+import { validatePoliciesData, diffPolicies } from "./policyValidator.js";
 import { fetchWithRetry } from "../rag/ollama.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-let policiesCache = null;
+const DEFAULT_HELP_TRIGGERS = [
+  { type: "regex", pattern: "^(?:--help|-h|help)$" },
+  { type: "regex", pattern: "who are you" },
+  { type: "regex", pattern: "^(?:man|manual)$" },
+];
+
+// Everything derived from the policies file; replaced as a whole on reload so readers never see a mix
+let policiesState = null;
 
 function getPoliciesPath() {
   // Allow policies path to be configured via environment variable
@@ -38,13 +48,7 @@ function getPoliciesPath() {
   );
 }
 
-function loadPolicies() {
-  if (policiesCache) {
-    return policiesCache;
-  }
-  
-  const policiesPath = getPoliciesPath();
-  
+function readPoliciesFile(policiesPath) {
   if (!existsSync(policiesPath)) {
     throw new Error(
       `Policies file not found at ${policiesPath}.\n` +
@@ -54,14 +58,7 @@ function loadPolicies() {
   }
   
   try {
-    const policiesData = JSON.parse(readFileSync(policiesPath, "utf-8"));
-    
-    if (!policiesData.policies || !Array.isArray(policiesData.policies)) {
-      throw new Error("Policies file must contain a 'policies' array");
-    }
-    
-    policiesCache = policiesData.policies;
-    return policiesCache;
+    return JSON.parse(readFileSync(policiesPath, "utf-8"));
   } catch (error) {
     if (error.code === "ENOENT") {
       throw new Error(`Policies file not found at ${policiesPath}`);
@@ -73,85 +70,218 @@ function loadPolicies() {
   }
 }
 
-function applyPattern(pattern, text) {
-  if (pattern.type === "regex") {
-    const regex = new RegExp(pattern.pattern, "i");
-    const match = text.match(regex);
-    
-    if (!match) {
-      return null;
+function buildPoliciesState(data) {
+  return {
+    policies: data.policies,
+    helpTriggers: data.help_triggers || DEFAULT_HELP_TRIGGERS,
+    gcloudAllowlist: data.gcloud_allowlist || {},
+    channelSubscriptions: data.channel_subscriptions || [],
+    autoExecute: data.auto_execute || {},
+    freezeWindows: data.freeze_windows || [],
+  };
+}
+
+function loadPolicies() {
+  if (policiesState) {
+    return policiesState.policies;
+  }
+  
+  const policiesPath = getPoliciesPath();
+  const policiesData = readPoliciesFile(policiesPath);
+  const { errors, warnings } = validatePoliciesData(policiesData);
+  for (const warning of warnings) {
+    console.warn(`[policies] ${warning}`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid policies file at ${policiesPath}:\n- ${errors.join("\n- ")}`);
+  }
+  
+  policiesState = buildPoliciesState(policiesData);
+  return policiesState.policies;
+}
+
+/** Match one pattern through its registered type and coerce the captured values; null if it doesn't match. */
+function applyPattern(pattern, input, alertType) {
+  const patternType = getPatternType(pattern.type);
+  // Unknown types are rejected when the policies file is loaded
+  const captured = patternType ? patternType.match(pattern, input) : null;
+  if (captured === null) {
+    return null;
+  }
+  
+  const extracted = {};
+  for (const [key, value] of Object.entries(captured)) {
+    const result = coerceField(key, value, captureGroupSpec(pattern.capture_groups?.[key]));
+    if (result.error) {
+      // Leave the field empty so it is reported in missing_fields
+      console.warn(`[parser] ${alertType}.${key}: ignoring "${value}" (${result.error})`);
+      continue;
     }
-    
-    const extracted = {};
-    if (pattern.capture_groups) {
-      for (const [key, groupIndex] of Object.entries(pattern.capture_groups)) {
-        const value = match[parseInt(groupIndex)];
-        if (value !== undefined) {
-          // Try to convert to number if it looks like a number
-          if (key.includes("percent") || key.includes("threshold") || key.includes("value")) {
-            extracted[key] = Number(value);
-          } else {
-            extracted[key] = value;
-          }
-        }
+    extracted[key] = result.value;
+  }
+  return extracted;
+}
+
+/**
+ * Coerce the policy's typed fields in a parse result that didn't come from its patterns (LLM output).
+ * Values that don't fit the type are dropped (and reported missing) rather than failing the parse.
+ */
+function applyFieldTypes(policy, parsed) {
+  const result = { ...parsed };
+  for (const [field, spec] of Object.entries(policyFieldTypes(policy))) {
+    if (isEmpty(result[field])) continue;
+    const coerced = coerceField(field, result[field], spec);
+    if (coerced.error) {
+      console.warn(`[parser] ${policy.alert_type}.${field}: ignoring ${JSON.stringify(result[field])} (${coerced.error})`);
+      result[field] = null;
+      if (Array.isArray(result.missing_fields) && !result.missing_fields.includes(field)) {
+        result.missing_fields = [...result.missing_fields, field];
       }
+    } else {
+      result[field] = coerced.value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Rank two scored candidates: explicit priority first, then required pattern hits (a policy's
+ * required pattern outweighs any number of another policy's optional ones), then the share of
+ * patterns matched, then the raw match count. Ties keep file order.
+ */
+function compareCandidates(a, b) {
+  return (b.priority - a.priority)
+    || (b.required_matched - a.required_matched)
+    || (b.score - a.score)
+    || (b.matched_patterns - a.matched_patterns)
+    || (a.index - b.index);
+}
+
+/**
+ * Match a policy's patterns against the text. A pattern marked `required: true` (every pattern when the
+ * policy has `match: "all"`) must match, otherwise the policy is not a candidate at all.
+ */
+function scorePolicy(policy, index, input) {
+  const matchAll = policy.match === "all";
+  const extracted = {};
+  let matched = 0;
+  let requiredMatched = 0;
+  
+  // Collect captures from every matching pattern (policies like scalepr_request spread fields over several)
+  for (const pattern of policy.patterns) {
+    const result = applyPattern(pattern, input, policy.alert_type);
+    if (result === null) {
+      if (matchAll || pattern.required === true) return null;
+      continue;
     }
-    return extracted;
+    matched++;
+    if (matchAll || pattern.required === true) requiredMatched++;
+    Object.assign(extracted, result);
   }
+  if (matched === 0) return null;
   
-  // Future: support other pattern types (keyword, fuzzy match, etc.)
-  return null;
+  return {
+    policy,
+    index,
+    extracted,
+    priority: Number(policy.priority) || 0,
+    matched_patterns: matched,
+    required_matched: requiredMatched,
+    total_patterns: policy.patterns.length,
+    score: matched / policy.patterns.length
+  };
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === "";
+}
+
+/** Fields the policy's patterns can capture. */
+function captureFields(policy) {
+  return [...new Set((policy.patterns || []).flatMap((pattern) => Object.keys(pattern.capture_groups || {})))];
+}
+
+/**
+ * Fields still empty after parsing: every capture_groups field the text didn't provide, plus the
+ * policy's `required_fields` (falling back to the static extraction_rules.missing_fields list).
+ */
+function computeMissingFields(policy, parsed) {
+  const expected = new Set(captureFields(policy));
+  (policy.required_fields ?? policy.extraction_rules?.missing_fields ?? []).forEach((field) => expected.add(field));
+  return [...expected].filter((field) => isEmpty(parsed[field]));
+}
+
+/**
+ * Check an LLM (or LLM-merged) parse against its policy like a pattern parse: typed fields coerced
+ * and missing_fields recomputed, since the LLM's own list can't be trusted.
+ */
+function finishLLMParse(policy, parsed) {
+  const result = applyFieldTypes(policy, { ...parsed, missing_fields: [] });
+  result.missing_fields = [...new Set([...computeMissingFields(policy, result), ...result.missing_fields])];
+  return validateParsedAlert(result, policy);
+}
+
+/** Candidate summary exposed in parse results for debugging. */
+function describeCandidate(candidate) {
+  return {
+    alert_type: candidate.policy.alert_type,
+    priority: candidate.priority,
+    score: Math.round(candidate.score * 1000) / 1000,
+    matched_patterns: candidate.matched_patterns,
+    required_matched: candidate.required_matched,
+    total_patterns: candidate.total_patterns
+  };
 }
 
-function tryPolicyParsing(text) {
+/**
+ * Score every policy against the text and pick the best match (see compareCandidates) instead of
+ * the first one in file order. The result includes the runner-up candidates.
+ */
+function tryPolicyParsing(text, data) {
   const policies = loadPolicies();
+  const input = patternInput(text, data);
+  const candidates = [];
   
-  for (const policy of policies) {
+  policies.forEach((policy, index) => {
     // If policy has no patterns, skip it (it relies on LLM parsing)
     if (!policy.patterns || policy.patterns.length === 0) {
-      continue;
-    }
-    
-    
-    const extracted = {};
-    let atLeastOnePatternMatched = false;
-    
-    // Try to match patterns in the policy
-    // For policies that need multiple fields (like scalepr_request), we need to match ALL patterns
-    // For policies with alternative patterns, we match ANY pattern
-    // Strategy: Try all patterns and collect all matches
-    for (const pattern of policy.patterns) {
-      const result = applyPattern(pattern, text);
-      if (result !== null) {
-        atLeastOnePatternMatched = true;
-        Object.assign(extracted, result);
-        // Don't break - continue to collect all matches for policies that need multiple fields
-      }
-    }
-    
-    if (atLeastOnePatternMatched) {
-      // Merge with extraction rules, ensuring all required fields are present
-      const parsed = {
-        ...policy.extraction_rules,
-        ...extracted,
-        // Ensure required fields are present (even if null/undefined in extraction_rules)
-        threshold_percent: extracted.threshold_percent ?? policy.extraction_rules.threshold_percent ?? null,
-        value_percent: extracted.value_percent ?? policy.extraction_rules.value_percent ?? null,
-        metric_labels: extracted.metric_labels ?? policy.extraction_rules.metric_labels ?? {},
-        missing_fields: extracted.missing_fields ?? policy.extraction_rules.missing_fields ?? [],
-        confidence: extracted.confidence ?? policy.extraction_rules.confidence ?? 0.7,
-        parse_method: extracted.parse_method ?? policy.extraction_rules.parse_method ?? "policy"
-      };
-      
-      return {
-        parsed: validateParsedAlert(parsed),
-        policy,
-        matched: true
-      };
+      return;
     }
+    const candidate = scorePolicy(policy, index, input);
+    if (candidate) candidates.push(candidate);
+  });
+  
+  if (candidates.length === 0) {
+    return { matched: false };
+  }
+  
+  candidates.sort(compareCandidates);
+  const [best, ...runnersUp] = candidates;
+  const { policy, extracted } = best;
+  if (runnersUp.length > 0) {
+    console.log(`[parser] ${policy.alert_type} won (score ${describeCandidate(best).score}) over ${runnersUp.map((c) => `${c.policy.alert_type} (${describeCandidate(c).score})`).join(", ")}`);
   }
   
-  return { matched: false };
+  // Merge with extraction rules, ensuring all required fields are present
+  const parsed = {
+    ...policy.extraction_rules,
+    ...extracted,
+    // Ensure required fields are present (even if null/undefined in extraction_rules)
+    threshold_percent: extracted.threshold_percent ?? policy.extraction_rules.threshold_percent ?? null,
+    value_percent: extracted.value_percent ?? policy.extraction_rules.value_percent ?? null,
+    metric_labels: extracted.metric_labels ?? policy.extraction_rules.metric_labels ?? {},
+    confidence: extracted.confidence ?? policy.extraction_rules.confidence ?? 0.7,
+    parse_method: extracted.parse_method ?? policy.extraction_rules.parse_method ?? "policy"
+  };
+  parsed.missing_fields = computeMissingFields(policy, parsed);
+  
+  return {
+    parsed: validateParsedAlert(parsed, policy),
+    policy,
+    matched: true,
+    score: describeCandidate(best),
+    candidates: runnersUp.map(describeCandidate)
+  };
 }
 
 async function tryLLMWithModel(ollamaUrl, model, prompt) {
@@ -382,7 +512,7 @@ Only return valid JSON, no other text.`;
         const matchingPolicy = policies.find(p => p.alert_type === result.parsed.alert_type);
         
         return {
-          parsed: result.parsed,
+          parsed: matchingPolicy ? finishLLMParse(matchingPolicy, result.parsed) : result.parsed,
           matched: true,
           policy: matchingPolicy || null,
           modelUsed: model
@@ -414,12 +544,19 @@ Only return valid JSON, no other text.`;
   };
 }
 
-export async function parseAlert(text) {
+/**
+ * Parse alert text: policy patterns first, then the Ollama LLM fallback.
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {boolean} [opts.useLLM=true] - false = policy patterns only (deterministic; used by policy:lint)
+ * @param {*} [opts.data] - Structured content sent with the message (e.g. Slack attachments) for jsonpath patterns
+ */
+export async function parseAlert(text, { useLLM = true, data = null } = {}) {
   // Check if detection features are disabled
   const disableScalingIntent = process.env.DISABLE_SCALING_INTENT_DETECTION === "true";
   
   // First, try policy-based parsing
-  const policyResult = tryPolicyParsing(text);
+  const policyResult = tryPolicyParsing(text, data);
   if (policyResult.matched) {
     // Skip scaling intent detection if disabled
     if (disableScalingIntent && policyResult.policy?.alert_type === "scaling_intent_detected") {
@@ -439,11 +576,11 @@ export async function parseAlert(text) {
       const hasMigName = parsed?.mig_name || parsed?.migName;
       const hasRegion = parsed?.region;
       
-      if (!hasMigName || !hasRegion) {
+      if ((!hasMigName || !hasRegion) && useLLM) {
         // Fall through to LLM parsing to extract missing fields
         console.log(`Policy matched but missing critical fields (mig_name, region) for ${alertType}, using LLM to extract...`);
       } else {
-        // All fields present, return policy result
+        // All fields present (or LLM disabled), return policy result
         return policyResult;
       }
     } else if (alertType === "scaling_intent_detected") {
@@ -455,6 +592,10 @@ export async function parseAlert(text) {
     }
   }
   
+  if (!useLLM) {
+    return { matched: false };
+  }
+  
   // If policy parsing fails OR policy matched but needs LLM for field extraction, try LLM parsing
   const llmResult = await tryLLMParsing(text);
   if (llmResult.matched) {
@@ -469,18 +610,24 @@ export async function parseAlert(text) {
     
     // If we had a policy match but needed LLM for field extraction, merge the results
     if (policyResult.matched && policyResult.policy) {
-      // Merge policy extraction_rules with LLM-extracted fields
+      // Merge policy extraction_rules with LLM-extracted fields; the pattern captures are exact, so they win
+      const captured = captureFields(policyResult.policy)
+        .filter((field) => !isEmpty(policyResult.parsed[field]))
+        .map((field) => [field, policyResult.parsed[field]]);
       const merged = {
         ...policyResult.policy.extraction_rules,
         ...llmResult.parsed,
+        ...Object.fromEntries(captured),
         // Preserve policy's parse_method or use LLM's
         parse_method: "llm" // Since we used LLM for extraction
       };
       return {
-        parsed: validateParsedAlert(merged),
+        parsed: finishLLMParse(policyResult.policy, merged),
         policy: policyResult.policy,
         matched: true,
-        modelUsed: llmResult.modelUsed
+        modelUsed: llmResult.modelUsed,
+        score: policyResult.score,
+        candidates: policyResult.candidates
       };
     }
     
@@ -495,8 +642,79 @@ export async function parseAlert(text) {
   };
 }
 
+/**
+ * Re-read and fully validate the policies file, then swap it in atomically. An invalid file is
+ * rejected and the current policies stay active.
+ *
+ * @returns {{ ok: boolean, path: string|null, errors: string[], warnings: string[], diff: ReturnType<typeof diffPolicies>|null }}
+ */
 export function reloadPolicies() {
-  policiesCache = null;
+  let policiesPath = null;
+  let policiesData;
+  try {
+    policiesPath = getPoliciesPath();
+    policiesData = readPoliciesFile(policiesPath);
+  } catch (error) {
+    return { ok: false, path: policiesPath, errors: [error.message], warnings: [], diff: null };
+  }
+  
+  const { errors, warnings } = validatePoliciesData(policiesData);
+  if (errors.length > 0) {
+    return { ok: false, path: policiesPath, errors, warnings, diff: null };
+  }
+  
+  const previous = policiesState?.policies || [];
+  policiesState = buildPoliciesState(policiesData);
+  return { ok: true, path: policiesPath, errors: [], warnings, diff: diffPolicies(previous, policiesState.policies) };
+}
+
+/** Path of the active policies file (POLICIES_PATH or config/policies.json). */
+export function policiesFilePath() {
+  return getPoliciesPath();
+}
+
+/** Help triggers from the same policies file (and cache) as the policies; defaults if the file can't be loaded. */
+export function getHelpTriggers() {
+  try {
+    loadPolicies();
+    return policiesState.helpTriggers;
+  } catch {
+    return DEFAULT_HELP_TRIGGERS;
+  }
+}
+
+/** channel_subscriptions from the policies file ([] if none or the file can't be loaded). */
+export function getChannelSubscriptions() {
+  try {
+    loadPolicies();
+    return policiesState.channelSubscriptions;
+  } catch {
+    return [];
+  }
+}
+
+/** Top-level auto_execute settings (blackout, max_blast_radius_per_hour); {} if none or the file can't be loaded. */
+export function getAutoExecuteConfig() {
+  try {
+    loadPolicies();
+    return policiesState.autoExecute;
+  } catch {
+    return {};
+  }
+}
+
+/** freeze_windows from the policies file ([] if none or the file can't be loaded). */
+export function getFreezeWindows() {
+  try {
+    loadPolicies();
+    return policiesState.freezeWindows;
+  } catch {
+    return [];
+  }
+}
+
+/** All loaded policies. */
+export function getPolicies() {
   return loadPolicies();
 }
 
@@ -506,3 +724,18 @@ export function getPolicyByAlertType(alertType) {
   return policies.find((p) => p.alert_type === alertType) || null;
 }
 
+/**
+ * gcloud allowlist for a policy: the policy's own `gcloud_allowlist` keys override the top-level
+ * `gcloud_allowlist`; denied_flags from both are combined.
+ */
+export function getGcloudAllowlist(alertType) {
+  loadPolicies();
+  const global = policiesState.gcloudAllowlist;
+  const own = (alertType && getPolicyByAlertType(alertType)?.gcloud_allowlist) || {};
+  return {
+    commands: own.commands ?? global.commands ?? [],
+    projects: own.projects ?? global.projects ?? [],
+    denied_flags: [...(global.denied_flags || []), ...(own.denied_flags || [])]
+  };
+}
+
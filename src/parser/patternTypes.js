@@ -0,0 +1,292 @@
+/**
+ * Pattern types used in a policy's `patterns`. Each type decides whether a message matches and which
+ * raw values it captures; parserEngine coerces the captures (fieldTypes.js) and scores the policy.
+ *
+ * Built in: regex, keywords, fuzzy, jsonpath. Add a type with registerPatternType(); policyValidator
+ * picks it up automatically (the JSON Schema in config/policies.schema.json needs a branch too).
+ */
+import { captureGroupSpec } from "./fieldTypes.js";
+
+const patternTypes = new Map();
+
+/**
+ * @typedef {Object} PatternInput
+ * @property {string} text - Message text
+ * @property {*} json - Structured body: the Slack message's attachments/blocks, or the text itself when it is JSON; null otherwise
+ */
+
+/**
+ * Register (or replace) a pattern type.
+ * @param {string} name - Value of the pattern's `type`
+ * @param {Object} impl
+ * @param {(pattern: Object, input: PatternInput) => Object<string, string>|null} impl.match - Raw captured values by
+ *   field, or null when the pattern doesn't match
+ * @param {(pattern: Object, at: string) => string[]} [impl.validate] - Problems with the pattern definition, prefixed with `at`
+ */
+export function registerPatternType(name, impl) {
+  patternTypes.set(name, impl);
+}
+
+export function getPatternType(name) {
+  return patternTypes.get(name) || null;
+}
+
+export function patternTypeNames() {
+  return [...patternTypes.keys()];
+}
+
+/** Build the input patterns are matched against; `data` is structured content sent with the message. */
+export function patternInput(text, data = null) {
+  return { text: text || "", json: data ?? jsonFromText(text) };
+}
+
+/** The message as JSON when it is a JSON document (optionally in a ``` block), else null. */
+function jsonFromText(text) {
+  const body = String(text || "").trim().replace(/^```(?:json)?\s*/, "").replace(/\s*```$/, "");
+  if (!body.startsWith("{") && !body.startsWith("[")) return null;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return null;
+  }
+}
+
+/** Compile a regex; returns [RegExp, null] or [null, message]. */
+export function compileRegex(pattern, flags = "i") {
+  try {
+    return [new RegExp(pattern, flags), null];
+  } catch (err) {
+    return [null, err.message];
+  }
+}
+
+/** Number of capture groups in a compiled regex. */
+function captureGroupCount(regex) {
+  return new RegExp(`${regex.source}|`, regex.flags).exec("").length - 1;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function noCaptures(pattern, at) {
+  return Object.keys(pattern.capture_groups || {}).length > 0
+    ? [`${at}.capture_groups: ${pattern.type} patterns don't capture fields`]
+    : [];
+}
+
+// --- regex ---
+
+registerPatternType("regex", {
+  match(pattern, { text }) {
+    const match = text.match(new RegExp(pattern.pattern, "i"));
+    if (!match) return null;
+    const values = {};
+    for (const [field, entry] of Object.entries(pattern.capture_groups || {})) {
+      const value = match[captureGroupSpec(entry).group];
+      if (value !== undefined) values[field] = value;
+    }
+    return values;
+  },
+  validate(pattern, at) {
+    if (typeof pattern.pattern !== "string" || !pattern.pattern) return [`${at}.pattern: must be a non-empty string`];
+    const [regex, error] = compileRegex(pattern.pattern);
+    if (!regex) return [`${at}: regex does not compile: ${error}`];
+    const groups = captureGroupCount(regex);
+    const errors = [];
+    for (const [field, entry] of Object.entries(pattern.capture_groups || {})) {
+      const { group } = captureGroupSpec(entry);
+      if (!Number.isInteger(group) || group < 1 || group > groups) {
+        errors.push(`${at}.capture_groups.${field}: group ${group} does not exist (pattern has ${groups} capture group(s))`);
+      }
+    }
+    return errors;
+  }
+});
+
+// --- keywords: whole words/phrases, any (default) or all of them ---
+
+function containsKeyword(text, keyword) {
+  return new RegExp(`(?<![a-z0-9])${escapeRegex(keyword)}(?![a-z0-9])`, "i").test(text);
+}
+
+registerPatternType("keywords", {
+  match(pattern, { text }) {
+    const test = (keyword) => containsKeyword(text, keyword);
+    const matched = pattern.match === "all" ? pattern.keywords.every(test) : pattern.keywords.some(test);
+    return matched ? {} : null;
+  },
+  validate(pattern, at) {
+    const errors = noCaptures(pattern, at);
+    if (!Array.isArray(pattern.keywords) || pattern.keywords.length === 0
+      || !pattern.keywords.every((k) => typeof k === "string" && k.trim())) {
+      errors.push(`${at}.keywords: must be a non-empty list of strings`);
+    }
+    if (pattern.match !== undefined && pattern.match !== "all" && pattern.match !== "any") {
+      errors.push(`${at}.match: must be "all" or "any"`);
+    }
+    return errors;
+  }
+});
+
+// --- fuzzy: a phrase that may be misspelled (edit distance over word windows) ---
+
+function words(text) {
+  return text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/** Default tolerance: one edit per 5 characters of the phrase, at least 1. */
+function fuzzyLimit(pattern, phrase) {
+  return pattern.max_distance ?? Math.max(1, Math.floor(phrase.length / 5));
+}
+
+registerPatternType("fuzzy", {
+  match(pattern, { text }) {
+    const phraseWords = words(pattern.pattern);
+    const phrase = phraseWords.join(" ");
+    const limit = fuzzyLimit(pattern, phrase);
+    const textWords = words(text);
+    // Windows one word shorter/longer than the phrase also catch merged or split words ("diskutilization")
+    for (let size = Math.max(1, phraseWords.length - 1); size <= phraseWords.length + 1; size++) {
+      for (let i = 0; i + size <= textWords.length; i++) {
+        if (editDistance(textWords.slice(i, i + size).join(" "), phrase, limit) <= limit) return {};
+      }
+    }
+    return null;
+  },
+  validate(pattern, at) {
+    const errors = noCaptures(pattern, at);
+    if (typeof pattern.pattern !== "string" || words(pattern.pattern).length === 0) {
+      errors.push(`${at}.pattern: must be a phrase with at least one word`);
+    }
+    if (pattern.max_distance !== undefined && (!Number.isInteger(pattern.max_distance) || pattern.max_distance < 0)) {
+      errors.push(`${at}.max_distance: must be a non-negative integer`);
+    }
+    return errors;
+  }
+});
+
+// --- jsonpath: fields from a JSON body or the message's attachments ---
+
+/**
+ * Parse the supported JSONPath subset: $, .key, ['key'], [0], [*], .*, ..key (recursive).
+ * @returns {Array<{ descend?: boolean, key?: string, index?: number, wildcard?: boolean }>}
+ */
+export function parseJsonPath(path) {
+  if (typeof path !== "string" || !path.startsWith("$")) throw new Error("must start with $");
+  const steps = [];
+  let i = 1;
+  while (i < path.length) {
+    let descend = false;
+    if (path.startsWith("..", i)) {
+      descend = true;
+      i += 2;
+    } else if (path[i] === ".") {
+      i += 1;
+    } else if (path[i] !== "[") {
+      throw new Error(`unexpected "${path[i]}" at position ${i}`);
+    }
+    if (path[i] === "[") {
+      const end = path.indexOf("]", i);
+      if (end === -1) throw new Error(`unclosed [ at position ${i}`);
+      const inner = path.slice(i + 1, end).trim();
+      i = end + 1;
+      if (inner === "*") steps.push({ descend, wildcard: true });
+      else if (/^\d+$/.test(inner)) steps.push({ descend, index: Number(inner) });
+      else if (/^(['"]).*\1$/.test(inner)) steps.push({ descend, key: inner.slice(1, -1) });
+      else throw new Error(`unsupported selector [${inner}]`);
+    } else {
+      const name = /^(\*|[A-Za-z0-9_$-]+)/.exec(path.slice(i))?.[0];
+      if (!name) throw new Error(`missing name at position ${i}`);
+      i += name.length;
+      steps.push(name === "*" ? { descend, wildcard: true } : { descend, key: name });
+    }
+  }
+  return steps;
+}
+
+function children(node) {
+  if (Array.isArray(node)) return node;
+  return node !== null && typeof node === "object" ? Object.values(node) : [];
+}
+
+function descendants(node) {
+  return [node, ...children(node).flatMap(descendants)];
+}
+
+function selectStep(node, step) {
+  if (step.wildcard) return children(node);
+  if (step.index !== undefined) return Array.isArray(node) && step.index < node.length ? [node[step.index]] : [];
+  return node !== null && typeof node === "object" && !Array.isArray(node) && step.key in node ? [node[step.key]] : [];
+}
+
+/** Every value the path selects in `json`, in document order. */
+export function queryJsonPath(json, path) {
+  let nodes = [json];
+  for (const step of parseJsonPath(path)) {
+    nodes = nodes.flatMap((node) => (step.descend ? descendants(node) : [node]).flatMap((n) => selectStep(n, step)));
+  }
+  return nodes;
+}
+
+/** First scalar the path selects, as a string (patterns capture strings, like regex groups). */
+function firstScalar(json, path) {
+  const value = queryJsonPath(json, path).find((v) => v !== null && v !== undefined && typeof v !== "object");
+  return value === undefined ? undefined : String(value);
+}
+
+registerPatternType("jsonpath", {
+  match(pattern, { json }) {
+    if (json === null || json === undefined) return null;
+    // `pattern` (optional) must select a value, and match `matches` when given
+    if (pattern.pattern) {
+      const value = firstScalar(json, pattern.pattern);
+      if (value === undefined) return null;
+      if (pattern.matches && !new RegExp(pattern.matches, "i").test(value)) return null;
+    }
+    const values = {};
+    for (const [field, entry] of Object.entries(pattern.capture_groups || {})) {
+      const value = firstScalar(json, captureGroupSpec(entry).path);
+      if (value !== undefined) values[field] = value;
+    }
+    if (!pattern.pattern && Object.keys(values).length === 0) return null;
+    return values;
+  },
+  validate(pattern, at) {
+    const errors = [];
+    const paths = [];
+    if (pattern.pattern !== undefined) paths.push([`${at}.pattern`, pattern.pattern]);
+    for (const [field, entry] of Object.entries(pattern.capture_groups || {})) {
+      paths.push([`${at}.capture_groups.${field}`, captureGroupSpec(entry).path]);
+    }
+    if (paths.length === 0) errors.push(`${at}: needs a pattern path or capture_groups`);
+    for (const [where, path] of paths) {
+      try {
+        parseJsonPath(path);
+      } catch (err) {
+        errors.push(`${where}: invalid JSONPath ${JSON.stringify(path)}: ${err.message}`);
+      }
+    }
+    if (pattern.matches !== undefined) {
+      const [regex, error] = compileRegex(pattern.matches);
+      if (!regex) errors.push(`${at}.matches: regex does not compile: ${error}`);
+    }
+    return errors;
+  }
+});
@@ -0,0 +1,147 @@
+/**
+ * policy:lint — check a policies file without starting the bot:
+ * - structure against config/policies.schema.json
+ * - the same semantic checks run on startup and hot reload (policyValidator.js)
+ * - every policy's sample_texts must still be parsed as that policy (patterns only, no LLM)
+ * - verify_firing_when must agree with the direction of those samples (value_percent vs threshold_percent)
+ *
+ * Usage: npm run policy:lint [-- path/to/policies.json] [--strict]
+ * Exits 1 on errors (or on warnings with --strict).
+ */
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join, resolve } from "path";
+import Ajv from "ajv";
+import { validatePoliciesData } from "./policyValidator.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCHEMA_PATH = join(__dirname, "../../config/policies.schema.json");
+
+/** JSON pointer (/policies/2/patterns/0) -> policies[2] (alert_type).patterns[0] */
+function formatLocation(pointer, data) {
+  const parts = pointer.split("/").slice(1).map((p) => p.replace(/~1/g, "/").replace(/~0/g, "~"));
+  let location = "";
+  let node = data;
+  for (const part of parts) {
+    if (Array.isArray(node)) {
+      location += `[${part}]`;
+    } else {
+      location += location ? `.${part}` : part;
+    }
+    node = node?.[part];
+    if (location.match(/^policies\[\d+\]$/) && node?.alert_type) location += ` (${node.alert_type})`;
+  }
+  return location || "(root)";
+}
+
+function schemaErrors(data) {
+  const schema = JSON.parse(readFileSync(SCHEMA_PATH, "utf8"));
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+  const validate = ajv.compile(schema);
+  if (validate(data)) return [];
+
+  const seen = new Set();
+  const errors = [];
+  for (const err of validate.errors) {
+    // oneOf failures repeat every branch's error, and if/then only says "must match then"; the branch errors are more useful
+    if (err.keyword === "oneOf" || err.keyword === "if") continue;
+    // ...but a branch whose type didn't fit is noise when another branch reported something about the value
+    const related = (other) => other.instancePath === err.instancePath || other.instancePath.startsWith(`${err.instancePath}/`);
+    if (err.keyword === "type"
+      && validate.errors.some((other) => other.keyword === "oneOf" && other.instancePath === err.instancePath)
+      && validate.errors.some((other) => other.keyword !== "oneOf" && other.keyword !== "type" && related(other))) continue;
+    let message = err.message;
+    if (err.keyword === "additionalProperties") message = `unknown property "${err.params.additionalProperty}"`;
+    if (err.keyword === "enum") message = `must be one of ${err.params.allowedValues.join(", ")}`;
+    const line = `${formatLocation(err.instancePath, data)}: ${message}`;
+    if (!seen.has(line)) {
+      seen.add(line);
+      errors.push(line);
+    }
+  }
+  return errors;
+}
+
+/** "Unexpected token } in JSON at position 120" -> "line 7, column 3" */
+function jsonErrorLocation(raw, error) {
+  const position = Number(/at position (\d+)/.exec(error.message)?.[1]);
+  if (!Number.isInteger(position)) return "";
+  const before = raw.slice(0, position).split("\n");
+  return ` (line ${before.length}, column ${before[before.length - 1].length + 1})`;
+}
+
+async function sampleTextIssues(data) {
+  const { parseAlert } = await import("./parserEngine.js");
+  const { inferFiringWhen } = await import("../verify/verification.js");
+  const errors = [];
+  const warnings = [];
+  for (const [i, policy] of data.policies.entries()) {
+    const where = `policies[${i}] (${policy.alert_type})`;
+    // Policies that rely on the LLM are expected to miss some samples with patterns alone
+    const reliesOnLLM = policy.extraction_rules?.parse_method === "llm";
+    for (const [j, text] of (policy.sample_texts || []).entries()) {
+      const result = await parseAlert(text, { useLLM: false });
+      const matchedType = result.matched ? result.policy?.alert_type ?? result.parsed?.alert_type : null;
+      if (matchedType === policy.alert_type) {
+        const fired = policy.verify_firing_when ? inferFiringWhen(result.parsed) : null;
+        if (fired && fired !== policy.verify_firing_when) {
+          errors.push(`${where}.verify_firing_when: "${policy.verify_firing_when}" but sample_texts[${j}] fired ${fired} its threshold`);
+        }
+        continue;
+      }
+      const problem = matchedType
+        ? `${where}.sample_texts[${j}]: parsed as "${matchedType}" instead`
+        : `${where}.sample_texts[${j}]: not matched by any policy pattern`;
+      (reliesOnLLM ? warnings : errors).push(reliesOnLLM ? `${problem} (parse_method "llm")` : problem);
+    }
+  }
+  return { errors, warnings };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const strict = args.includes("--strict");
+  const fileArg = args.find((a) => !a.startsWith("--"));
+  // parserEngine resolves the policies file from POLICIES_PATH, so the sample check loads the same file
+  if (fileArg) process.env.POLICIES_PATH = resolve(fileArg);
+  const { policiesFilePath } = await import("./parserEngine.js");
+  const file = policiesFilePath();
+
+  let raw;
+  let data;
+  try {
+    raw = readFileSync(file, "utf8");
+    data = JSON.parse(raw);
+  } catch (error) {
+    console.error(`✖ ${file}: ${error.message}${raw ? jsonErrorLocation(raw, error) : ""}`);
+    process.exit(1);
+  }
+
+  const errors = schemaErrors(data);
+  const semantic = validatePoliciesData(data);
+  // Both checks flag some problems (e.g. an unknown decision); report each location once
+  const reported = new Set(errors.map((e) => e.slice(0, e.indexOf(": "))));
+  const unreported = (issue) => !reported.has(issue.slice(0, issue.indexOf(": ")));
+  errors.push(...semantic.errors.filter(unreported));
+  const warnings = semantic.warnings.filter(unreported);
+
+  if (semantic.errors.length === 0 && Array.isArray(data.policies)) {
+    const samples = await sampleTextIssues(data);
+    errors.push(...samples.errors);
+    warnings.push(...samples.warnings);
+  } else {
+    warnings.push("sample_texts not checked: fix the errors above first");
+  }
+
+  console.log(file);
+  errors.forEach((e) => console.log(`  error    ${e}`));
+  warnings.forEach((w) => console.log(`  warning  ${w}`));
+  const failed = errors.length > 0 || (strict && warnings.length > 0);
+  console.log(`${failed ? "✖" : "✔"} ${errors.length} error(s), ${warnings.length} warning(s)`);
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,86 @@
+/**
+ * Policy hot reload: re-read policies.json on demand (admin endpoint) or when the file changes
+ * (POLICIES_HOT_RELOAD=true), and post the outcome to POLICY_ADMIN_CHANNEL.
+ */
+import { watchFile, unwatchFile } from "fs";
+import { reloadPolicies, policiesFilePath } from "./parserEngine.js";
+import { resolveChannelForPost } from "../slack/channels.js";
+
+const MAX_LISTED = 20;
+
+function bulletList(items) {
+  const shown = items.slice(0, MAX_LISTED).map((item) => `• ${item}`);
+  if (items.length > MAX_LISTED) shown.push(`… and ${items.length - MAX_LISTED} more`);
+  return shown.join("\n");
+}
+
+/** Slack mrkdwn summary of a reloadPolicies() result. */
+export function formatReloadSummary(result, source) {
+  const file = result.path ? ` (\`${result.path}\`)` : "";
+  if (!result.ok) {
+    return `❌ *Policy reload rejected*${file} — triggered by ${source}. Current policies stay active.\n\n*Errors:*\n${bulletList(result.errors)}`
+      + (result.warnings.length ? `\n\n*Warnings:*\n${bulletList(result.warnings)}` : "");
+  }
+  const { added, removed, changed } = result.diff;
+  const sections = [];
+  if (added.length) sections.push(`*Added:*\n${bulletList(added)}`);
+  if (removed.length) sections.push(`*Removed:*\n${bulletList(removed)}`);
+  if (changed.length) sections.push(`*Changed:*\n${bulletList(changed)}`);
+  if (result.warnings.length) sections.push(`*Warnings:*\n${bulletList(result.warnings)}`);
+  const headline = added.length || removed.length || changed.length
+    ? `🔄 *Policies reloaded*${file} — triggered by ${source}`
+    : `🔄 *Policies reloaded*${file} — triggered by ${source}. No policy changes.`;
+  return [headline, ...sections].join("\n\n");
+}
+
+async function postSummary(client, text) {
+  const channelRef = process.env.POLICY_ADMIN_CHANNEL?.trim();
+  if (!channelRef || !client) return;
+  try {
+    const channel = await resolveChannelForPost(client, channelRef);
+    if (!channel) {
+      console.warn(`[policies] POLICY_ADMIN_CHANNEL ${channelRef} not found (is the bot a member?)`);
+      return;
+    }
+    await client.chat.postMessage({ channel, text, blocks: [{ type: "section", text: { type: "mrkdwn", text } }] });
+  } catch (err) {
+    console.warn("[policies] Failed to post reload summary:", err?.message || err);
+  }
+}
+
+/**
+ * Reload policies, log the outcome and post it to POLICY_ADMIN_CHANNEL (if set).
+ * @param {Object} opts
+ * @param {Object} [opts.client] - Slack WebClient for the admin summary
+ * @param {string} opts.source - Who/what triggered the reload, shown in the summary
+ * @returns {ReturnType<typeof reloadPolicies>}
+ */
+export async function reloadAndReport({ client = null, source }) {
+  const result = reloadPolicies();
+  if (result.ok) {
+    const { added, removed, changed } = result.diff;
+    console.log(`[policies] Reloaded from ${result.path} (${source}): +${added.length} -${removed.length} ~${changed.length}`);
+  } else {
+    console.warn(`[policies] Reload rejected (${source}):\n  ${result.errors.join("\n  ")}`);
+  }
+  result.warnings.forEach((w) => console.warn(`[policies] Warning: ${w}`));
+  await postSummary(client, formatReloadSummary(result, source));
+  return result;
+}
+
+/**
+ * Watch the policies file and reload on change. Polls (fs.watchFile) so it also works for
+ * editors that replace the file and for mounted ConfigMaps.
+ * @returns {() => void} stop function
+ */
+export function startPolicyWatcher(client) {
+  const file = policiesFilePath();
+  const interval = parseInt(process.env.POLICIES_WATCH_INTERVAL_MS || "2000", 10);
+  const listener = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    reloadAndReport({ client, source: "file change" }).catch((err) => console.warn("[policies] Reload failed:", err?.message || err));
+  };
+  watchFile(file, { interval, persistent: false }, listener);
+  console.log(`[policies] Watching ${file} for changes (every ${interval}ms)`);
+  return () => unwatchFile(file, listener);
+}
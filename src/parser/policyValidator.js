@@ -0,0 +1,379 @@
+/**
+ * Full validation of a parsed policies file (used on startup and before every hot reload),
+ * plus a per-policy diff for reload summaries.
+ */
+import { SUPPORTED_MCP_TOOLS } from "../report/formatReport.js";
+import { tokenizeCommand } from "../services/automation/gcloudCommand.js";
+import { FIELD_TYPES, FIELD_TRANSFORMS, captureGroupSpec } from "./fieldTypes.js";
+import { getPatternType, patternTypeNames, compileRegex } from "./patternTypes.js";
+import { CONDITION_OPERATORS, CONDITION_COMBINATORS, CONTEXT_FIELDS, FREEZE_MODES } from "../decision/decide.js";
+import { dailyWindowErrors } from "../decision/clock.js";
+
+const KNOWN_DECISIONS = ["NEEDS_APPROVAL", "AUTO_REPLACE", "NO_ACTION", "BLOCKED"];
+const COMMAND_TEMPLATE_FIELDS = ["preview_template", "verify_template", "rollback_template", "revert_template"];
+
+function checkCommandTemplate(template, where, errors) {
+  if (typeof template !== "string" || !template.trim()) {
+    errors.push(`${where}: must be a non-empty string`);
+    return;
+  }
+  if (template.startsWith("MCP:")) {
+    const tool = template.substring(4);
+    if (!SUPPORTED_MCP_TOOLS.includes(tool)) {
+      errors.push(`${where}: unknown MCP tool "${tool}" (supported: ${SUPPORTED_MCP_TOOLS.join(", ")})`);
+    }
+    return;
+  }
+  try {
+    // Placeholders are filled with single safe tokens at runtime
+    tokenizeCommand(template.replace(/\{[a-zA-Z0-9_]+\}/g, "x"));
+  } catch (err) {
+    errors.push(`${where}: ${err.message}`);
+  }
+}
+
+function validatePatterns(policy, where, errors) {
+  if (policy.patterns === undefined) return;
+  if (!Array.isArray(policy.patterns)) {
+    errors.push(`${where}.patterns: must be an array`);
+    return;
+  }
+  policy.patterns.forEach((pattern, i) => {
+    const at = `${where}.patterns[${i}]`;
+    const patternType = getPatternType(pattern?.type);
+    if (!patternType) {
+      errors.push(`${at}: unsupported pattern type "${pattern?.type}" (supported: ${patternTypeNames().join(", ")})`);
+      return;
+    }
+    if (pattern.required !== undefined && typeof pattern.required !== "boolean") {
+      errors.push(`${at}.required: must be true or false`);
+    }
+    errors.push(...(patternType.validate?.(pattern, at) || []));
+    for (const [field, entry] of Object.entries(pattern.capture_groups || {})) {
+      validateFieldType(captureGroupSpec(entry), `${at}.capture_groups.${field}`, errors);
+    }
+  });
+  validateFieldTypeConflicts(policy, where, errors);
+}
+
+function validateFieldType(spec, at, errors) {
+  if (spec.type !== undefined && !FIELD_TYPES.includes(spec.type)) {
+    errors.push(`${at}.type: unknown type "${spec.type}" (supported: ${FIELD_TYPES.join(", ")})`);
+  }
+  if (spec.transform !== undefined && !FIELD_TRANSFORMS.includes(spec.transform)) {
+    errors.push(`${at}.transform: unknown transform "${spec.transform}" (supported: ${FIELD_TRANSFORMS.join(", ")})`);
+  }
+  if (spec.type === "enum" && (!Array.isArray(spec.values) || spec.values.length === 0 || !spec.values.every((v) => typeof v === "string"))) {
+    errors.push(`${at}.values: enum fields need a non-empty list of strings`);
+  } else if (spec.values !== undefined && spec.type !== "enum") {
+    errors.push(`${at}.values: only used with type "enum"`);
+  }
+}
+
+/** A field captured by several patterns must have the same type everywhere (one schema per policy). */
+function validateFieldTypeConflicts(policy, where, errors) {
+  const seen = {};
+  for (const pattern of policy.patterns) {
+    for (const [field, entry] of Object.entries(pattern?.capture_groups || {})) {
+      const { type = null, transform = null, values = null } = captureGroupSpec(entry);
+      const signature = JSON.stringify({ type, transform, values });
+      if (seen[field] !== undefined && seen[field] !== signature) {
+        errors.push(`${where}.patterns: "${field}" is captured with different types`);
+      }
+      seen[field] = signature;
+    }
+  }
+}
+
+const NUMERIC_OPERATORS = ["gt", "gte", "lt", "lte"];
+
+function validateOperator(op, arg, at, errors) {
+  if (NUMERIC_OPERATORS.includes(op) && !Number.isFinite(arg)) {
+    errors.push(`${at}.${op}: must be a number`);
+  } else if (op === "between" && !(Array.isArray(arg) && arg.length === 2 && arg.every(Number.isFinite) && arg[0] <= arg[1])) {
+    errors.push(`${at}.between: must be [min, max] numbers`);
+  } else if ((op === "in" || op === "notIn") && !Array.isArray(arg)) {
+    errors.push(`${at}.${op}: must be an array`);
+  } else if (op === "exists" && typeof arg !== "boolean") {
+    errors.push(`${at}.exists: must be true or false`);
+  } else if ((op === "startsWith" || op === "contains") && typeof arg !== "string") {
+    errors.push(`${at}.${op}: must be a string`);
+  } else if (op === "matches") {
+    const [regex, error] = compileRegex(arg, "");
+    if (!regex) errors.push(`${at}.matches: regex does not compile: ${error}`);
+  }
+}
+
+/** A decision rule condition: field / context.* conditions and all / any / not combinators, recursively. */
+function validateCondition(condition, at, errors) {
+  if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+    errors.push(`${at}: must be a condition object`);
+    return;
+  }
+  for (const [key, fieldCondition] of Object.entries(condition)) {
+    const where = `${at}.${key}`;
+    if (key === "all" || key === "any") {
+      if (!Array.isArray(fieldCondition) || fieldCondition.length === 0) errors.push(`${where}: must be a non-empty array of conditions`);
+      else fieldCondition.forEach((c, i) => validateCondition(c, `${where}[${i}]`, errors));
+      continue;
+    }
+    if (key === "not") {
+      validateCondition(fieldCondition, where, errors);
+      continue;
+    }
+    if (key.startsWith("context.") && !CONTEXT_FIELDS.includes(key.substring("context.".length))) {
+      errors.push(`${where}: unknown context field (supported: ${CONTEXT_FIELDS.map((f) => `context.${f}`).join(", ")})`);
+    }
+    if (fieldCondition === null || typeof fieldCondition !== "object") continue;
+    if (Array.isArray(fieldCondition)) {
+      errors.push(`${where}: use { "in": [...] } to match a list of values`);
+      continue;
+    }
+    const operators = Object.keys(fieldCondition);
+    const unknown = operators.filter((op) => !CONDITION_OPERATORS.includes(op));
+    if (unknown.length > 0) {
+      const hint = CONDITION_COMBINATORS.some((c) => unknown.includes(c)) ? "; all / any / not go at condition level" : "";
+      errors.push(`${where}: unknown operator "${unknown.join('", "')}" (supported: ${CONDITION_OPERATORS.join(", ")})${hint}`);
+      continue;
+    }
+    if (operators.length === 0) errors.push(`${where}: empty operator object`);
+    for (const op of operators) validateOperator(op, fieldCondition[op], where, errors);
+  }
+}
+
+function validateDecisions(policy, where, errors, warnings) {
+  if (policy.default_decision && !KNOWN_DECISIONS.includes(policy.default_decision)) {
+    warnings.push(`${where}.default_decision: unknown decision "${policy.default_decision}"`);
+  }
+  if (policy.oncall_schedule !== undefined && (typeof policy.oncall_schedule !== "string" || !policy.oncall_schedule)) {
+    errors.push(`${where}.oncall_schedule: must be a schedule name`);
+  }
+  if (policy.decision_rules === undefined) return;
+  if (!Array.isArray(policy.decision_rules)) {
+    errors.push(`${where}.decision_rules: must be an array`);
+    return;
+  }
+  policy.decision_rules.forEach((rule, i) => {
+    const at = `${where}.decision_rules[${i}]`;
+    if (!rule.condition || typeof rule.condition !== "object") errors.push(`${at}: missing condition object`);
+    else validateCondition(rule.condition, `${at}.condition`, errors);
+    if (!rule.decision) errors.push(`${at}: missing decision`);
+    else if (!KNOWN_DECISIONS.includes(rule.decision)) warnings.push(`${at}: unknown decision "${rule.decision}"`);
+    if (rule.require_approval_from !== undefined && rule.require_approval_from !== "oncall") {
+      errors.push(`${at}.require_approval_from: must be "oncall"`);
+    }
+    if (rule.oncall_schedule !== undefined && (typeof rule.oncall_schedule !== "string" || !rule.oncall_schedule)) {
+      errors.push(`${at}.oncall_schedule: must be a schedule name`);
+    }
+  });
+}
+
+function validateActions(policy, where, errors) {
+  if (policy.action_template !== undefined && policy.action_template !== null) {
+    checkCommandTemplate(policy.action_template, `${where}.action_template`, errors);
+  }
+  if (policy.action_templates !== undefined) {
+    if (!Array.isArray(policy.action_templates)) {
+      errors.push(`${where}.action_templates: must be an array`);
+    } else {
+      policy.action_templates.forEach((entry, i) => {
+        const at = `${where}.action_templates[${i}]`;
+        checkCommandTemplate(entry.template, `${at}.template`, errors);
+        if (entry.gcloud_command_template) checkCommandTemplate(entry.gcloud_command_template, `${at}.gcloud_command_template`, errors);
+        for (const field of COMMAND_TEMPLATE_FIELDS) {
+          if (entry[field]) checkCommandTemplate(entry[field], `${at}.${field}`, errors);
+        }
+      });
+    }
+  }
+  for (const field of COMMAND_TEMPLATE_FIELDS) {
+    if (policy[field]) checkCommandTemplate(policy[field], `${where}.${field}`, errors);
+  }
+  if (policy.verify_value_regex) {
+    const [regex, error] = compileRegex(policy.verify_value_regex, "m");
+    if (!regex) errors.push(`${where}.verify_value_regex: regex does not compile: ${error}`);
+  }
+}
+
+function validateAllowlist(allowlist, where, errors) {
+  if (allowlist === undefined) return;
+  if (!allowlist || typeof allowlist !== "object" || Array.isArray(allowlist)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  for (const key of ["commands", "projects", "denied_flags"]) {
+    const value = allowlist[key];
+    if (value !== undefined && (!Array.isArray(value) || value.some((v) => typeof v !== "string"))) {
+      errors.push(`${where}.${key}: must be an array of strings`);
+    }
+  }
+}
+
+/**
+ * auto_execute, per policy ({ enabled, max_per_hour, blackout }) or top-level
+ * ({ max_blast_radius_per_hour, blackout }).
+ */
+function validateAutoExecute(config, where, limitKey, errors) {
+  if (config === undefined) return;
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+  if (config.enabled !== undefined && typeof config.enabled !== "boolean") errors.push(`${where}.enabled: must be true or false`);
+  if (config[limitKey] !== undefined && (!Number.isInteger(config[limitKey]) || config[limitKey] < 1)) {
+    errors.push(`${where}.${limitKey}: must be a positive integer`);
+  }
+  if (config.blackout !== undefined) {
+    if (!Array.isArray(config.blackout)) errors.push(`${where}.blackout: must be an array`);
+    else config.blackout.forEach((window, i) => errors.push(...dailyWindowErrors(window, `${where}.blackout[${i}]`)));
+  }
+}
+
+/** freeze_windows: change freezes from the policies file ({ name, start, end, mode, alert_types, project_ids, created_by }). */
+function validateFreezeWindows(windows, alertTypes, errors, warnings) {
+  if (windows === undefined) return;
+  if (!Array.isArray(windows)) {
+    errors.push("freeze_windows: must be an array");
+    return;
+  }
+  windows.forEach((freeze, i) => {
+    const at = `freeze_windows[${i}]`;
+    if (!freeze || typeof freeze !== "object" || Array.isArray(freeze)) {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+    const times = ["start", "end"].map((key) => {
+      const time = typeof freeze[key] === "string" ? Date.parse(freeze[key]) : NaN;
+      if (Number.isNaN(time)) errors.push(`${at}.${key}: must be an ISO date/time (e.g. "2026-11-27T00:00:00Z")`);
+      return time;
+    });
+    if (times[1] <= times[0]) errors.push(`${at}: end must be after start`);
+    if (freeze.mode !== undefined && !Object.hasOwn(FREEZE_MODES, freeze.mode)) {
+      errors.push(`${at}.mode: must be one of ${Object.keys(FREEZE_MODES).join(", ")}`);
+    }
+    for (const key of ["name", "created_by"]) {
+      if (freeze[key] !== undefined && typeof freeze[key] !== "string") errors.push(`${at}.${key}: must be a string`);
+    }
+    for (const key of ["alert_types", "project_ids"]) {
+      if (freeze[key] !== undefined && !isStringList(freeze[key])) errors.push(`${at}.${key}: must be an array of strings`);
+    }
+    for (const alertType of isStringList(freeze.alert_types) ? freeze.alert_types : []) {
+      if (!alertTypes.has(alertType)) warnings.push(`${at}.alert_types: no policy "${alertType}"`);
+    }
+  });
+}
+
+const isStringList = (value) => Array.isArray(value) && value.every((v) => typeof v === "string");
+
+/** channel_subscriptions: which bot/integration messages are parsed without an @mention. */
+function validateSubscriptions(subscriptions, alertTypes, errors, warnings) {
+  if (subscriptions === undefined) return;
+  if (!Array.isArray(subscriptions)) {
+    errors.push("channel_subscriptions: must be an array");
+    return;
+  }
+  subscriptions.forEach((sub, i) => {
+    const at = `channel_subscriptions[${i}]`;
+    if (!sub || typeof sub !== "object") {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+    if (typeof sub.channel !== "string" || !sub.channel.trim()) errors.push(`${at}.channel: must be a channel ID or #name`);
+    for (const key of ["bot_ids", "app_ids", "integrations", "alert_types"]) {
+      if (sub[key] !== undefined && !isStringList(sub[key])) errors.push(`${at}.${key}: must be an array of strings`);
+    }
+    if (![sub.bot_ids, sub.app_ids, sub.integrations].some((list) => Array.isArray(list) && list.length > 0)) {
+      errors.push(`${at}: needs at least one of bot_ids, app_ids or integrations`);
+    }
+    for (const alertType of isStringList(sub.alert_types) ? sub.alert_types : []) {
+      if (!alertTypes.has(alertType)) warnings.push(`${at}.alert_types: no policy "${alertType}"`);
+    }
+    if (sub.dedupe_window_sec !== undefined && (!Number.isInteger(sub.dedupe_window_sec) || sub.dedupe_window_sec < 0)) {
+      errors.push(`${at}.dedupe_window_sec: must be a non-negative integer`);
+    }
+    if (sub.use_llm !== undefined && typeof sub.use_llm !== "boolean") errors.push(`${at}.use_llm: must be true or false`);
+  });
+}
+
+/**
+ * Validate a parsed policies file.
+ * @returns {{ errors: string[], warnings: string[] }} errors block loading; warnings are logged
+ */
+export function validatePoliciesData(data) {
+  const errors = [];
+  const warnings = [];
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { errors: ["Policies file must contain a JSON object"], warnings };
+  }
+  if (!Array.isArray(data.policies)) {
+    return { errors: ["Policies file must contain a 'policies' array"], warnings };
+  }
+
+  if (data.help_triggers !== undefined) {
+    if (!Array.isArray(data.help_triggers)) {
+      errors.push("help_triggers: must be an array");
+    } else {
+      data.help_triggers.forEach((t, i) => {
+        if (t.type !== "regex") return;
+        const [regex, error] = compileRegex(t.pattern);
+        if (!regex) errors.push(`help_triggers[${i}]: regex does not compile: ${error}`);
+      });
+    }
+  }
+  validateAllowlist(data.gcloud_allowlist, "gcloud_allowlist", errors);
+  validateAutoExecute(data.auto_execute, "auto_execute", "max_blast_radius_per_hour", errors);
+
+  const seen = new Set();
+  data.policies.forEach((policy, i) => {
+    const where = policy?.alert_type ? `policies[${i}] (${policy.alert_type})` : `policies[${i}]`;
+    if (!policy || typeof policy !== "object") {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (!policy.alert_type) errors.push(`${where}: missing alert_type`);
+    else if (seen.has(policy.alert_type)) errors.push(`${where}: duplicate alert_type`);
+    seen.add(policy.alert_type);
+    if (!policy.name) warnings.push(`${where}: missing name`);
+    if (policy.priority !== undefined && !Number.isFinite(policy.priority)) {
+      errors.push(`${where}.priority: must be a number`);
+    }
+    if (policy.match !== undefined && !["all", "any"].includes(policy.match)) {
+      errors.push(`${where}.match: must be "all" or "any"`);
+    }
+    if (policy.required_fields !== undefined && (!Array.isArray(policy.required_fields) || policy.required_fields.some((f) => typeof f !== "string"))) {
+      errors.push(`${where}.required_fields: must be an array of field names`);
+    }
+    if (policy.extraction_rules !== undefined && (typeof policy.extraction_rules !== "object" || Array.isArray(policy.extraction_rules))) {
+      errors.push(`${where}.extraction_rules: must be an object`);
+    }
+
+    validatePatterns(policy, where, errors);
+    validateDecisions(policy, where, errors, warnings);
+    validateActions(policy, where, errors);
+    validateAllowlist(policy.gcloud_allowlist, `${where}.gcloud_allowlist`, errors);
+    validateAutoExecute(policy.auto_execute, `${where}.auto_execute`, "max_per_hour", errors);
+    if (policy.auto_execute?.enabled === true && !policy.rollback_template && !policy.action_templates?.some((t) => t.rollback_template)) {
+      warnings.push(`${where}.auto_execute: no rollback_template, so automatic actions can't be undone from Slack`);
+    }
+  });
+  validateSubscriptions(data.channel_subscriptions, seen, errors, warnings);
+  validateFreezeWindows(data.freeze_windows, seen, errors, warnings);
+
+  return { errors, warnings };
+}
+
+/**
+ * Compare two policy lists by alert_type.
+ * @returns {{ added: string[], removed: string[], changed: string[] }}
+ */
+export function diffPolicies(previous, next) {
+  const byType = (list) => new Map((list || []).map((p) => [p.alert_type, JSON.stringify(p)]));
+  const before = byType(previous);
+  const after = byType(next);
+  return {
+    added: [...after.keys()].filter((t) => !before.has(t)),
+    removed: [...before.keys()].filter((t) => !after.has(t)),
+    changed: [...after.keys()].filter((t) => before.has(t) && before.get(t) !== after.get(t)),
+  };
+}
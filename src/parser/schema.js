@@ -1,5 +1,10 @@
 import { z } from "zod";
+import { policyFieldTypes, zodForField } from "./fieldTypes.js";
 
+/**
+ * Fields every parsed alert has. Policies narrow their own fields through typed capture_groups
+ * (see schemaForPolicy); untyped captures stay strings, hence the string types below.
+ */
 export const ParsedAlertSchema = z.object({
   alert_type: z.string(),
   project_id: z.string().nullable(),
@@ -35,8 +40,28 @@ export const ParsedDiskAlertSchema = ParsedAlertSchema.extend({
   alert_type: z.literal("disk_utilization_low")
 });
 
-export function validateParsedAlert(o) {
-  return ParsedAlertSchema.parse(o);
+const policySchemas = new WeakMap();
+
+/** ParsedAlertSchema with the policy's typed capture_groups fields; cached per policy object (reloads build new ones). */
+export function schemaForPolicy(policy) {
+  if (!policy) return ParsedAlertSchema;
+  let schema = policySchemas.get(policy);
+  if (!schema) {
+    const typed = Object.fromEntries(
+      Object.entries(policyFieldTypes(policy)).map(([field, spec]) => [field, zodForField(spec)])
+    );
+    schema = Object.keys(typed).length > 0 ? ParsedAlertSchema.extend(typed) : ParsedAlertSchema;
+    policySchemas.set(policy, schema);
+  }
+  return schema;
+}
+
+/**
+ * @param {Object} o - Parsed alert
+ * @param {Object} [policy] - Matched policy; its typed fields are checked too
+ */
+export function validateParsedAlert(o, policy = null) {
+  return schemaForPolicy(policy).parse(o);
 }
 
 export function validateParsedDiskAlert(o) {
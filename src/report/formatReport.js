@@ -1,4 +1,22 @@
 import { generateTerragruntAutoscalerDiff, generateMachineTypeDiff } from "./mcpClient.js";
+import { unsafeTemplateValues } from "../services/automation/gcloudCommand.js";
+
+/** MCP tools that "MCP:<tool>" action templates may reference (each has a branch in formatActionTemplate). */
+export const SUPPORTED_MCP_TOOLS = [
+  "execute_gcloud_scale_up",
+  "generate_terragrunt_autoscaler_diff",
+  "generate_machine_type_diff",
+  "generate_scaling_schedule_yaml_diff",
+  "create_scaling_schedule_pr",
+];
+
+/** Parsed fields each MCP tool can't run without (collected from the user when missing). */
+export const MCP_TOOL_FIELDS = {
+  generate_terragrunt_autoscaler_diff: ["service_name"],
+  generate_machine_type_diff: ["environment", "service_name", "current_machine_type", "target_machine_type"],
+  generate_scaling_schedule_yaml_diff: ["schedule", "duration", "ticket_number"],
+  create_scaling_schedule_pr: ["schedule", "duration", "ticket_number"],
+};
 
 async function formatActionTemplate(template, parsed, originalText = null, isGitPR = false, gcloudCommandTemplate = null, policy = null, actionDescription = null) {
   if (!template) {
@@ -36,7 +54,7 @@ name: scale up name (eq big sale)
     if (mcpTool === "generate_terragrunt_autoscaler_diff") {
       // Extract parameters from parsed data or use defaults
       const params = {
-        serviceName: parsed.service_name || parsed.serviceName || "api",
+        serviceName: parsed.service_name || parsed.serviceName || null,
         scheduleName: parsed.schedule_name || parsed.scheduleName || `scale-up-${Date.now()}`,
         scheduleExpression: parsed.schedule_expression || parsed.scheduleExpression || "s(local.sch_1730_utc) 12 $(local.sch_jan_2026)",
         durationSec: parsed.duration_sec || parsed.durationSec || "local.sch_02_hours",
@@ -44,6 +62,10 @@ name: scale up name (eq big sale)
         timeZone: parsed.time_zone || parsed.timeZone || "Etc/UTC"
       };
       
+      if (!params.serviceName) {
+        return `Missing required parameters for autoscaler diff. Need: service_name.`;
+      }
+      
       try {
         const result = await generateTerragruntAutoscalerDiff(params);
         if (result.success && result.diff) {
@@ -79,15 +101,15 @@ name: scale up name (eq big sale)
       }
       
       const params = {
-        environment: parsed.environment || parsed.env || "qaprod",
+        environment: parsed.environment || parsed.env || null,
         serviceName: serviceName,
         currentMachineType: parsed.current_machine_type || parsed.currentMachineType || null,
         targetMachineType: parsed.target_machine_type || parsed.targetMachineType || null
       };
       
       // Validate required parameters
-      if (!params.serviceName || !params.currentMachineType || !params.targetMachineType) {
-        return `Missing required parameters for machine type change. Need: service_name, current_machine_type, target_machine_type. Current values: ${JSON.stringify(params)}`;
+      if (!params.environment || !params.serviceName || !params.currentMachineType || !params.targetMachineType) {
+        return `Missing required parameters for machine type change. Need: environment, service_name, current_machine_type, target_machine_type. Current values: ${JSON.stringify(params)}`;
       }
       
       try {
@@ -172,7 +194,13 @@ name: scale up name (eq big sale)
     return `MCP tool: ${mcpTool}`;
   }
   
-  // Regular template replacement
+  // Regular template replacement. Parsed values come from regex captures / LLM output, so refuse
+  // anything that could smuggle extra arguments or shell syntax into the command.
+  const unsafeKeys = unsafeTemplateValues(template, parsed);
+  if (unsafeKeys.length > 0) {
+    console.warn(`[formatReport] Rejected unsafe value(s) for ${unsafeKeys.join(", ")}`);
+    return `Rejected unsafe value for ${unsafeKeys.join(", ")}: values substituted into commands may not contain whitespace, quotes or shell metacharacters, or start with "-"`;
+  }
   let action = template;
   for (const [key, value] of Object.entries(parsed)) {
     if (value !== null && value !== undefined) {
@@ -182,6 +210,38 @@ name: scale up name (eq big sale)
   return action;
 }
 
+/**
+ * Fill a secondary command template (preview/verify/rollback/revert_template) from parsed fields.
+ * Returns null when a value is unsafe or any placeholder is still unresolved, since a partial command can't run.
+ */
+export function fillCommandTemplate(template, parsed) {
+  if (!template || unsafeTemplateValues(template, parsed).length > 0) {
+    return null;
+  }
+  let preview = template;
+  for (const [key, value] of Object.entries(parsed)) {
+    if (value !== null && value !== undefined) {
+      preview = preview.replace(new RegExp(`\\{${key}\\}`, "g"), String(value));
+    }
+  }
+  return /\{[a-zA-Z0-9_]+\}/.test(preview) ? null : preview.trim();
+}
+
+/**
+ * Seconds until a temporary action should be reverted: the parsed duration (e.g. a scale-up's
+ * "Duration: 7200"), else revert_after_sec from the action template or policy. null = no auto-revert.
+ */
+function revertAfterSec(actionTemplate, policy, parsed) {
+  const candidates = [parsed.duration_sec, parsed.duration, actionTemplate?.revert_after_sec, policy?.revert_after_sec];
+  for (const value of candidates) {
+    // Only plain second counts; "2h" must not become 2 seconds
+    if (value === null || value === undefined || !/^\d+$/.test(String(value).trim())) continue;
+    const sec = parseInt(value, 10);
+    if (sec > 0) return sec;
+  }
+  return null;
+}
+
 function formatSummaryTemplate(template, actionOptions, parsed) {
   if (!template) {
     return actionOptions || "No action template available";
@@ -200,6 +260,57 @@ function formatSummaryTemplate(template, actionOptions, parsed) {
   return summary;
 }
 
+function traceValue(value) {
+  if (value === null || value === undefined) return "_missing_";
+  return `\`${typeof value === "string" ? value : JSON.stringify(value)}\``;
+}
+
+/**
+ * Explain a decide() result from its trace (mrkdwn): each evaluated rule with the checks it ran
+ * against the actual values, and whether the default decision applied. Null without a trace.
+ */
+export function formatDecisionTrace(decision) {
+  const trace = decision?.trace;
+  if (!trace) return null;
+  const lines = [`*Why ${decision.decision}?*`];
+  for (const rule of trace.rules) {
+    lines.push(`Rule ${rule.index + 1} (${rule.decision}): ${rule.matched ? "*matched*" : "not matched"}`);
+    for (const check of rule.checks) {
+      const expected = check.operator === "equals" && check.expected === null ? "is missing" : `${check.operator} ${traceValue(check.expected)}`;
+      lines.push(`   ${check.passed ? "✅" : "❌"} \`${check.path}\` ${expected} (value: ${traceValue(check.actual)})`);
+    }
+  }
+  if (trace.default_used) {
+    const prefix = trace.rules.length > 0 ? "No rule matched" : "The policy has no decision rules";
+    lines.push(trace.default_decision
+      ? `${prefix}: default_decision *${trace.default_decision}* applies.`
+      : `${prefix} and no default_decision is set: *NO_ACTION*.`);
+  }
+  if (decision.oncall) {
+    lines.push(decision.oncall.user_id
+      ? `📟 Approval required from the on-call for *${decision.oncall.schedule}*: <@${decision.oncall.user_id}>.`
+      : `📟 Approval required from the on-call for *${decision.oncall.schedule}*, but the lookup failed (${decision.oncall.error}); the policy's approvers apply.`);
+  }
+  if (decision.freeze) lines.push(formatFreezeNote(decision));
+  return lines.join("\n");
+}
+
+/**
+ * Report line for a decision changed by a change freeze (decide() result's `freeze`):
+ * which freeze, who created it, until when, and what the decision became. Null otherwise.
+ */
+export function formatFreezeNote(decision) {
+  const freeze = decision?.freeze;
+  if (!freeze) return null;
+  const id = freeze.id ? ` #${freeze.id}` : "";
+  const creator = !freeze.created_by
+    ? (freeze.source === "file" ? "policies.json" : "unknown")
+    : (freeze.source === "slack" ? `<@${freeze.created_by}>` : freeze.created_by);
+  const until = freeze.ends_at.replace("T", " ").substring(0, 16) + " UTC";
+  const result = freeze.mode === "block" ? "*BLOCKED*, nothing will run" : "*NEEDS_APPROVAL*";
+  return `🧊 *Change freeze${id} "${freeze.name}"* (created by ${creator}) is active until ${until}: ${freeze.downgraded_from} → ${result}.`;
+}
+
 export async function formatReport({ parsed, decision, policy = null, originalText = null }) {
   let action = null;
   let actionOptions = null;
@@ -233,6 +344,10 @@ export async function formatReport({ parsed, decision, policy = null, originalTe
           template: actionTemplate.template,
           gcloudCommandTemplate: actionTemplate.gcloud_command_template || null,
           action: formattedAction,
+          previewCommand: fillCommandTemplate(actionTemplate.preview_template, parsed),
+          rollbackCommand: fillCommandTemplate(actionTemplate.rollback_template, parsed),
+          revertCommand: fillCommandTemplate(actionTemplate.revert_template, parsed),
+          revertAfterSec: actionTemplate.revert_template ? revertAfterSec(actionTemplate, policy, parsed) : null,
           hideApproveButton: hideGcloudUi && isGcloudScaleUp
         });
       }
@@ -266,14 +381,22 @@ export async function formatReport({ parsed, decision, policy = null, originalTe
     summaryTemplate = summaryTemplate.replace(/\{action\}/g, '');
   }
   
-  const summary = summaryTemplate
+  const baseSummary = summaryTemplate
     ? formatSummaryTemplate(summaryTemplate, hasMultipleOptions ? null : (actionOptions || action), parsed)
     : (hasMultipleOptions ? null : (actionOptions || action || "Approval required"));
+  // During a change freeze the report says which freeze changed the decision
+  const freezeNote = formatFreezeNote(decision);
+  const summary = freezeNote ? [freezeNote, baseSummary].filter(Boolean).join("\n\n") : baseSummary;
   
   const report = {
     parsed,
     decision,
+    decisionExplanation: formatDecisionTrace(decision),
     action,
+    previewCommand: fillCommandTemplate(policy?.preview_template, parsed),
+    rollbackCommand: fillCommandTemplate(policy?.rollback_template, parsed),
+    revertCommand: fillCommandTemplate(policy?.revert_template, parsed),
+    revertAfterSec: policy?.revert_template ? revertAfterSec(null, policy, parsed) : null,
     actionOptions: actionList.length > 0 ? actionList : null, // Array of action options
     summary,
     policy, // Include policy so actionTemplate is available in button values
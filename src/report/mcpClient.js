@@ -7,6 +7,7 @@
 
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
+import { getGcloudAllowlist } from "../parser/parserEngine.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -87,9 +88,11 @@ async function getMCPClient() {
  * This is the new function for executing arbitrary gcloud commands
  * 
  * @param {string} gcloudCommand - The full gcloud command to execute (from action_template)
+ * @param {Object} [options]
+ * @param {string} [options.alertType] - Policy alert_type whose gcloud_allowlist (as currently loaded) the MCP server applies
  * @returns {Promise<Object>} - Execution result with success status and output
  */
-export async function executeMCPGcloudCommand(gcloudCommand) {
+export async function executeMCPGcloudCommand(gcloudCommand, { alertType = null } = {}) {
   // Check if MCP is enabled
   if (process.env.ENABLE_MCP !== "true") {
     throw new Error("MCP is not enabled. Set ENABLE_MCP=true to enable.");
@@ -106,12 +109,29 @@ export async function executeMCPGcloudCommand(gcloudCommand) {
     const executeResult = await client.callTool({
       name: "execute_gcloud_command",
       arguments: {
-        command: gcloudCommand.trim()
+        command: gcloudCommand.trim(),
+        ...(alertType ? { alert_type: alertType } : {}),
+        // Resolved here so a hot reload in this process applies; the server's own policies cache is stale
+        gcloud_allowlist: getGcloudAllowlist(alertType)
       }
     });
 
     if (executeResult.isError || !executeResult.content || executeResult.content.length === 0) {
-      throw new Error(`MCP execution failed: ${executeResult.content?.[0]?.text || "Unknown error"}`);
+      const errorText = executeResult.content?.[0]?.text || "Unknown error";
+      let errorObj = {};
+      try {
+        errorObj = JSON.parse(errorText);
+      } catch (e) {
+        // Not JSON, use as-is
+      }
+      return {
+        success: false,
+        error: `MCP execution failed: ${errorObj.error || errorText}`,
+        command: gcloudCommand,
+        stdout: errorObj.stdout || "",
+        stderr: errorObj.stderr || "",
+        timestamp: new Date().toISOString()
+      };
     }
 
     const executionResultText = executeResult.content[0].text;
@@ -122,6 +142,8 @@ export async function executeMCPGcloudCommand(gcloudCommand) {
       result: executionResult,
       command: executionResult.command || gcloudCommand,
       output: executionResult.stdout || executionResult.stderr || "",
+      stdout: executionResult.stdout || "",
+      stderr: executionResult.stderr || "",
       error: executionResult.error || null,
       timestamp: new Date().toISOString()
     };
@@ -135,6 +157,72 @@ export async function executeMCPGcloudCommand(gcloudCommand) {
   }
 }
 
+/**
+ * Run the read-only preview counterpart of a proposed action (describe/list or --dry-run) via MCP.
+ * The MCP server refuses anything that is not read-only or not in the policy's gcloud_allowlist.
+ *
+ * @param {string} previewCommand - The preview gcloud command (from preview_template)
+ * @param {Object} [options]
+ * @param {string} [options.alertType] - Policy alert_type whose gcloud_allowlist (as currently loaded) the MCP server applies
+ * @returns {Promise<Object>} - { success, command, stdout, stderr, error, timestamp }
+ */
+export async function previewMCPGcloudCommand(previewCommand, { alertType = null } = {}) {
+  if (process.env.ENABLE_MCP !== "true") {
+    throw new Error("MCP is not enabled. Set ENABLE_MCP=true to enable.");
+  }
+
+  if (!previewCommand || !previewCommand.trim()) {
+    throw new Error("preview command is required");
+  }
+
+  try {
+    const client = await getMCPClient();
+    const previewResult = await client.callTool({
+      name: "preview_gcloud_command",
+      arguments: {
+        command: previewCommand.trim(),
+        ...(alertType ? { alert_type: alertType } : {}),
+        gcloud_allowlist: getGcloudAllowlist(alertType)
+      }
+    });
+
+    const resultText = previewResult.content?.[0]?.text || "";
+    let resultObj = {};
+    try {
+      resultObj = JSON.parse(resultText);
+    } catch (e) {
+      // Not JSON, use as-is
+    }
+
+    if (previewResult.isError || !resultText) {
+      return {
+        success: false,
+        error: `MCP preview failed: ${resultObj.error || resultText || "Unknown error"}`,
+        command: previewCommand,
+        stdout: resultObj.stdout || "",
+        stderr: resultObj.stderr || "",
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    return {
+      success: true,
+      command: resultObj.command || previewCommand,
+      stdout: resultObj.stdout || "",
+      stderr: resultObj.stderr || "",
+      error: null,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      command: previewCommand,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
 /**
  * Execute GCP scale-up command via MCP
  * 
@@ -0,0 +1,238 @@
+/**
+ * Postgres-backed scheduler for auto-revert and verification jobs. Polls scheduled_jobs, posts a
+ * heads-up with Extend / Cancel buttons before a revert runs, then executes its command via MCP and
+ * reports in the thread. Verification jobs are run by verification.js. Jobs left running by an
+ * instance that stopped are failed after SCHEDULER_JOB_TIMEOUT_SEC and reported in their thread.
+ */
+import {
+  claimHeadsUps,
+  claimDueJobs,
+  setHeadsUpTs,
+  finishScheduledJob,
+  failStuckJobs,
+} from "../db/scheduledJobsRepo.js";
+import { recordAudit } from "../audit/auditLog.js";
+import { runVerificationJob } from "../verify/verification.js";
+
+function pollSec() {
+  return parseInt(process.env.SCHEDULER_POLL_SEC || "30", 10);
+}
+
+/** Seconds before run_at to post the heads-up (REVERT_HEADS_UP_SEC, default 10 min). */
+export function headsUpSec() {
+  return parseInt(process.env.REVERT_HEADS_UP_SEC || "600", 10);
+}
+
+/**
+ * Seconds a job may stay running before it is failed as stuck (SCHEDULER_JOB_TIMEOUT_SEC, default 15 min;
+ * longer than the 5-minute gcloud timeout, so only jobs whose instance stopped mid-run hit it).
+ */
+export function jobTimeoutSec() {
+  return parseInt(process.env.SCHEDULER_JOB_TIMEOUT_SEC || "900", 10);
+}
+
+/** Seconds added by the Extend button (REVERT_EXTEND_SEC, default 1h). */
+export function extendSec() {
+  return parseInt(process.env.REVERT_EXTEND_SEC || "3600", 10);
+}
+
+function formatDuration(sec) {
+  if (sec >= 3600 && sec % 3600 === 0) return `${sec / 3600}h`;
+  if (sec >= 60) return `${Math.round(sec / 60)}m`;
+  return `${sec}s`;
+}
+
+function slackTime(date) {
+  const epoch = Math.floor(new Date(date).getTime() / 1000);
+  return `<!date^${epoch}^{date_short_pretty} {time}|${new Date(date).toISOString()}>`;
+}
+
+/** Heads-up blocks for a job: when it runs, what it runs, Extend / Cancel buttons. */
+export function headsUpBlocks(job, { note = null } = {}) {
+  const label = job.payload?.actionLabel ? ` for *${job.payload.actionLabel}*` : "";
+  const text = `⏰ *Auto-revert scheduled*${label} at ${slackTime(job.run_at)}\n\n*Command:*\n\`\`\`${job.command}\`\`\``;
+  const blocks = [{ type: "section", text: { type: "mrkdwn", text } }];
+  if (note) {
+    blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: note }] });
+  }
+  blocks.push({
+    type: "actions",
+    elements: [
+      {
+        type: "button",
+        text: { type: "plain_text", text: `⏩ Extend ${formatDuration(extendSec())}` },
+        value: String(job.id),
+        action_id: "revert_extend"
+      },
+      {
+        type: "button",
+        text: { type: "plain_text", text: "🛑 Cancel revert" },
+        style: "danger",
+        value: String(job.id),
+        action_id: "revert_cancel",
+        confirm: {
+          title: { type: "plain_text", text: "Cancel auto-revert?" },
+          text: { type: "mrkdwn", text: "The scale-up will stay in place until someone reverts it manually." },
+          confirm: { type: "plain_text", text: "Cancel revert" },
+          deny: { type: "plain_text", text: "Keep" }
+        }
+      }
+    ]
+  });
+  return blocks;
+}
+
+async function postHeadsUp(client, job) {
+  const text = `⏰ Auto-revert scheduled at ${new Date(job.run_at).toISOString()}`;
+  const res = await client.chat.postMessage({
+    channel: job.channel_id,
+    thread_ts: job.thread_ts || undefined,
+    text,
+    blocks: headsUpBlocks(job)
+  });
+  if (res?.ts) await setHeadsUpTs(job.id, res.ts);
+}
+
+async function finishJob(job, result) {
+  if (!(await finishScheduledJob(job.id, result))) {
+    console.warn(`[scheduler] Job ${job.id} (${job.kind}) finished after it was failed as stuck`);
+  }
+}
+
+async function runJob(client, job) {
+  if (job.kind === "verify") {
+    const { success, error } = await runVerificationJob(client, job);
+    await finishJob(job, { success, error });
+    return;
+  }
+
+  const startedAt = Date.now();
+  let executionResult;
+  try {
+    const { executeMCPGcloudCommand } = await import("../report/mcpClient.js");
+    executionResult = await executeMCPGcloudCommand(job.command, { alertType: job.alert_type });
+  } catch (err) {
+    executionResult = { success: false, error: err.message };
+  }
+  await finishJob(job, { success: executionResult.success, error: executionResult.error ?? null });
+  console.log(`[scheduler] Job ${job.id} (${job.kind}) ${executionResult.success ? "succeeded" : `failed: ${executionResult.error}`}`);
+
+  await recordAudit({
+    event: "reverted",
+    outcome: executionResult.success ? "success" : "failed",
+    channel_id: job.channel_id,
+    message_ts: job.thread_ts,
+    requested_by: job.created_by,
+    actor_name: "scheduler",
+    alert_type: job.alert_type,
+    parsed: job.payload?.parsed ?? null,
+    action_label: job.payload?.actionLabel ? `Auto-revert: ${job.payload.actionLabel}` : "Auto-revert",
+    command: job.command,
+    mcp_tool: "execute_gcloud_command",
+    stdout: executionResult.stdout ?? executionResult.output ?? null,
+    stderr: executionResult.stderr ?? null,
+    error: executionResult.error ?? null,
+    duration_ms: Date.now() - startedAt,
+    rollback_of: job.payload?.audit_id ?? null,
+  });
+
+  const output = (executionResult.stdout || executionResult.output || "").trim();
+  const truncated = output.length > 1500 ? output.substring(0, 1500) + "\n... (truncated)" : output;
+  const resultText = executionResult.success
+    ? `✅ *Auto-revert executed*\n\n*Command:*\n\`\`\`${job.command}\`\`\`${truncated ? `\n*Output:*\n\`\`\`${truncated}\`\`\`` : ""}`
+    : `❌ *Auto-revert failed*\n\n*Command:*\n\`\`\`${job.command}\`\`\`\n*Error:* ${executionResult.error || "Unknown error"}`;
+
+  await client.chat.postMessage({
+    channel: job.channel_id,
+    thread_ts: job.thread_ts || undefined,
+    text: resultText,
+    blocks: [{ type: "section", text: { type: "mrkdwn", text: resultText } }]
+  });
+  if (job.heads_up_ts) {
+    await client.chat.update({
+      channel: job.channel_id,
+      ts: job.heads_up_ts,
+      text: resultText,
+      blocks: [{ type: "context", elements: [{ type: "mrkdwn", text: `⏰ Auto-revert ${executionResult.success ? "ran" : "failed"} at ${slackTime(new Date())}` }] }]
+    }).catch((err) => console.warn("[scheduler] Failed to update heads-up:", err?.message || err));
+  }
+}
+
+/** Tell the thread that a job failed as stuck; a revert is recorded in the audit log as failed. */
+async function reportStuckJob(client, job) {
+  console.warn(`[scheduler] Job ${job.id} (${job.kind}) failed: ${job.error}`);
+  const minutes = Math.round(jobTimeoutSec() / 60);
+  const text = job.kind === "verify"
+    ? `⚠️ *Verification didn't finish*: the check was still running after ${minutes}m and was given up. Check the resource manually.`
+    : `⚠️ *Auto-revert didn't finish*: it was still running after ${minutes}m, so it was marked failed and won't be retried. Check whether the revert was applied, and revert manually if not.\n\n*Command:*\n\`\`\`${job.command}\`\`\``;
+
+  if (job.kind !== "verify") {
+    await recordAudit({
+      event: "reverted",
+      outcome: "failed",
+      channel_id: job.channel_id,
+      message_ts: job.thread_ts,
+      requested_by: job.created_by,
+      actor_name: "scheduler",
+      alert_type: job.alert_type,
+      parsed: job.payload?.parsed ?? null,
+      action_label: job.payload?.actionLabel ? `Auto-revert: ${job.payload.actionLabel}` : "Auto-revert",
+      command: job.command,
+      mcp_tool: "execute_gcloud_command",
+      error: job.error,
+      rollback_of: job.payload?.audit_id ?? null,
+    });
+  }
+  await client.chat.postMessage({
+    channel: job.channel_id,
+    thread_ts: job.thread_ts || undefined,
+    text,
+    blocks: [{ type: "section", text: { type: "mrkdwn", text } }]
+  });
+  if (job.heads_up_ts) {
+    await client.chat.update({
+      channel: job.channel_id,
+      ts: job.heads_up_ts,
+      text,
+      blocks: [{ type: "context", elements: [{ type: "mrkdwn", text: `⏰ Auto-revert didn't finish (stopped at ${slackTime(new Date())})` }] }]
+    }).catch((err) => console.warn("[scheduler] Failed to update heads-up:", err?.message || err));
+  }
+}
+
+async function tick(client) {
+  for (const job of await failStuckJobs(jobTimeoutSec())) {
+    await reportStuckJob(client, job).catch((err) => console.warn(`[scheduler] Failed to report stuck job ${job.id}:`, err?.message || err));
+  }
+  for (const job of await claimHeadsUps(headsUpSec())) {
+    await postHeadsUp(client, job).catch((err) => console.warn(`[scheduler] Failed to post heads-up for job ${job.id}:`, err?.message || err));
+  }
+  for (const job of await claimDueJobs()) {
+    await runJob(client, job).catch(async (err) => {
+      console.error(`[scheduler] Job ${job.id} crashed:`, err);
+      await finishScheduledJob(job.id, { success: false, error: err.message }).catch(() => {});
+    });
+  }
+}
+
+/**
+ * Start polling every SCHEDULER_POLL_SEC (default 30s). Safe to run on several instances.
+ * @param {Object} client - Slack WebClient used for heads-ups and results
+ */
+export function startJobScheduler(client) {
+  let running = false;
+  const loop = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await tick(client);
+    } catch (err) {
+      console.warn("[scheduler] Poll failed:", err?.message || err);
+    } finally {
+      running = false;
+    }
+  };
+  console.log(`[scheduler] Polling scheduled_jobs every ${pollSec()}s`);
+  const timer = setInterval(loop, pollSec() * 1000);
+  loop();
+  return () => clearInterval(timer);
+}
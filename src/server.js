@@ -6,52 +6,34 @@ import pkg from "@slack/bolt";
 const { App, ExpressReceiver } = pkg;
 import { WebClient } from "@slack/web-api";
 import { withSlackRetry } from "./slack/retry.js";
-import { processIncomingMessage } from "./orchestrator.js";
+import { processIncomingMessage, buildPolicyResult } from "./orchestrator.js";
+import { withOncall } from "./oncall/oncall.js";
+import { getPolicyByAlertType } from "./parser/parserEngine.js";
+import { reloadAndReport, startPolicyWatcher } from "./parser/policyReload.js";
 import { isHelpRequest, buildHelpMessage } from "./help/buildHelpMessage.js";
 import { UserResolver } from "./slack/userResolver.js";
-import { normalizeSlackText } from "./slack/normalize.js";
+import { resolveChannelForPost, getChannelName } from "./slack/channels.js";
+import { buildApprovalBlocks, buildRollbackBlock, splitIntoBlocks, buildDecisionTraceBlocks, toggleDecisionTrace } from "./slack/reportBlocks.js";
+import { buildMissingFieldsBlocks, buildMissingFieldsModal, applyFieldValues, MISSING_FIELDS_CALLBACK_ID } from "./slack/missingFields.js";
+import { normalizeSlackText, flattenSlackMessage, structuredMessageData } from "./slack/normalize.js";
+import { handleSubscribedMessage } from "./slack/alertSubscriptions.js";
+import { noteRepeatOccurrence } from "./slack/incidentThreads.js";
+import { recordAudit, mcpToolForAction } from "./audit/auditLog.js";
+import { parseAuditRequest, buildAuditMessage } from "./audit/buildAuditMessage.js";
+import { listAuditEntries } from "./db/auditLogRepo.js";
+import { getPendingAction, markPendingActionUsed, releasePendingAction } from "./db/pendingActionsRepo.js";
+import { scheduleVerification } from "./verify/verification.js";
+import { createScheduledJob, extendScheduledJob, cancelScheduledJob, getScheduledJob } from "./db/scheduledJobsRepo.js";
+import { startJobScheduler, extendSec } from "./scheduler/jobScheduler.js";
+import { approveRequest, rejectRequest, finishRequest } from "./db/approvalsRepo.js";
+import { approvalStatusText, withApprovalStatus, withoutApprovalButtons, formatApprovers } from "./approval/approvalBlocks.js";
+import { isAuthorizedApprover, requiredApprovals, requiredApprover, describeApprovers, effectiveApprovers } from "./approval/permissions.js";
+import { parseFreezeRequest, handleFreezeRequest } from "./freeze/freezeCalendar.js";
+import { autoExecuteOrHold, undoAutoExecution, parseAutoExecRequest, handleAutoExecRequest } from "./approval/autoExecute.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-/** Resolve channel ref (#name or C123) to channel ID for posting. Bot must be a member. */
-async function resolveChannelForPost(client, channelRef) {
-  if (!channelRef || !client) return null;
-  const ref = String(channelRef).trim();
-  if (ref.startsWith("C") && ref.length > 5) return ref;
-  const name = ref.replace(/^#/, "");
-  let cursor;
-  do {
-    const res = await client.conversations.list({
-      types: "public_channel",
-      limit: 200,
-      exclude_archived: true,
-      cursor
-    });
-    const ch = res.channels?.find((c) => c.name === name && c.is_member);
-    if (ch) return ch.id;
-    cursor = res.response_metadata?.next_cursor;
-  } while (cursor);
-  return null;
-}
-
-/** Slack limit for block element value is 2001 characters. Truncate action so JSON fits. */
-function makeButtonValue(obj, maxLength = 2000) {
-  let s = JSON.stringify(obj);
-  if (s.length <= maxLength) return s;
-  if (typeof obj.action === "string" && obj.action.length > 0) {
-    const needToCut = s.length - maxLength + 30;
-    const maxAction = Math.max(0, (obj.action?.length ?? 0) - needToCut);
-    obj = { ...obj, action: obj.action.substring(0, maxAction) + (obj.action.length > maxAction ? "…" : "") };
-    s = JSON.stringify(obj);
-  }
-  if (s.length > maxLength) {
-    const { action: _a, ...rest } = obj;
-    s = JSON.stringify(rest);
-  }
-  return s;
-}
-
 // Validate signing secret is set
 if (!process.env.SLACK_SIGNING_SECRET) {
   console.error('❌ ERROR: SLACK_SIGNING_SECRET is not set in .env file');
@@ -144,9 +126,46 @@ process.on('uncaughtException', (err) => {
 receiver.app.use(express.json());
 receiver.app.use(express.static(path.join(__dirname, "web")));
 
+/** Admin endpoints require ADMIN_API_TOKEN as a bearer token; disabled entirely when it's not set. */
+function requireAdminToken(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN?.trim();
+  if (!expected) {
+    return res.status(503).json({ error: "Admin API disabled. Set ADMIN_API_TOKEN to enable." });
+  }
+  const auth = req.get("authorization") || "";
+  if (auth !== `Bearer ${expected}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+}
+
+receiver.app.get("/api/audit", requireAdminToken, async (req, res) => {
+  try {
+    const entries = await listAuditEntries({
+      channel_id: req.query.channel_id || null,
+      service: req.query.service || null,
+      limit: req.query.limit || 50,
+    });
+    res.json({ entries });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/** Re-read and validate policies.json; 422 with the validation errors if it was rejected. */
+receiver.app.post("/api/admin/reload-policies", requireAdminToken, async (req, res) => {
+  try {
+    const result = await reloadAndReport({ client: authClient, source: "admin API" });
+    res.status(result.ok ? 200 : 422).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 receiver.app.post("/api/analyze", async (req, res) => {
   try {
-    const { text } = req.body;
+    // data (optional): structured alert body for jsonpath patterns
+    const { text, data = null } = req.body;
     const timestamp = new Date().toISOString();
     const queryPreview = text?.length > 100 ? text.substring(0, 100) + "..." : text;
     console.log(`[${timestamp}] 📥 Query received from Web UI: "${queryPreview}"`);
@@ -157,7 +176,7 @@ receiver.app.post("/api/analyze", async (req, res) => {
     }
 
     // Map Web UI calls to a generic channel_id or specific 'web' context
-    const result = await processIncomingMessage({ text, channel_id: "nochannel-web-ui" });
+    const result = await processIncomingMessage({ text, channel_id: "nochannel-web-ui", data });
     
     const outputTimestamp = new Date().toISOString();
     const outputPreview = result.text?.length > 100 ? result.text.substring(0, 100) + "..." : result.text;
@@ -175,10 +194,11 @@ app.event("app_mention", async ({ event, client, logger }) => {
     const web = client;
     const resolver = new UserResolver(web);
 
-    // Clean up the slack text (remove bot mention)
+    // Clean up the slack text (remove bot mention), then add attachment / Block Kit content
     const rawText = event.text || "";
     const stripped = rawText.replace(/<@[A-Z0-9]+>/g, "").trim();
-    const cleanText = await normalizeSlackText(stripped, resolver);
+    const { text: flattened, fields } = flattenSlackMessage({ ...event, text: stripped });
+    const cleanText = await normalizeSlackText(flattened, resolver);
 
     if (!cleanText) {
       await client.chat.postMessage({
@@ -202,6 +222,39 @@ app.event("app_mention", async ({ event, client, logger }) => {
       }
     });
 
+    const auditRequest = parseAuditRequest(cleanText);
+    if (auditRequest) {
+      const auditText = await buildAuditMessage({ channel_id: event.channel, request: auditRequest });
+      await client.chat.postMessage({
+        channel: event.channel,
+        thread_ts: event.ts,
+        text: auditText,
+      });
+      return;
+    }
+
+    const autoExecRequest = parseAutoExecRequest(cleanText);
+    if (autoExecRequest) {
+      const replyText = await handleAutoExecRequest({ request: autoExecRequest, user_id: event.user });
+      await client.chat.postMessage({
+        channel: event.channel,
+        thread_ts: event.ts,
+        text: replyText,
+      });
+      return;
+    }
+
+    const freezeRequest = parseFreezeRequest(cleanText);
+    if (freezeRequest) {
+      const replyText = await handleFreezeRequest({ request: freezeRequest, user_id: event.user, channel_id: event.channel });
+      await client.chat.postMessage({
+        channel: event.channel,
+        thread_ts: event.ts,
+        text: replyText,
+      });
+      return;
+    }
+
     if (isHelpRequest(cleanText)) {
       const helpText = await buildHelpMessage({ channel_id: event.channel });
       await client.chat.postMessage({
@@ -219,15 +272,11 @@ app.event("app_mention", async ({ event, client, logger }) => {
       text: cleanText,
       channel_id: event.channel,
       thread_ts: threadTs,
-      getChannelName: async (channelId) => {
-        if (!channelId || channelId === "nochannel-web-ui") return null;
-        try {
-          const r = await client.conversations.info({ channel: channelId });
-          return r.channel?.name ?? null;
-        } catch {
-          return null;
-        }
-      },
+      message_ts: event.ts,
+      user_id: event.user,
+      // Integrations that post attachments can be matched with jsonpath patterns; otherwise a JSON text body is used
+      data: structuredMessageData(event, fields),
+      getChannelName: (channelId) => getChannelName(client, channelId),
     });
 
     const outputTimestamp = new Date().toISOString();
@@ -245,6 +294,12 @@ app.event("app_mention", async ({ event, client, logger }) => {
       messageText = `*Policy Engine Result:*\n${result.policy_result.text}\n\n*Additional Context from Slack History:*\n${result.rag_result.text}`;
     }
 
+    // Repeat of an open incident: update its thread instead of proposing the action again
+    if (result.source === "incident_repeat") {
+      await noteRepeatOccurrence({ client, incident: result.incident, message_ts: event.ts, reply: true });
+      return;
+    }
+
     // Show "Search All Channels" when user asked from a Slack channel (we search channel first, they can expand)
     const searchedChannelOnly = event.channel && event.channel !== "nochannel-web-ui";
 
@@ -276,213 +331,40 @@ app.event("app_mention", async ({ event, client, logger }) => {
       return;
     }
     
-    // Check if approval is needed
-    const needsApproval = result.data.decision?.decision === "NEEDS_APPROVAL" && result.data.action;
-    
-    // Helper function to check if action is valid (not an error message)
-    const isActionValid = (action) => {
-      if (!action) return false;
-      const actionStr = String(action);
-      // Check for common error message patterns
-      const errorPatterns = [
-        /^Missing required parameters/i,
-        /^Failed to generate/i,
-        /^Error generating/i,
-        /^MCP tool:/i  // Generic MCP tool placeholder
-      ];
-      return !errorPatterns.some(pattern => pattern.test(actionStr));
-    };
-    
-    const actionIsValid = needsApproval && result.data.action && isActionValid(result.data.action);
-    const disableApprovalButtons = process.env.DISABLE_APPROVAL_BUTTONS === "true";
-    const hasMultipleOptions = result.data.actionOptions && Array.isArray(result.data.actionOptions) && result.data.actionOptions.length > 0;
-    
-    if (needsApproval) {
-      // Build blocks for the message
-      // If we have both policy and RAG results, split them so policy comes first
-      let policyText = messageText;
-      let ragText = null;
-      
-      if (result.source === "both" && result.policy_result && result.rag_result) {
-        // Use policy result text only (without RAG) for the main message
-        policyText = result.policy_result.text;
-        ragText = result.rag_result.text;
-      }
-      
-      // Helper function to split long text into multiple blocks (Slack limit is 3000 chars per block)
-      const splitIntoBlocks = (text, maxLength = 2900) => {
-        if (!text || text.length <= maxLength) {
-          return [{ type: "section", text: { type: "mrkdwn", text } }];
-        }
-        
-        const blocks = [];
-        let remaining = text;
-        
-        while (remaining.length > 0) {
-          if (remaining.length <= maxLength) {
-            blocks.push({
-              type: "section",
-              text: { type: "mrkdwn", text: remaining }
-            });
-            break;
-          }
-          
-          // Try to split at a newline near the limit
-          const chunk = remaining.substring(0, maxLength);
-          const lastNewline = chunk.lastIndexOf('\n');
-          const splitPoint = lastNewline > maxLength * 0.8 ? lastNewline + 1 : maxLength;
-          
-          blocks.push({
-            type: "section",
-            text: { type: "mrkdwn", text: remaining.substring(0, splitPoint) }
-          });
-          
-          remaining = remaining.substring(splitPoint);
-        }
-        
-        return blocks;
-      };
-      
-      // Split policy text into blocks if it's too long
-      const blocks = splitIntoBlocks(policyText);
-      
-      // If we have multiple action options, show them separately
-      if (hasMultipleOptions && !disableApprovalButtons) {
-        // Add each action option as a separate section with its own button
-        for (let idx = 0; idx < result.data.actionOptions.length; idx++) {
-          const option = result.data.actionOptions[idx];
-          const optionIsValid = isActionValid(option.action);
-
-          // Add section for this option (when hideApproveButton, show instruction only—no gcloud command)
-          const optionText = option.hideApproveButton
-            ? `*${option.label}*\n${option.description || ""}`
-            : `*${option.label}*\n${option.description ? `${option.description}\n` : ""}${option.action.substring(0, 500)}${option.action.length > 500 ? "..." : ""}`;
-          blocks.push({
-            type: "section",
-            text: { type: "mrkdwn", text: optionText }
-          });
-
-          // Add approve button for this option (skip if hideApproveButton)
-          if (optionIsValid && !option.hideApproveButton) {
-            blocks.push({
-              type: "actions",
-              elements: [
-                {
-                  type: "button",
-                  text: {
-                    type: "plain_text",
-                    text: `✅ Approve: ${option.label}`
-                  },
-                  style: "primary",
-                  value: makeButtonValue({
-                    action: option.action,
-                    actionTemplate: option.template,
-                    actionLabel: option.label,
-                    gcloudCommandTemplate: option.gcloudCommandTemplate || null,
-                    githubOwner: option.githubOwner ?? result.data.policy?.github_owner ?? null,
-                    githubRepo: option.githubRepo ?? result.data.policy?.github_repo ?? null,
-                    prNotifyChannel: result.data.policy?.pr_notify_channel ?? null,
-                    prNotifyTemplate: result.data.policy?.pr_notify_template ?? null,
-                    jiraBaseUrl: result.data.policy?.jira_base_url ?? null,
-                    parsed: result.data.parsed,
-                    decision: result.data.decision,
-                    message_ts: event.ts,
-                    optionIndex: idx
-                  }),
-                  action_id: "approve_action"
-                }
-              ]
-            });
-          }
-        }
+    // "Why this decision?" toggle and, when the policy matched without some fields, "Provide missing details"
+    const followUpBlocks = [
+      ...await buildDecisionTraceBlocks({ report: result.data, channel_id: event.channel }),
+      ...await buildMissingFieldsBlocks({
+        report: result.data,
+        channel_id: event.channel,
+        thread_ts: event.ts,
+        text: cleanText,
+        requested_by: event.user
+      })
+    ];
 
-        // Add Reject All only when at least one option has an Approve button (skip if all options have hideApproveButton)
-        const anyOptionHasApprove = result.data.actionOptions.some((opt) => !opt.hideApproveButton && isActionValid(opt.action));
-        if (anyOptionHasApprove) {
-          blocks.push({
-            type: "actions",
-            elements: [
-              {
-                type: "button",
-                text: {
-                  type: "plain_text",
-                  text: "❌ Reject All"
-                },
-                style: "danger",
-                value: JSON.stringify({
-                  parsed: result.data.parsed,
-                  message_ts: event.ts
-                }),
-                action_id: "reject_action"
-              }
-            ]
-          });
-        }
-      }
-      // Single action (legacy format)
-      else {
-        if (result.data.action) {
-          blocks.push({
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text: `*Action:* \`${result.data.action.substring(0, 200)}${result.data.action.length > 200 ? '...' : ''}\``
-            }
-          });
-        }
-        
-        // Only add approval buttons if action is valid AND approval buttons are not disabled
-        if (actionIsValid && !disableApprovalButtons) {
-          blocks.push({
-            type: "actions",
-            elements: [
-              {
-                type: "button",
-                text: {
-                  type: "plain_text",
-                  text: "✅ Approve & Execute"
-                },
-                style: "primary",
-                value: makeButtonValue({
-                  action: result.data.action,
-                  actionTemplate: result.data.policy?.action_template || null,
-                  actionLabel: "Execute Action",
-                  gcloudCommandTemplate: result.data.policy?.gcloud_command_template || null,
-                  githubOwner: result.data.policy?.github_owner || null,
-                  githubRepo: result.data.policy?.github_repo || null,
-                  prNotifyChannel: result.data.policy?.pr_notify_channel ?? null,
-                  prNotifyTemplate: result.data.policy?.pr_notify_template ?? null,
-                  jiraBaseUrl: result.data.policy?.jira_base_url ?? null,
-                  parsed: result.data.parsed,
-                  decision: result.data.decision,
-                  message_ts: event.ts
-                }),
-                action_id: "approve_action"
-              },
-              {
-                type: "button",
-                text: {
-                  type: "plain_text",
-                  text: "❌ Reject"
-                },
-                style: "danger",
-                value: makeButtonValue({
-                  action: result.data.action,
-                  parsed: result.data.parsed,
-                  message_ts: event.ts
-                }),
-                action_id: "reject_action"
-              }
-            ]
-          });
-        }
-      }
-      
-      // Add RAG history at the end (after all action options)
-      if (ragText) {
-        const ragBlocks = splitIntoBlocks(`*Additional Context from Slack History:*\n${ragText}`);
-        blocks.push(...ragBlocks);
-      }
+    // AUTO_* decisions of policies with auto_execute run right away, unless a safeguard holds them back
+    // (then they fall back to approval, like NEEDS_APPROVAL)
+    const auto = await autoExecuteOrHold({
+      client,
+      report: result.data,
+      channel_id: event.channel,
+      message_ts: event.ts,
+      requested_by: event.user,
+      extraBlocks: followUpBlocks
+    });
+    if (auto.executed) return;
+    
+    if (auto.needsApproval) {
+      const blocks = await buildApprovalBlocks({
+        result,
+        messageText,
+        channel_id: event.channel,
+        message_ts: event.ts,
+        requested_by: event.user
+      });
+      if (auto.note) blocks.unshift(auto.note);
+      blocks.push(...followUpBlocks);
       
       // Send message with or without approval buttons
       await client.chat.postMessage({
@@ -523,41 +405,8 @@ app.event("app_mention", async ({ event, client, logger }) => {
       }
     } else {
       // Regular message - add button to search all channels if RAG was used
-      // Helper function to split long text into multiple blocks (Slack limit is 3000 chars per block)
-      const splitIntoBlocks = (text, maxLength = 2900) => {
-        if (!text || text.length <= maxLength) {
-          return [{ type: "section", text: { type: "mrkdwn", text } }];
-        }
-        
-        const blocks = [];
-        let remaining = text;
-        
-        while (remaining.length > 0) {
-          if (remaining.length <= maxLength) {
-            blocks.push({
-              type: "section",
-              text: { type: "mrkdwn", text: remaining }
-            });
-            break;
-          }
-          
-          // Try to split at a newline near the limit
-          const chunk = remaining.substring(0, maxLength);
-          const lastNewline = chunk.lastIndexOf('\n');
-          const splitPoint = lastNewline > maxLength * 0.8 ? lastNewline + 1 : maxLength;
-          
-          blocks.push({
-            type: "section",
-            text: { type: "mrkdwn", text: remaining.substring(0, splitPoint) }
-          });
-          
-          remaining = remaining.substring(splitPoint);
-        }
-        
-        return blocks;
-      };
       
-      const blocks = splitIntoBlocks(messageText);
+      const blocks = [...splitIntoBlocks(messageText), ...followUpBlocks];
 
       // Add button to search all channels if RAG was used and we searched only this channel
       if (searchedChannelOnly) {
@@ -605,19 +454,147 @@ app.event("app_mention", async ({ event, client, logger }) => {
   }
 });
 
+// Alerts posted by subscribed bots/integrations (channel_subscriptions) are parsed without an @mention.
+// Needs the message.channels event (and channels:history scope) in the Slack app.
+app.event("message", async ({ event, client, context, logger }) => {
+  try {
+    await handleSubscribedMessage({ event, client, context });
+  } catch (err) {
+    logger.error(err);
+  }
+});
+
+/**
+ * Resolve the pending-action id in a clicked approve/reject button.
+ * Replies ephemerally for unknown ids and marks the proposal expired; returns the payload or null.
+ */
+async function loadPendingAction({ body, client, kind }) {
+  const pending = await getPendingAction(body.actions[0].value);
+  if (!pending || pending.kind !== kind || (pending.channel_id && pending.channel_id !== body.channel.id)) {
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user?.id,
+      text: "This proposed action could not be found. Ask the bot again to get a fresh proposal."
+    });
+    return null;
+  }
+  if (pending.expired) {
+    console.log(`[${new Date().toISOString()}] ⌛ Pending action ${pending.id} expired (clicked by ${body.user?.name || body.user?.id})`);
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: body.message.text,
+      blocks: withApprovalStatus(withoutApprovalButtons(body.message.blocks), null, "⌛ *Expired* — this proposal is no longer valid. Ask the bot again to get a fresh proposal.")
+    });
+    return null;
+  }
+  return pending.payload;
+}
+
+/**
+ * Whether the clicking user may approve or reject this proposal (policy approvers, plus the on-call
+ * for on-call rules). Otherwise tells them so in an ephemeral message.
+ */
+async function checkApprover({ body, client, parsed, decision, verb }) {
+  const policy = getPolicyByAlertType(parsed?.alert_type);
+  const approvers = effectiveApprovers(policy, decision);
+  const userId = body.user?.id;
+  if (await isAuthorizedApprover({ client, userId, approvers })) return true;
+  console.log(`[${new Date().toISOString()}] 🚫 Unauthorized ${verb} attempt by ${body.user?.name || userId} for ${parsed?.alert_type}`);
+  await client.chat.postEphemeral({
+    channel: body.channel.id,
+    user: userId,
+    text: `🚫 You're not allowed to ${verb} *${policy?.name || parsed?.alert_type || "this"}* actions.\nAllowed approvers: ${describeApprovers(approvers)}`
+  });
+  return false;
+}
+
 // Handle button interactions (approval/rejection)
 app.action("approve_action", async ({ ack, body, client, logger }) => {
   await ack();
   
   try {
-    const value = JSON.parse(body.actions[0].value);
+    const value = await loadPendingAction({ body, client, kind: "approve" });
+    if (!value) return;
     const { action, actionTemplate, actionLabel, parsed, decision, githubOwner, githubRepo, prNotifyChannel, prNotifyTemplate, jiraBaseUrl } = value;
     
     // Debug: Log action template for troubleshooting
     if (!actionTemplate) {
       console.warn(`[Approval Handler] actionTemplate is missing. Value keys: ${Object.keys(value).join(', ')}`);
     }
-    
+
+    const startedAt = Date.now();
+    const auditBase = {
+      event: "approved",
+      channel_id: body.channel.id,
+      message_ts: value.message_ts ?? body.message.ts,
+      requested_by: value.requested_by ?? null,
+      actor_id: body.user?.id ?? null,
+      actor_name: body.user?.name || body.user?.username || null,
+      alert_type: parsed?.alert_type ?? null,
+      parsed,
+      action_label: actionLabel ?? null,
+      mcp_tool: mcpToolForAction({ actionTemplate, action }),
+      rollback_of: value.rollbackOf ?? null,
+    };
+    const isRollback = value.rollbackOf !== undefined;
+    const audit = (fields) => recordAudit({ ...auditBase, duration_ms: Date.now() - startedAt, ...fields });
+
+    // Enforce per-policy approvers (users / user groups / channel members); on-call rules add the on-call
+    const policy = getPolicyByAlertType(parsed?.alert_type);
+    const userId = body.user?.id;
+    if (!(await checkApprover({ body, client, parsed, decision, verb: "approve" }))) return;
+
+    // Approval state machine (Postgres): pending -> partially_approved -> executing -> done/failed.
+    // The row lock in approveRequest guarantees only one click moves the request to executing.
+    const needed = requiredApprovals(policy, decision);
+    const highRisk = !!decision?.high_risk;
+    const { status, request } = await approveRequest({
+      channel_id: body.channel.id,
+      message_ts: body.message.ts,
+      option_index: value.optionIndex ?? 0,
+      required_approvals: needed,
+      required_approver: requiredApprover(decision),
+      user_id: userId,
+      user_name: body.user?.name || body.user?.username || null
+    });
+
+    if (status !== "execute" && status !== "recorded") {
+      const reasons = {
+        closed: `This action is already ${request.state}.`,
+        conflict: "Another option on this message is already collecting approvals. Approve that option or reject all.",
+        duplicate: `You've already approved this action. A different person must give the next approval (${request.approvals.length}/${request.required_approvals}).`
+      };
+      await client.chat.postEphemeral({ channel: body.channel.id, user: userId, text: reasons[status] });
+      return;
+    }
+
+    // Live status on the proposal message: who has approved so far
+    const statusText = approvalStatusText(request, { highRisk });
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: body.message.text,
+      blocks: withApprovalStatus(
+        status === "execute" ? withoutApprovalButtons(body.message.blocks) : body.message.blocks,
+        body.actions[0].block_id,
+        statusText
+      )
+    }).catch((err) => console.warn("[approval] Failed to update approval status:", err?.message || err));
+    if (status === "recorded") {
+      return;
+    }
+
+    auditBase.approvers = request.approvals.length > 1 ? request.approvals : null;
+    const approvedByText = `*Approved by:* ${formatApprovers(request.approvals)}\n\n`;
+
+    // Every exit from here on settles the request (done/failed) and writes the audit entry (returns its id)
+    const settle = async (fields) => {
+      await finishRequest(request.id, { success: fields.outcome === "success", error: fields.error ?? null })
+        .catch((err) => console.warn("[approval] Failed to update approval state:", err?.message || err));
+      return audit(fields);
+    };
+
     // Execute the action via MCP
     const { executeMCPGcloudCommand, executeGcloudScaleUp } = await import("./report/mcpClient.js");
     let executionResult;
@@ -639,11 +616,12 @@ app.action("approve_action", async ({ ack, body, client, logger }) => {
         if (executionResult.success && executionResult.command) {
           // Extract the actual gcloud command and execute it
           const gcloudCmd = executionResult.command;
-          executionResult = await executeMCPGcloudCommand(gcloudCmd);
+          executionResult = await executeMCPGcloudCommand(gcloudCmd, { alertType: parsed?.alert_type });
         }
       } 
       else if (actionTemplate === "MCP:generate_terragrunt_autoscaler_diff") {
         // Git PR option - show "under development" message
+        await settle({ outcome: "failed", error: "Git PR scaling is under development" });
         await client.chat.update({
           channel: body.channel.id,
           ts: body.message.ts,
@@ -674,6 +652,7 @@ app.action("approve_action", async ({ ack, body, client, logger }) => {
         const ticketNumber = parsed.ticket_number || parsed.name || parsed.schedule_name || null;
 
         if (!schedule || !duration || !ticketNumber) {
+          await settle({ outcome: "failed", error: "Missing required parameters: schedule, duration, ticket_number" });
           await client.chat.update({
             channel: body.channel.id,
             ts: body.message.ts,
@@ -692,6 +671,7 @@ app.action("approve_action", async ({ ack, body, client, logger }) => {
         }
 
         if (!githubOwner || !githubRepo) {
+          await settle({ outcome: "failed", error: "Policy must include github_owner and github_repo" });
           await client.chat.update({
             channel: body.channel.id,
             ts: body.message.ts,
@@ -758,7 +738,7 @@ app.action("approve_action", async ({ ack, body, client, logger }) => {
       }
       else if (action && action.trim().startsWith("gcloud")) {
         // Direct gcloud command execution
-        executionResult = await executeMCPGcloudCommand(action);
+        executionResult = await executeMCPGcloudCommand(action, { alertType: parsed?.alert_type });
       }
       else {
         // No valid action handler found
@@ -771,10 +751,67 @@ app.action("approve_action", async ({ ack, body, client, logger }) => {
         };
       }
       
+      const auditId = await settle({
+        outcome: executionResult.success ? "success" : "failed",
+        command: executionResult.prUrl || executionResult.command || action || null,
+        stdout: executionResult.stdout ?? executionResult.output ?? null,
+        stderr: executionResult.stderr ?? null,
+        error: executionResult.error ?? null,
+      });
+
+      // Optional follow-up check (policy verify_template): posts resolved / still firing in the thread
+      const verification = executionResult.success && !isRollback
+        ? await scheduleVerification({
+            channel: body.channel.id,
+            thread_ts: body.message.thread_ts || body.message.ts,
+            policy,
+            parsed,
+            audit: { channel_id: auditBase.channel_id, message_ts: auditBase.message_ts, requested_by: auditBase.requested_by }
+          })
+        : null;
+
+      // Policy rollback_template: offer to undo the action (a rollback itself can't be rolled back)
+      const rollbackBlocks = executionResult.success && value.rollbackCommand && !isRollback
+        ? [await buildRollbackBlock({
+            channel_id: body.channel.id,
+            payload: {
+              command: value.rollbackCommand,
+              actionLabel: actionLabel ?? null,
+              originalAction: executionResult.command || action || null,
+              parsed,
+              decision,
+              message_ts: auditBase.message_ts,
+              rollbackOf: auditId ?? null
+            }
+          })]
+        : [];
+
+      // Temporary actions (revert_template + duration): schedule a durable auto-revert in this thread
+      let revertJob = null;
+      let revertError = null;
+      if (executionResult.success && value.revertCommand && value.revertAfterSec > 0 && !isRollback) {
+        try {
+          revertJob = await createScheduledJob({
+            kind: "revert",
+            delaySec: value.revertAfterSec,
+            channel_id: body.channel.id,
+            thread_ts: body.message.thread_ts || body.message.ts,
+            alert_type: parsed?.alert_type ?? null,
+            command: value.revertCommand,
+            payload: { actionLabel: actionLabel ?? null, parsed, audit_id: auditId ?? null },
+            created_by: userId
+          });
+          console.log(`[scheduler] Auto-revert job ${revertJob.id} scheduled in ${value.revertAfterSec}s`);
+        } catch (err) {
+          revertError = err.message;
+          console.warn("[scheduler] Failed to schedule auto-revert:", err?.message || err);
+        }
+      }
+
       // Format the response message
       const actionLabelText = actionLabel ? `*Option:* ${actionLabel}\n\n` : '';
       const actionText = action ? `*Action:* \`${action.substring(0, 100)}${action.length > 100 ? '...' : ''}\`\n\n` : '';
-      let resultText = `✅ *Action Approved and Executed*\n\n${actionLabelText}${actionText}*Result:* ${executionResult.success ? "✅ Success" : "❌ Failed"}`;
+      let resultText = `✅ *Action Approved and Executed*\n\n${approvedByText}${actionLabelText}${actionText}*Result:* ${executionResult.success ? "✅ Success" : "❌ Failed"}`;
       
       if (executionResult.output) {
         // Truncate long output for Slack (max ~3000 chars per block)
@@ -793,6 +830,16 @@ app.action("approve_action", async ({ ack, body, client, logger }) => {
       if (executionResult.command) {
         resultText += `\n\n*Command Executed:*\n\`\`\`${executionResult.command}\`\`\``;
       }
+
+      if (verification) {
+        resultText += `\n\n🔎 Verifying in ${verification.delaySec}s; the result will be posted in this thread.`;
+      }
+
+      if (revertJob) {
+        resultText += `\n\n⏰ Auto-revert scheduled for ${new Date(revertJob.run_at).toISOString()}. A heads-up with Extend / Cancel buttons will be posted in this thread before it runs.`;
+      } else if (revertError) {
+        resultText += `\n\n⚠️ Could not schedule the auto-revert (${revertError}). Revert manually when the scale-up is no longer needed.`;
+      }
       
       await client.chat.update({
         channel: body.channel.id,
@@ -805,10 +852,12 @@ app.action("approve_action", async ({ ack, body, client, logger }) => {
               type: "mrkdwn",
               text: resultText
             }
-          }
+          },
+          ...rollbackBlocks
         ]
       });
     } catch (error) {
+      await settle({ outcome: "failed", command: action || null, error: error.message });
       const actionLabelText = actionLabel ? `*Option:* ${actionLabel}\n\n` : '';
       const actionText = action ? `*Action:* \`${action}\`\n\n` : '';
       await client.chat.update({
@@ -820,7 +869,7 @@ app.action("approve_action", async ({ ack, body, client, logger }) => {
             type: "section",
             text: {
               type: "mrkdwn",
-              text: `✅ *Action Approved but Execution Failed*\n\n${actionLabelText}${actionText}*Error:* ${error.message}`
+              text: `✅ *Action Approved but Execution Failed*\n\n${approvedByText}${actionLabelText}${actionText}*Error:* ${error.message}`
             }
           }
         ]
@@ -840,10 +889,41 @@ app.action("reject_action", async ({ ack, body, client, logger }) => {
   await ack();
   
   try {
-    const value = JSON.parse(body.actions[0].value);
-    const { action } = value;
+    const value = await loadPendingAction({ body, client, kind: "reject" });
+    if (!value) return;
+    const { action, parsed, decision } = value;
+
+    // Rejecting closes the proposal, so it is limited to the same people who may approve it
+    if (!(await checkApprover({ body, client, parsed, decision, verb: "reject" }))) return;
+
+    const { status, request } = await rejectRequest({
+      channel_id: body.channel.id,
+      message_ts: body.message.ts,
+      user_id: body.user?.id
+    });
+    if (status === "closed") {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user?.id,
+        text: `This action is already ${request.state} and can no longer be rejected.`
+      });
+      return;
+    }
     
     console.log(`[${new Date().toISOString()}] ❌ Action rejected by ${body.user.name}: ${action}`);
+
+    await recordAudit({
+      event: "rejected",
+      outcome: "rejected",
+      channel_id: body.channel.id,
+      message_ts: value.message_ts ?? body.message.ts,
+      requested_by: value.requested_by ?? null,
+      actor_id: body.user?.id ?? null,
+      actor_name: body.user?.name || body.user?.username || null,
+      alert_type: parsed?.alert_type ?? null,
+      parsed,
+      command: action ?? null,
+    });
     
     await client.chat.update({
       channel: body.channel.id,
@@ -864,6 +944,377 @@ app.action("reject_action", async ({ ack, body, client, logger }) => {
   }
 });
 
+// "Preview" runs the read-only counterpart of a proposed action and posts the result in the thread
+app.action("preview_action", async ({ ack, body, client, logger }) => {
+  await ack();
+
+  try {
+    const value = await loadPendingAction({ body, client, kind: "preview" });
+    if (!value) return;
+    const { command, actionLabel, parsed } = value;
+    const threadTs = body.message.thread_ts || body.message.ts;
+
+    console.log(`[${new Date().toISOString()}] 🔍 Preview requested by ${body.user?.name || body.user?.id}: ${command}`);
+
+    const startedAt = Date.now();
+    const { previewMCPGcloudCommand } = await import("./report/mcpClient.js");
+    let previewResult;
+    try {
+      previewResult = await previewMCPGcloudCommand(command, { alertType: parsed?.alert_type ?? null });
+    } catch (error) {
+      previewResult = { success: false, error: error.message, command };
+    }
+
+    await recordAudit({
+      event: "previewed",
+      outcome: previewResult.success ? "success" : "failed",
+      channel_id: body.channel.id,
+      message_ts: value.message_ts ?? body.message.ts,
+      requested_by: value.requested_by ?? null,
+      actor_id: body.user?.id ?? null,
+      actor_name: body.user?.name || body.user?.username || null,
+      alert_type: parsed?.alert_type ?? null,
+      parsed,
+      action_label: actionLabel ?? null,
+      command,
+      mcp_tool: "preview_gcloud_command",
+      stdout: previewResult.stdout ?? null,
+      stderr: previewResult.stderr ?? null,
+      error: previewResult.error ?? null,
+      duration_ms: Date.now() - startedAt,
+    });
+
+    const output = [previewResult.stdout, previewResult.stderr].filter(Boolean).join("\n");
+    const truncated = output.length > 2000 ? output.substring(0, 2000) + "\n... (truncated)" : output;
+    let previewText = `🔍 *Preview${actionLabel ? `: ${actionLabel}` : ""}* (requested by <@${body.user?.id}>)\n\n*Command:*\n\`\`\`${command}\`\`\``;
+    if (truncated) {
+      previewText += `\n\n*Output:*\n\`\`\`${truncated}\`\`\``;
+    }
+    if (!previewResult.success) {
+      previewText += `\n\n*Error:* ${previewResult.error || "Unknown error"}`;
+    }
+    previewText += "\n\n_Nothing was changed. Use the Approve button to run the action._";
+
+    await client.chat.postMessage({
+      channel: body.channel.id,
+      thread_ts: threadTs,
+      text: previewText,
+      blocks: splitIntoBlocks(previewText)
+    });
+  } catch (err) {
+    logger.error(err);
+    await client.chat.postMessage({
+      channel: body.channel.id,
+      thread_ts: body.message.thread_ts || body.message.ts,
+      text: "Error running preview. Check server logs.",
+    });
+  }
+});
+
+// "↩ Roll back" posts a rollback proposal in the thread; it goes through the same approval flow as the original
+app.action("rollback_action", async ({ ack, body, client, logger }) => {
+  await ack();
+
+  try {
+    const value = await loadPendingAction({ body, client, kind: "rollback" });
+    if (!value) return;
+    const { command, actionLabel, originalAction, parsed, rollbackOf } = value;
+    // The stored decision names whoever was on call for the original action; the rollback needs today's
+    const decision = await withOncall(value.decision);
+    const threadTs = body.message.thread_ts || body.message.ts;
+
+    console.log(`[${new Date().toISOString()}] ↩ Rollback proposed by ${body.user?.name || body.user?.id} for audit entry ${rollbackOf}: ${command}`);
+
+    const proposalText = `↩ *Rollback proposed* by <@${body.user?.id}>${actionLabel ? ` for *${actionLabel}*` : ""}` +
+      `${originalAction ? `\n\n*Original action:* \`${originalAction.substring(0, 200)}${originalAction.length > 200 ? "..." : ""}\`` : ""}` +
+      `${rollbackOf ? `\n*Audit entry:* #${rollbackOf}` : ""}\n\nThe rollback needs the same approvals as the original action.`;
+    const blocks = await buildApprovalBlocks({
+      result: { source: "policy", data: { action: command, actionOptions: null, policy: null, parsed, decision } },
+      messageText: proposalText,
+      channel_id: body.channel.id,
+      message_ts: value.message_ts ?? body.message.ts,
+      requested_by: body.user?.id ?? null,
+      approvePayload: { actionLabel: `Roll back${actionLabel ? `: ${actionLabel}` : ""}`, rollbackOf }
+    });
+    await client.chat.postMessage({
+      channel: body.channel.id,
+      thread_ts: threadTs,
+      text: proposalText,
+      blocks
+    });
+
+    // One rollback proposal per execution: swap the button for a note
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: body.message.text,
+      blocks: [
+        ...(body.message.blocks || []).filter((b) => !(b.type === "actions" && b.elements?.some((e) => e.action_id === "rollback_action"))),
+        { type: "context", elements: [{ type: "mrkdwn", text: `↩ Rollback proposed by <@${body.user?.id}> (see thread)` }] }
+      ]
+    }).catch((err) => console.warn("[rollback] Failed to update original message:", err?.message || err));
+  } catch (err) {
+    logger.error(err);
+    await client.chat.postMessage({
+      channel: body.channel.id,
+      thread_ts: body.message.thread_ts || body.message.ts,
+      text: "Error proposing rollback. Check server logs.",
+    });
+  }
+});
+
+/**
+ * Load the scheduled job behind an Extend / Cancel button and check the clicker may manage it
+ * (same approvers as the policy). Replies ephemerally and returns null otherwise.
+ */
+async function loadManagedJob({ body, client }) {
+  const job = await getScheduledJob(parseInt(body.actions[0].value, 10));
+  if (!job || job.channel_id !== body.channel.id) {
+    await client.chat.postEphemeral({ channel: body.channel.id, user: body.user?.id, text: "This scheduled job could not be found." });
+    return null;
+  }
+  const policy = getPolicyByAlertType(job.alert_type);
+  if (!(await isAuthorizedApprover({ client, userId: body.user?.id, approvers: policy?.approvers ?? null }))) {
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user?.id,
+      text: `🚫 You're not allowed to manage this auto-revert.\nAllowed approvers: ${describeApprovers(policy?.approvers ?? null)}`
+    });
+    return null;
+  }
+  return job;
+}
+
+const jobAuditFields = (job, body) => ({
+  channel_id: job.channel_id,
+  message_ts: job.thread_ts,
+  requested_by: job.created_by,
+  actor_id: body.user?.id ?? null,
+  actor_name: body.user?.name || body.user?.username || null,
+  alert_type: job.alert_type,
+  parsed: job.payload?.parsed ?? null,
+  command: job.command,
+  rollback_of: job.payload?.audit_id ?? null,
+});
+
+app.action("revert_extend", async ({ ack, body, client, logger }) => {
+  await ack();
+
+  try {
+    const job = await loadManagedJob({ body, client });
+    if (!job) return;
+    const updated = await extendScheduledJob(job.id, extendSec(), body.user?.id);
+    if (!updated) {
+      await client.chat.postEphemeral({ channel: body.channel.id, user: body.user?.id, text: `This auto-revert is already ${job.state}.` });
+      return;
+    }
+    console.log(`[scheduler] Job ${job.id} extended to ${new Date(updated.run_at).toISOString()} by ${body.user?.name || body.user?.id}`);
+    await recordAudit({ ...jobAuditFields(job, body), event: "revert_extended", outcome: "success" });
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: body.message.text,
+      blocks: [{
+        type: "context",
+        elements: [{ type: "mrkdwn", text: `⏩ Auto-revert extended to ${new Date(updated.run_at).toISOString()} by <@${body.user?.id}>. A new heads-up will be posted before it runs.` }]
+      }]
+    });
+  } catch (err) {
+    logger.error(err);
+  }
+});
+
+app.action("revert_cancel", async ({ ack, body, client, logger }) => {
+  await ack();
+
+  try {
+    const job = await loadManagedJob({ body, client });
+    if (!job) return;
+    const cancelled = await cancelScheduledJob(job.id, body.user?.id);
+    if (!cancelled) {
+      await client.chat.postEphemeral({ channel: body.channel.id, user: body.user?.id, text: `This auto-revert is already ${job.state}.` });
+      return;
+    }
+    console.log(`[scheduler] Job ${job.id} cancelled by ${body.user?.name || body.user?.id}`);
+    await recordAudit({ ...jobAuditFields(job, body), event: "revert_cancelled", outcome: "rejected" });
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: body.message.text,
+      blocks: [{
+        type: "context",
+        elements: [{ type: "mrkdwn", text: `🛑 Auto-revert cancelled by <@${body.user?.id}>. Revert manually when the scale-up is no longer needed:\n\`${job.command}\`` }]
+      }]
+    });
+  } catch (err) {
+    logger.error(err);
+  }
+});
+
+// "Provide missing details": open a modal asking for the fields the policy match didn't provide
+app.action("provide_missing_fields", async ({ ack, body, client, logger }) => {
+  await ack();
+
+  try {
+    const value = await loadPendingAction({ body, client, kind: "missing_fields" });
+    if (!value) return;
+    const policy = getPolicyByAlertType(value.alert_type);
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildMissingFieldsModal({
+        pendingId: body.actions[0].value,
+        payload: value,
+        policyName: policy?.name,
+        channel_id: body.channel.id,
+        message_ts: body.message.ts
+      })
+    });
+  } catch (err) {
+    logger.error(err);
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user?.id,
+      text: "Error opening the form. Check server logs."
+    }).catch(() => {});
+  }
+});
+
+// "Why this decision?": show / hide the decision trace under the button
+app.action("toggle_decision_trace", async ({ ack, body, client, logger }) => {
+  await ack();
+
+  try {
+    const value = await loadPendingAction({ body, client, kind: "decision_trace" });
+    if (!value) return;
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: body.message.text,
+      blocks: toggleDecisionTrace(body.message.blocks, value.explanation)
+    });
+  } catch (err) {
+    logger.error(err);
+  }
+});
+
+// "Undo" on an automatically executed action: run the policy's rollback command
+app.action("undo_auto_action", async ({ ack, body, client, logger }) => {
+  await ack();
+
+  try {
+    const value = await loadPendingAction({ body, client, kind: "undo_auto" });
+    if (!value) return;
+    const policy = value.parsed?.alert_type ? getPolicyByAlertType(value.parsed.alert_type) : null;
+    await undoAutoExecution({ client, body, value, policy });
+  } catch (err) {
+    logger.error(err);
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user?.id,
+      text: "Error undoing the action. Check server logs."
+    }).catch(() => {});
+  }
+});
+
+/** Find a bot message in a thread (to update it after a modal submission, which carries no message). */
+async function findThreadMessage(client, { channel, thread_ts, ts }) {
+  const res = await client.conversations.replies({ channel, ts: thread_ts, oldest: ts, latest: ts, inclusive: true, limit: 2 });
+  return res.messages?.find((m) => m.ts === ts) ?? null;
+}
+
+app.view(MISSING_FIELDS_CALLBACK_ID, async ({ ack, body, view, client, logger }) => {
+  const firstBlockId = view.blocks.find((b) => b.type === "input")?.block_id;
+  const formError = (message) => ack({ response_action: "errors", errors: { [firstBlockId]: message } });
+
+  // Everything before ack() must not throw: Slack would show a generic error and keep the form open
+  let pendingId, channel_id, message_ts, pending, policy, parsed;
+  try {
+    ({ pendingId, channel_id, message_ts } = JSON.parse(view.private_metadata || "{}"));
+    pending = await getPendingAction(pendingId);
+    policy = pending ? getPolicyByAlertType(pending.payload.alert_type) : null;
+    if (!pending || pending.kind !== "missing_fields" || pending.expired || !policy) {
+      await formError("This proposal is no longer valid. Ask the bot again to get a fresh one.");
+      return;
+    }
+    if (pending.used) {
+      await formError("These details were already submitted; see the updated proposal in the thread.");
+      return;
+    }
+    const applied = applyFieldValues(pending.payload.parsed, policy, view.state.values);
+    if (!applied.parsed) {
+      await ack({ response_action: "errors", errors: applied.errors });
+      return;
+    }
+    // Claimed before rebuilding, so a double submission can't post two proposals
+    if (!(await markPendingActionUsed(pendingId))) {
+      await formError("These details were already submitted; see the updated proposal in the thread.");
+      return;
+    }
+    parsed = applied.parsed;
+  } catch (err) {
+    logger.error(err);
+    await formError("Could not process the details. Try again, or check server logs.");
+    return;
+  }
+  await ack();
+
+  const { thread_ts, text, requested_by } = pending.payload;
+
+  let posted = false;
+  try {
+    console.log(`[${new Date().toISOString()}] ✏️ Missing fields for ${policy.alert_type} provided by ${body.user?.name || body.user?.id}`);
+    const context = { channel_id, channel: await getChannelName(client, channel_id), user: requested_by ?? body.user.id };
+    const result = await buildPolicyResult({ parsed, policy, text, context });
+    const messageText = `✏️ *Updated with details from <@${body.user.id}>*\n\n${result.text || ""}`;
+    const followUpBlocks = [
+      ...await buildDecisionTraceBlocks({ report: result.data, channel_id }),
+      ...await buildMissingFieldsBlocks({ report: result.data, channel_id, thread_ts, text, requested_by })
+    ];
+    const auto = await autoExecuteOrHold({ client, report: result.data, channel_id, message_ts: thread_ts, requested_by, extraBlocks: followUpBlocks });
+    if (!auto.executed) {
+      const blocks = auto.needsApproval
+        ? await buildApprovalBlocks({ result, messageText, channel_id, message_ts: thread_ts, requested_by })
+        : splitIntoBlocks(messageText);
+      if (auto.note) blocks.unshift(auto.note);
+      blocks.push(...followUpBlocks);
+      await client.chat.postMessage({ channel: channel_id, thread_ts, text: messageText, blocks });
+    }
+    posted = true;
+
+    await recordAudit({
+      event: "details_provided",
+      outcome: "success",
+      channel_id,
+      message_ts: thread_ts,
+      requested_by,
+      actor_id: body.user?.id ?? null,
+      actor_name: body.user?.name || body.user?.username || null,
+      alert_type: policy.alert_type,
+      parsed,
+    });
+
+    // The old proposal is superseded: drop its buttons so nobody approves the incomplete version
+    const original = await findThreadMessage(client, { channel: channel_id, thread_ts, ts: message_ts });
+    if (original) {
+      await client.chat.update({
+        channel: channel_id,
+        ts: message_ts,
+        text: original.text,
+        blocks: withApprovalStatus(withoutApprovalButtons(original.blocks), null, `✏️ Superseded — <@${body.user.id}> provided the missing details (see the updated proposal below).`)
+      });
+    }
+  } catch (err) {
+    logger.error(err);
+    // Nothing was posted yet: let the details be submitted again
+    if (!posted) await releasePendingAction(pendingId).catch(() => {});
+    await client.chat.postMessage({
+      channel: channel_id,
+      thread_ts,
+      text: "Error updating the proposal with the provided details. Check server logs.",
+    }).catch(() => {});
+  }
+});
+
 // Handle "Search All Channels" button click
 app.action("search_all_channels", async ({ ack, body, client, logger, action }) => {
   // Always ack immediately to prevent exclamation mark
@@ -980,6 +1431,12 @@ app.action("search_all_channels", async ({ ack, body, client, logger, action })
     await validateSlackTokenAtStartup();
     const port = process.env.PORT || 3000;
     await app.start(port);
+    if (authClient && process.env.DISABLE_JOB_SCHEDULER !== "true") {
+      startJobScheduler(authClient);
+    }
+    if (process.env.POLICIES_HOT_RELOAD === "true") {
+      startPolicyWatcher(authClient);
+    }
     console.log(`⚡️ Combined Bot & Web UI running on port ${port}`);
     console.log(`   - Slack Events: http://localhost:${port}/slack/events`);
     console.log(`   - Web UI: http://localhost:${port}/`);
@@ -0,0 +1,170 @@
+/**
+ * Argv-based gcloud execution: commands are tokenized without a shell, checked against the
+ * policy allowlist (command groups/verbs, projects, denied flags) and run with execFile.
+ */
+import { execFile } from "child_process";
+import { promisify } from "util";
+
+const execFileAsync = promisify(execFile);
+
+const RELEASE_TRACKS = ["alpha", "beta", "preview"];
+/** Flags that would let a command escape the configured identity or project. Always refused. */
+const DEFAULT_DENIED_FLAGS = ["--account", "--configuration", "--impersonate-service-account", "--access-token-file", "--flags-file"];
+/** Characters a shell would interpret outside quotes; refused so templates can't rely on shell behaviour. */
+const UNQUOTED_METACHARS = /[;&|<>`$()\\\n\r]/;
+/** Inside double quotes a shell would still expand these. */
+const DOUBLE_QUOTED_METACHARS = /[`$\\]/;
+/** Commands that only read state; previews may run these without approval. */
+const READ_ONLY_VERB = /^(describe|list(-[a-z-]+)?|get-[a-z-]+)$/;
+/** Commands that change state. An allowlist entry ending in one names that command, not a group. */
+const MUTATING_VERB = /^(create|delete|update|patch|start|stop|reset|restart|resize|suspend|resume|deploy|import|export|move|ssh|scp|(set|add|remove|attach|detach|abandon|recreate|rolling-action|simulate)-[a-z-]+)$/;
+/** Flags that turn any command into a no-op check. */
+const PREVIEW_FLAGS = ["--dry-run", "--validate-only"];
+/** Parsed values substituted into a command template must be a single plain token. */
+const UNSAFE_VALUE = /[\s;&|<>`$(){}[\]'"\\*?!#~]/;
+
+/**
+ * Split a command string into argv like a POSIX shell would for plain words and quotes,
+ * but throw instead of interpreting any shell syntax.
+ */
+export function tokenizeCommand(command) {
+  const argv = [];
+  let current = "";
+  let inToken = false;
+  let quote = null;
+
+  for (const ch of String(command)) {
+    if (quote === "'") {
+      if (ch === "'") quote = null;
+      else current += ch;
+      continue;
+    }
+    if (quote === '"') {
+      if (ch === '"') quote = null;
+      else if (DOUBLE_QUOTED_METACHARS.test(ch)) throw new Error(`Unsupported character '${ch}' inside double quotes`);
+      else current += ch;
+      continue;
+    }
+    if (ch === "'" || ch === '"') {
+      quote = ch;
+      inToken = true;
+      continue;
+    }
+    if (ch === " " || ch === "\t") {
+      if (inToken) argv.push(current);
+      current = "";
+      inToken = false;
+      continue;
+    }
+    if (UNQUOTED_METACHARS.test(ch)) {
+      throw new Error(`Shell metacharacter '${ch === "\n" ? "\\n" : ch}' is not allowed in commands`);
+    }
+    current += ch;
+    inToken = true;
+  }
+
+  if (quote) throw new Error("Unterminated quote in command");
+  if (inToken) argv.push(current);
+  return argv;
+}
+
+/** True when a value can't be substituted into a command as a single plain token. */
+export function isUnsafeTemplateValue(value) {
+  return UNSAFE_VALUE.test(String(value)) || String(value).startsWith("-");
+}
+
+/** Names of placeholders in `template` whose parsed value is unsafe to substitute into a command. */
+export function unsafeTemplateValues(template, parsed) {
+  return Object.entries(parsed || {})
+    .filter(([key, value]) => value !== null && value !== undefined && String(template).includes(`{${key}}`))
+    .filter(([, value]) => isUnsafeTemplateValue(value))
+    .map(([key]) => key);
+}
+
+function stripReleaseTrack(words) {
+  return RELEASE_TRACKS.includes(words[0]) ? words.slice(1) : words;
+}
+
+/** Leading words of the command before the first flag (flags must follow the command). */
+function commandPath(argv) {
+  const firstFlag = argv.findIndex((t, i) => i > 0 && t.startsWith("-"));
+  return stripReleaseTrack(argv.slice(1, firstFlag === -1 ? argv.length : firstFlag));
+}
+
+/** Words of the longest allowlist entry that `path` starts with, or null. */
+function matchAllowlistEntry(path, commands) {
+  let match = null;
+  for (const entry of commands) {
+    const words = stripReleaseTrack(String(entry).trim().split(/\s+/));
+    if (words.length > 0 && words.every((w, i) => path[i] === w) && words.length > (match?.length ?? 0)) match = words;
+  }
+  return match;
+}
+
+/**
+ * Check a tokenized gcloud command against an allowlist.
+ *
+ * @param {string[]} argv - Output of tokenizeCommand()
+ * @param {Object} allowlist
+ * @param {string[]} allowlist.commands - Allowed command paths, e.g. "compute instance-groups managed set-autoscaling"
+ * @param {string[]} [allowlist.projects] - Allowed --project values (empty = any, but --project is then optional)
+ * @param {string[]} [allowlist.denied_flags] - Extra flags to refuse
+ * @returns {string|null} Error message, or null when the command is allowed
+ */
+export function validateGcloudArgv(argv, { commands = [], projects = [], denied_flags = [] } = {}) {
+  if (argv[0] !== "gcloud") return "Only gcloud commands are allowed";
+
+  const path = commandPath(argv);
+  if (!matchAllowlistEntry(path, commands)) {
+    return commands.length === 0
+      ? "No gcloud commands are allowlisted for this policy (set gcloud_allowlist.commands)"
+      : `gcloud command '${path.slice(0, 4).join(" ")}' is not in the allowlist`;
+  }
+
+  const denied = [...DEFAULT_DENIED_FLAGS, ...denied_flags];
+  let project = null;
+  for (let i = 1; i < argv.length; i++) {
+    const token = argv[i];
+    if (!token.startsWith("--")) continue;
+    const [flag, inlineValue] = token.split(/=(.*)/s);
+    if (denied.includes(flag)) return `Flag ${flag} is not allowed`;
+    if (flag === "--project") project = inlineValue ?? argv[i + 1] ?? "";
+  }
+
+  if (projects.length > 0) {
+    if (!project) return `--project is required (allowed: ${projects.join(", ")})`;
+    if (!projects.includes(project)) return `Project '${project}' is not allowed (allowed: ${projects.join(", ")})`;
+  }
+  return null;
+}
+
+/**
+ * Check a tokenized preview command: it must pass validateGcloudArgv() and either carry
+ * --dry-run / --validate-only or have a read-only verb. The verb sits at a fixed position: the
+ * longest matching allowlist entry's own last word when that is a verb, else the word right after
+ * the entry (a command group). Later words are resource names, so `instances delete describe` is a
+ * delete whether "compute instances" or "compute instances delete" is allowlisted.
+ *
+ * @param {string[]} argv - Output of tokenizeCommand()
+ * @param {Object} allowlist - As for validateGcloudArgv()
+ * @returns {string|null} Error message, or null when the preview may run
+ */
+export function previewRejection(argv, allowlist = {}) {
+  const rejection = validateGcloudArgv(argv, allowlist);
+  if (rejection) return rejection;
+  if (argv.some((t) => PREVIEW_FLAGS.includes(t) || PREVIEW_FLAGS.some((f) => t === `${f}=true`))) return null;
+  const path = commandPath(argv);
+  const entry = matchAllowlistEntry(path, allowlist.commands || []);
+  const namesCommand = READ_ONLY_VERB.test(entry.at(-1)) || MUTATING_VERB.test(entry.at(-1));
+  const verb = namesCommand ? entry.at(-1) : path[entry.length];
+  if (verb && READ_ONLY_VERB.test(verb)) return null;
+  return `Preview commands must be read-only (describe/list/get-*) or use --dry-run; '${verb ?? path.join(" ")}' is not`;
+}
+
+/** Run a validated gcloud argv without a shell. Resolves { stdout, stderr }; rejects like execFile. */
+export async function runGcloud(argv, { timeout = 300000 } = {}) {
+  return execFileAsync("gcloud", argv.slice(1), {
+    maxBuffer: 10 * 1024 * 1024, // 10MB buffer
+    timeout
+  });
+}
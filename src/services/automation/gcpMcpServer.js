@@ -9,11 +9,14 @@ import { join } from "path";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
 import { Octokit } from "@octokit/rest";
+import { tokenizeCommand, validateGcloudArgv, previewRejection, runGcloud } from "./gcloudCommand.js";
+import { getGcloudAllowlist } from "../../parser/parserEngine.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const execAsync = promisify(exec);
+
 const server = new Server(
   { 
     name: "gcp-autoheal", 
@@ -35,13 +38,43 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
     tools: [
       {
         name: "execute_gcloud_command",
-        description: "Executes an arbitrary gcloud command. Use this for executing gcloud commands from action templates.",
+        description: "Executes an allowlisted gcloud command (no shell). Use this for executing gcloud commands from action templates.",
         inputSchema: {
           type: "object",
           properties: {
             command: { 
               type: "string", 
               description: "The full gcloud command to execute (e.g., 'gcloud compute ssh instance-name --zone=us-central1-a --project=my-project --command=\"ls -la\"')" 
+            },
+            alert_type: {
+              type: "string",
+              description: "Policy alert_type whose gcloud_allowlist applies (top-level allowlist when omitted)"
+            },
+            gcloud_allowlist: {
+              type: "object",
+              description: "Allowlist resolved by the caller ({ commands, projects, denied_flags }); used instead of this server's copy of policies.json, which is not hot-reloaded"
+            }
+          },
+          required: ["command"]
+        }
+      },
+      {
+        name: "preview_gcloud_command",
+        description: "Runs a read-only, allowlisted gcloud command (describe/list/get-* or --dry-run) to preview the effect of a proposed action.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            command: {
+              type: "string",
+              description: "The read-only gcloud command (e.g., 'gcloud compute instance-groups managed describe my-mig --region=us-central1 --project=my-project')"
+            },
+            alert_type: {
+              type: "string",
+              description: "Policy alert_type whose gcloud_allowlist applies (top-level allowlist when omitted)"
+            },
+            gcloud_allowlist: {
+              type: "object",
+              description: "Allowlist resolved by the caller ({ commands, projects, denied_flags }); used instead of this server's copy of policies.json, which is not hot-reloaded"
             }
           },
           required: ["command"]
@@ -194,32 +227,41 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
   if (name === "execute_gcloud_command") {
     try {
-      const { command } = args;
+      const { command, alert_type, gcloud_allowlist } = args;
       
-      // Security: Only allow gcloud commands
-      if (!command.trim().startsWith("gcloud")) {
+      // Security: tokenize without a shell and check against the policy's gcloud allowlist
+      let argv;
+      try {
+        argv = tokenizeCommand(command || "");
+      } catch (err) {
+        return {
+          content: [{ type: "text", text: JSON.stringify({ error: err.message }) }],
+          isError: true
+        };
+      }
+      const rejection = validateGcloudArgv(argv, gcloud_allowlist ?? getGcloudAllowlist(alert_type));
+      if (rejection) {
+        console.warn(`[MCP Server] Refused gcloud command (${alert_type || "no alert_type"}): ${rejection}`);
         return {
-          content: [{ type: "text", text: JSON.stringify({ error: "Only gcloud commands are allowed" }) }],
+          content: [{ type: "text", text: JSON.stringify({ error: rejection }) }],
           isError: true
         };
       }
 
       // Execute the gcloud command
       console.log(`[MCP Server] Executing gcloud command: ${command}`);
-      const { stdout, stderr } = await execAsync(command, {
-        maxBuffer: 10 * 1024 * 1024, // 10MB buffer
+      const { stdout, stderr } = await runGcloud(argv, {
         timeout: 300000 // 5 minute timeout
       });
 
-      const output = stdout || stderr || "";
-      
       return {
         content: [{ 
           type: "text", 
           text: JSON.stringify({ 
             success: true, 
             command,
-            stdout: output,
+            stdout: stdout || "",
+            stderr: stderr || "",
             message: `Command executed successfully` 
           }) 
         }]
@@ -239,6 +281,59 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
   }
 
+  if (name === "preview_gcloud_command") {
+    try {
+      const { command, alert_type, gcloud_allowlist } = args;
+      let argv;
+      try {
+        argv = tokenizeCommand(command || "");
+      } catch (err) {
+        return {
+          content: [{ type: "text", text: JSON.stringify({ error: err.message }) }],
+          isError: true
+        };
+      }
+      const rejection = previewRejection(argv, gcloud_allowlist ?? getGcloudAllowlist(alert_type));
+      if (rejection) {
+        console.warn(`[MCP Server] Refused preview command (${alert_type || "no alert_type"}): ${rejection}`);
+        return {
+          content: [{ type: "text", text: JSON.stringify({ error: rejection }) }],
+          isError: true
+        };
+      }
+
+      console.log(`[MCP Server] Previewing gcloud command: ${command}`);
+      const { stdout, stderr } = await runGcloud(argv, {
+        timeout: 120000 // 2 minute timeout
+      });
+
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            command,
+            stdout: stdout || "",
+            stderr: stderr || "",
+            message: "Preview completed"
+          })
+        }]
+      };
+    } catch (err) {
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: `Preview failed: ${err.message}`,
+            stderr: err.stderr || "",
+            stdout: err.stdout || ""
+          })
+        }],
+        isError: true
+      };
+    }
+  }
+
   if (name === "execute_gcloud_scale_up") {
     const timestamp = new Date().toISOString();
     console.log(`[${timestamp}] [MCP Server] execute_gcloud_scale_up called`);
@@ -0,0 +1,103 @@
+/**
+ * Channel subscriptions: messages posted by alerting bots/integrations in configured channels are
+ * parsed without an @mention (channel_subscriptions in the policies file). On a policy match the
+ * bot replies in the alert's thread with the report and approval buttons (or runs the action, for
+ * policies with auto_execute; see approval/autoExecute.js). Repeats of the same
+ * incident (see incidents/grouping.js; window dedupe_window_sec) get a reaction and update the
+ * first occurrence's thread.
+ */
+import { parseAlert, getChannelSubscriptions } from "../parser/parserEngine.js";
+import { buildPolicyResult } from "../orchestrator.js";
+import { buildApprovalBlocks, splitIntoBlocks, buildDecisionTraceBlocks } from "./reportBlocks.js";
+import { buildMissingFieldsBlocks } from "./missingFields.js";
+import { flattenSlackMessage, normalizeSlackText, structuredMessageData } from "./normalize.js";
+import { UserResolver } from "./userResolver.js";
+import { noteRepeatOccurrence } from "./incidentThreads.js";
+import { groupAlert, incidentWindowSec } from "../incidents/grouping.js";
+import { getChannelName } from "./channels.js";
+import { autoExecuteOrHold } from "../approval/autoExecute.js";
+
+/** Subscription whose channel is this channel (by ID or #name), or null. */
+export async function findSubscription(client, channelId) {
+  const subscriptions = getChannelSubscriptions();
+  if (subscriptions.length === 0) return null;
+  const byId = subscriptions.find((s) => s.channel === channelId);
+  if (byId) return byId;
+  const name = await getChannelName(client, channelId);
+  return name ? subscriptions.find((s) => s.channel.replace(/^#/, "").toLowerCase() === name.toLowerCase()) || null : null;
+}
+
+/** Whether the message was posted by one of the subscription's bots, apps or integrations. */
+export function matchesSource(subscription, event) {
+  if (event.bot_id && (subscription.bot_ids || []).includes(event.bot_id)) return true;
+  const appId = event.app_id || event.bot_profile?.app_id;
+  if (appId && (subscription.app_ids || []).includes(appId)) return true;
+  const names = [event.username, event.bot_profile?.name].filter(Boolean).map((n) => n.toLowerCase());
+  return (subscription.integrations || []).some((integration) => names.includes(integration.toLowerCase()));
+}
+
+/** Messages worth looking at: top-level posts by a bot other than this one, not addressed to it (app_mention handles those). */
+function isCandidate(event, { botUserId, botId }) {
+  if (event.subtype && event.subtype !== "bot_message") return false;
+  if (!event.bot_id || event.bot_id === botId || (botUserId && event.user === botUserId)) return false;
+  if (event.thread_ts && event.thread_ts !== event.ts) return false;
+  return !(botUserId && (event.text || "").includes(`<@${botUserId}>`));
+}
+
+/**
+ * Handle a channel message event: parse it if it comes from a subscribed source and reply with the
+ * policy report. Anything else is ignored silently.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.event - Slack message event
+ * @param {Object} opts.client - Slack WebClient
+ * @param {Object} [opts.context] - Bolt context (botUserId, botId) to skip the bot's own messages
+ */
+export async function handleSubscribedMessage({ event, client, context = {} }) {
+  if (!isCandidate(event, context)) return;
+  const subscription = await findSubscription(client, event.channel);
+  if (!subscription || !matchesSource(subscription, event)) return;
+
+  const { text: flattened, fields } = flattenSlackMessage(event);
+  const text = await normalizeSlackText(flattened, new UserResolver(client));
+  if (!text) return;
+  const data = structuredMessageData(event, fields);
+  const parseResult = await parseAlert(text, { useLLM: subscription.use_llm === true, data });
+  const policy = parseResult.matched ? parseResult.policy : null;
+  if (!policy) return;
+  if (subscription.alert_types && !subscription.alert_types.includes(policy.alert_type)) return;
+  if (policy.trigger_channel_only) {
+    const name = await getChannelName(client, event.channel);
+    if ((name || "").toLowerCase() !== policy.trigger_channel_only.replace(/^#/, "").toLowerCase()) return;
+  }
+
+  const grouped = await groupAlert({
+    parsed: parseResult.parsed,
+    channel_id: event.channel,
+    message_ts: event.ts,
+    windowSec: subscription.dedupe_window_sec ?? incidentWindowSec()
+  });
+  if (grouped?.repeat) {
+    console.log(`[subscriptions] Repeat ${policy.alert_type} alert in ${event.channel} (incident ${grouped.incident.id}), not replying`);
+    client.reactions.add({ channel: event.channel, timestamp: event.ts, name: "repeat" }).catch(() => {});
+    await noteRepeatOccurrence({ client, incident: grouped.incident, message_ts: event.ts });
+    return;
+  }
+
+  console.log(`[subscriptions] ${policy.alert_type} alert from ${event.bot_profile?.name || event.username || event.bot_id} in ${event.channel}`);
+  const decisionContext = { channel_id: event.channel, channel: await getChannelName(client, event.channel), user: null };
+  const result = await buildPolicyResult({ parsed: parseResult.parsed, policy, text, context: decisionContext });
+  const messageText = result.text || "";
+  const followUpBlocks = [
+    ...await buildDecisionTraceBlocks({ report: result.data, channel_id: event.channel }),
+    ...await buildMissingFieldsBlocks({ report: result.data, channel_id: event.channel, thread_ts: event.ts, text })
+  ];
+  const auto = await autoExecuteOrHold({ client, report: result.data, channel_id: event.channel, message_ts: event.ts, extraBlocks: followUpBlocks });
+  if (auto.executed) return;
+  const blocks = auto.needsApproval
+    ? await buildApprovalBlocks({ result, messageText, channel_id: event.channel, message_ts: event.ts })
+    : splitIntoBlocks(messageText);
+  if (auto.note) blocks.unshift(auto.note);
+  blocks.push(...followUpBlocks);
+  await client.chat.postMessage({ channel: event.channel, thread_ts: event.ts, text: messageText, blocks });
+}
@@ -0,0 +1,37 @@
+/** Resolve channel ref (#name or C123) to channel ID for posting. Bot must be a member. */
+export async function resolveChannelForPost(client, channelRef) {
+  if (!channelRef || !client) return null;
+  const ref = String(channelRef).trim();
+  if (ref.startsWith("C") && ref.length > 5) return ref;
+  const name = ref.replace(/^#/, "");
+  let cursor;
+  do {
+    const res = await client.conversations.list({
+      types: "public_channel",
+      limit: 200,
+      exclude_archived: true,
+      cursor
+    });
+    const ch = res.channels?.find((c) => c.name === name && c.is_member);
+    if (ch) return ch.id;
+    cursor = res.response_metadata?.next_cursor;
+  } while (cursor);
+  return null;
+}
+
+// channel ID -> name (conversations.info), for policies and conditions that name channels
+const channelNames = new Map();
+
+/** Name (without #) of a channel ID, or null when it can't be looked up. */
+export async function getChannelName(client, channelId) {
+  if (!channelId || channelId === "nochannel-web-ui") return null;
+  if (!channelNames.has(channelId)) {
+    try {
+      const r = await client.conversations.info({ channel: channelId });
+      channelNames.set(channelId, r.channel?.name ?? null);
+    } catch {
+      return null;
+    }
+  }
+  return channelNames.get(channelId);
+}
@@ -0,0 +1,45 @@
+/**
+ * Slack side of incident grouping: a repeat occurrence edits a "fired N×" line in the first
+ * occurrence's thread instead of posting a new report and new action buttons.
+ */
+import { setIncidentStatusTs } from "../db/incidentsRepo.js";
+import { describeOccurrences } from "../incidents/grouping.js";
+
+async function permalink(client, channel, message_ts) {
+  try {
+    const res = await client.chat.getPermalink({ channel, message_ts });
+    return res.permalink || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Update the incident's thread for a repeat occurrence (posting the status line on the first repeat).
+ *
+ * @param {Object} opts
+ * @param {Object} opts.client - Slack WebClient
+ * @param {Object} opts.incident - alert_incidents row
+ * @param {string} opts.message_ts - The repeat occurrence
+ * @param {boolean} [opts.reply] - Also answer in the repeat's own thread (someone @-mentioned the bot)
+ */
+export async function noteRepeatOccurrence({ client, incident, message_ts, reply = false }) {
+  const channel = incident.channel_id;
+  const latest = await permalink(client, channel, message_ts);
+  const text = `🔁 Same alert ${describeOccurrences(incident)}${latest ? ` (<${latest}|latest>)` : ""}. No new proposal; use the one above.`;
+  if (incident.status_ts) {
+    await client.chat.update({ channel, ts: incident.status_ts, text });
+  } else {
+    const res = await client.chat.postMessage({ channel, thread_ts: incident.thread_ts, text });
+    if (res.ts) await setIncidentStatusTs(incident.id, res.ts);
+  }
+
+  if (reply) {
+    const first = await permalink(client, channel, incident.thread_ts);
+    await client.chat.postMessage({
+      channel,
+      thread_ts: message_ts,
+      text: `🔁 This alert is already being tracked${first ? ` in <${first}|this thread>` : ""} (${describeOccurrences(incident)}).`
+    });
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * Follow-up for policy matches with missing fields: a "Provide missing details" button opens a modal
+ * asking for exactly the fields in parsed.missing_fields; the answers are validated and merged into
+ * the parsed alert so decide() / formatReport() can run again.
+ */
+import { createPendingAction } from "../db/pendingActionsRepo.js";
+import { coerceField, policyFieldTypes } from "../parser/fieldTypes.js";
+import { validateParsedAlert } from "../parser/schema.js";
+import { MCP_TOOL_FIELDS } from "../report/formatReport.js";
+import { isUnsafeTemplateValue } from "../services/automation/gcloudCommand.js";
+
+export const MISSING_FIELDS_CALLBACK_ID = "missing_fields_submit";
+const MAX_FIELDS = 20; // Slack modals allow up to 100 blocks; keep the form short
+
+/** gcloud command templates of a policy (including action_templates entries); MCP templates excluded. */
+function commandTemplates(policy) {
+  const options = [policy, ...(policy.action_templates || [])];
+  const keys = ["action_template", "template", "gcloud_command_template", "preview_template", "verify_template", "rollback_template", "revert_template"];
+  return options
+    .flatMap((option) => keys.map((key) => option[key]))
+    .filter((t) => typeof t === "string" && !t.startsWith("MCP:"));
+}
+
+/** Fields the policy's actions can't do without: required_fields, command placeholders and MCP tool inputs. */
+function actionFields(policy) {
+  const fields = new Set(policy.required_fields || []);
+  for (const template of commandTemplates(policy)) {
+    for (const [, field] of template.matchAll(/\{([a-zA-Z0-9_]+)\}/g)) fields.add(field);
+  }
+  const mcpTemplates = [policy.action_template, ...(policy.action_templates || []).map((o) => o.template)];
+  for (const template of mcpTemplates) {
+    if (typeof template === "string" && template.startsWith("MCP:")) {
+      (MCP_TOOL_FIELDS[template.substring(4)] || []).forEach((field) => fields.add(field));
+    }
+  }
+  return fields;
+}
+
+/**
+ * Fields to ask for: parsed.missing_fields, each flagged required when an action needs it.
+ * @returns {Array<{ field: string, required: boolean }>}
+ */
+export function fieldsToCollect(parsed, policy) {
+  if (!policy || !Array.isArray(parsed?.missing_fields)) return [];
+  const needed = actionFields(policy);
+  return parsed.missing_fields.slice(0, MAX_FIELDS).map((field) => ({ field, required: needed.has(field) }));
+}
+
+/**
+ * "Provide missing details" button for a policy report, or [] when nothing is missing.
+ * The pending action keeps the parsed alert server-side; the button carries only its id.
+ */
+export async function buildMissingFieldsBlocks({ report, channel_id, thread_ts, text, requested_by = null }) {
+  const fields = fieldsToCollect(report?.parsed, report?.policy);
+  if (fields.length === 0) return [];
+  const id = await createPendingAction({
+    kind: "missing_fields",
+    channel_id,
+    payload: { alert_type: report.parsed.alert_type, parsed: report.parsed, fields, text, thread_ts, requested_by }
+  });
+  const list = fields.map(({ field }) => `\`${field}\``).join(", ");
+  return [
+    { type: "context", elements: [{ type: "mrkdwn", text: `❔ Missing: ${list}` }] },
+    {
+      type: "actions",
+      elements: [{
+        type: "button",
+        text: { type: "plain_text", text: "✏️ Provide missing details" },
+        value: id,
+        action_id: "provide_missing_fields"
+      }]
+    }
+  ];
+}
+
+/** Modal with one text input per missing field. private_metadata ties the submission back to the pending action. */
+export function buildMissingFieldsModal({ pendingId, payload, policyName, channel_id, message_ts }) {
+  const blocks = [
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: `*${policyName || payload.alert_type}* needs a few more details before the bot can propose an action.` }
+    },
+    ...payload.fields.map(({ field, required }) => ({
+      type: "input",
+      block_id: `field_${field}`,
+      optional: !required,
+      label: { type: "plain_text", text: field },
+      element: { type: "plain_text_input", action_id: "value" }
+    }))
+  ];
+  return {
+    type: "modal",
+    callback_id: MISSING_FIELDS_CALLBACK_ID,
+    private_metadata: JSON.stringify({ pendingId, channel_id, message_ts }),
+    title: { type: "plain_text", text: "Missing details" },
+    submit: { type: "plain_text", text: "Update proposal" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks
+  };
+}
+
+/**
+ * Validate modal answers and merge them into the parsed alert.
+ * Values used in command templates must be single plain tokens; typed fields are coerced like
+ * captures (e.g. "2h" for a duration); the result must still satisfy the policy's schema.
+ *
+ * @param {Object} parsed - Parsed alert from the pending action
+ * @param {Object} policy
+ * @param {Object} stateValues - view.state.values from the submission
+ * @returns {{ parsed: Object|null, errors: Object<string, string> }} errors keyed by block_id
+ */
+export function applyFieldValues(parsed, policy, stateValues) {
+  const errors = {};
+  const values = {};
+  const commandFields = new Set(commandTemplates(policy).flatMap((t) => [...t.matchAll(/\{([a-zA-Z0-9_]+)\}/g)].map((m) => m[1])));
+  const fieldTypes = policyFieldTypes(policy);
+
+  for (const [blockId, inputs] of Object.entries(stateValues || {})) {
+    if (!blockId.startsWith("field_")) continue;
+    const field = blockId.substring("field_".length);
+    const raw = (inputs.value?.value || "").trim();
+    if (!raw) continue;
+    if (commandFields.has(field) && isUnsafeTemplateValue(raw)) {
+      errors[blockId] = "Used in a command: no spaces, quotes or shell characters, and it can't start with \"-\"";
+      continue;
+    }
+    const result = coerceField(field, raw, fieldTypes[field]);
+    if (result.error) {
+      errors[blockId] = result.error;
+      continue;
+    }
+    values[field] = result.value;
+  }
+  if (Object.keys(errors).length > 0) return { parsed: null, errors };
+
+  const merged = {
+    ...parsed,
+    ...values,
+    missing_fields: (parsed.missing_fields || []).filter((field) => !(field in values))
+  };
+  try {
+    return { parsed: validateParsedAlert(merged, policy), errors };
+  } catch (err) {
+    for (const issue of err.issues || []) {
+      const field = issue.path?.[0];
+      if (field && field in values) errors[`field_${field}`] = issue.message;
+    }
+    if (Object.keys(errors).length === 0) throw err;
+    return { parsed: null, errors };
+  }
+}
@@ -1,5 +1,6 @@
 /**
- * Basic normalization + async mention resolution.
+ * Basic normalization + async mention resolution, and flattening of attachments / Block Kit
+ * content into plain text (flattenSlackMessage).
  *
  * We keep this conservative:
  * - Replace channel refs <#C123|name> -> #name
@@ -46,3 +47,138 @@ export function formatUserLine(username, text) {
   const who = username ? `@${username}` : "@unknown";
   return `${who}: ${text}`;
 }
+
+/** Text of a Block Kit text object ({ type: "mrkdwn" | "plain_text", text }). */
+function textObject(obj) {
+  return typeof obj?.text === "string" ? obj.text : "";
+}
+
+/** "*Project*\nmy-project" / "*Project:* my-project" / "Project: my-project" (section fields) -> ["Project", "my-project"] */
+function splitLabeledText(text) {
+  const match = /^\s*\*?([^*\n:]{1,60}?)\*?\s*(?::\*?(?=\s)|\n)\s*([\s\S]+?)\s*$/.exec(text);
+  return match ? [match[1].trim(), match[2].trim()] : null;
+}
+
+function richTextElements(elements = []) {
+  return elements.map((el) => {
+    switch (el.type) {
+      case "text": return el.text || "";
+      case "link": return el.text ? `<${el.url}|${el.text}>` : el.url || "";
+      case "user": return `<@${el.user_id}>`;
+      case "channel": return `<#${el.channel_id}>`;
+      case "usergroup": return `<!subteam^${el.usergroup_id}>`;
+      case "broadcast": return `<!${el.range}>`;
+      case "emoji": return `:${el.name}:`;
+      default: return el.text || "";
+    }
+  }).join("");
+}
+
+function richText(block) {
+  return (block.elements || []).map((el) => {
+    if (el.type === "rich_text_list") {
+      return (el.elements || []).map((item) => `• ${richTextElements(item.elements)}`).join("\n");
+    }
+    return richTextElements(el.elements);
+  }).join("\n");
+}
+
+/**
+ * Flatten Block Kit blocks into lines; section fields also go into `fields`.
+ * With `skipRichText`, rich_text blocks (Slack's copy of a user's typed text) are left out.
+ */
+function flattenBlocks(blocks, fields, { skipRichText = false } = {}) {
+  const lines = [];
+  for (const block of blocks || []) {
+    switch (block.type) {
+      case "header":
+        lines.push(textObject(block.text));
+        break;
+      case "section":
+        lines.push(textObject(block.text));
+        for (const field of block.fields || []) {
+          const text = textObject(field);
+          const labeled = splitLabeledText(text);
+          if (labeled) fields[labeled[0]] = labeled[1];
+          lines.push(labeled ? `${labeled[0]}: ${labeled[1]}` : text);
+        }
+        break;
+      case "context":
+        lines.push((block.elements || []).map(textObject).filter(Boolean).join(" "));
+        break;
+      case "rich_text":
+        if (!skipRichText) lines.push(richText(block));
+        break;
+      default:
+        // actions, dividers, images, inputs: nothing worth parsing
+        break;
+    }
+  }
+  return lines;
+}
+
+/** Legacy attachments (GCP Monitoring, PagerDuty, Grafana): pretext, title, text, fields, footer, nested blocks. */
+function flattenAttachments(attachments, fields) {
+  const lines = [];
+  for (const attachment of attachments || []) {
+    const own = [];
+    if (attachment.pretext) own.push(attachment.pretext);
+    if (attachment.title) own.push(attachment.title_link ? `${attachment.title} <${attachment.title_link}>` : attachment.title);
+    if (attachment.text) own.push(attachment.text);
+    for (const field of attachment.fields || []) {
+      if (!field?.title && !field?.value) continue;
+      if (field.title) fields[field.title] = String(field.value ?? "");
+      own.push(field.title ? `${field.title}: ${field.value ?? ""}` : String(field.value));
+    }
+    own.push(...flattenBlocks(attachment.blocks, fields));
+    if (attachment.footer) own.push(attachment.footer);
+    // fallback is the plain-text summary of everything above; only use it when there is nothing else
+    lines.push(...(own.some((line) => line.trim()) ? own : [attachment.fallback || ""]));
+  }
+  return lines;
+}
+
+/**
+ * Flatten a Slack message into parseable text: message text, then Block Kit blocks, then attachments.
+ * When the message has `text`, its own rich_text blocks are skipped: they repeat that text, and
+ * callers may have edited it (e.g. stripped the bot mention). Other lines already present are
+ * skipped too. Labeled values
+ * (attachment fields, "*Title*\nvalue" section fields) are also returned as `fields`, keyed by title.
+ * Mentions and channel refs are left as-is for normalizeSlackText().
+ *
+ * @param {{ text?: string, blocks?: Object[], attachments?: Object[] }} message - Slack event or history message
+ * @returns {{ text: string, fields: Object<string, string> }}
+ */
+export function flattenSlackMessage(message) {
+  const fields = {};
+  const candidates = [
+    message?.text || "",
+    ...flattenBlocks(message?.blocks, fields, { skipRichText: typeof message?.text === "string" }),
+    ...flattenAttachments(message?.attachments, fields)
+  ];
+  const lines = [];
+  for (const candidate of candidates) {
+    const line = candidate.trim();
+    if (!line) continue;
+    if (lines.some((existing) => existing.includes(line))) continue;
+    lines.push(line);
+  }
+  return { text: lines.join("\n"), fields };
+}
+
+/**
+ * Structured content for jsonpath patterns ({ attachments, blocks, fields }), or null for plain
+ * messages so a JSON text body is used instead.
+ * @param {Object} message - Slack event
+ * @param {Object<string, string>} fields - From flattenSlackMessage()
+ */
+export function structuredMessageData(message, fields) {
+  return message?.attachments?.length || Object.keys(fields || {}).length
+    ? { attachments: message.attachments || [], blocks: message.blocks || [], fields }
+    : null;
+}
+
+/** Whether a message has anything to index or parse (text, blocks or attachments). */
+export function hasSlackContent(message) {
+  return Boolean(message?.text || message?.blocks?.length || message?.attachments?.length);
+}
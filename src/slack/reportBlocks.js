@@ -0,0 +1,344 @@
+/**
+ * Slack Block Kit rendering for policy reports that need approval.
+ * Button values carry only a pending_actions id; the full payload stays server-side.
+ */
+import { createPendingAction } from "../db/pendingActionsRepo.js";
+
+/** Split long text into multiple section blocks (Slack limit is 3000 chars per block). */
+export function splitIntoBlocks(text, maxLength = 2900) {
+  if (!text || text.length <= maxLength) {
+    return [{ type: "section", text: { type: "mrkdwn", text } }];
+  }
+
+  const blocks = [];
+  let remaining = text;
+
+  while (remaining.length > 0) {
+    if (remaining.length <= maxLength) {
+      blocks.push({
+        type: "section",
+        text: { type: "mrkdwn", text: remaining }
+      });
+      break;
+    }
+
+    // Try to split at a newline near the limit
+    const chunk = remaining.substring(0, maxLength);
+    const lastNewline = chunk.lastIndexOf('\n');
+    const splitPoint = lastNewline > maxLength * 0.8 ? lastNewline + 1 : maxLength;
+
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: remaining.substring(0, splitPoint) }
+    });
+
+    remaining = remaining.substring(splitPoint);
+  }
+
+  return blocks;
+}
+
+/** Check if action is valid (not an error message) */
+export function isActionValid(action) {
+  if (!action) return false;
+  const actionStr = String(action);
+  // Check for common error message patterns
+  const errorPatterns = [
+    /^Missing required parameters/i,
+    /^Failed to generate/i,
+    /^Error generating/i,
+    /^Rejected unsafe value/i,
+    /^MCP tool:/i  // Generic MCP tool placeholder
+  ];
+  return !errorPatterns.some(pattern => pattern.test(actionStr));
+}
+
+/**
+ * Build the message blocks for a NEEDS_APPROVAL policy result: report text, action option(s)
+ * with Approve/Reject (and Preview, when the policy has a preview_template) buttons, then RAG history.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.result - processIncomingMessage() result (result.data is the report)
+ * @param {string} opts.messageText - Combined message text (used when there is no separate RAG result)
+ * @param {string} opts.channel_id - Channel the proposal is posted in
+ * @param {string} opts.message_ts - ts of the message that triggered the proposal
+ * @param {string} [opts.requested_by] - Slack user ID who asked
+ * @param {Object} [opts.approvePayload] - Extra fields stored with every Approve button (e.g. rollbackOf)
+ */
+export async function buildApprovalBlocks({ result, messageText, channel_id, message_ts, requested_by = null, approvePayload = {} }) {
+  const data = result.data;
+  const disableApprovalButtons = process.env.DISABLE_APPROVAL_BUTTONS === "true";
+  const hasMultipleOptions = data.actionOptions && Array.isArray(data.actionOptions) && data.actionOptions.length > 0;
+
+  const storeAction = (kind, payload) => createPendingAction({ kind, payload, channel_id });
+
+  // "Preview" runs the policy's read-only preview_template for an action and posts the result in the thread
+  const previewButton = async (command, actionLabel) => ({
+    type: "button",
+    text: {
+      type: "plain_text",
+      text: "🔍 Preview"
+    },
+    value: await storeAction("preview", {
+      command,
+      actionLabel,
+      parsed: data.parsed,
+      message_ts,
+      requested_by
+    }),
+    action_id: "preview_action"
+  });
+
+  // If we have both policy and RAG results, split them so policy comes first
+  let policyText = messageText;
+  let ragText = null;
+
+  if (result.source === "both" && result.policy_result && result.rag_result) {
+    // Use policy result text only (without RAG) for the main message
+    policyText = result.policy_result.text;
+    ragText = result.rag_result.text;
+  }
+
+  // Split policy text into blocks if it's too long
+  const blocks = splitIntoBlocks(policyText);
+
+  // On-call rules: ping the person whose approval is needed
+  const oncall = data.decision?.oncall;
+  if (oncall) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: oncall.user_id
+          ? `📟 <@${oncall.user_id}>, you're on call for *${oncall.schedule}*: this needs your approval.`
+          : `⚠️ Couldn't find who is on call for *${oncall.schedule}* (${oncall.error}). The policy's approvers can approve.`
+      }
+    });
+  }
+
+  // If we have multiple action options, show them separately
+  if (hasMultipleOptions && !disableApprovalButtons) {
+    // Add each action option as a separate section with its own button
+    for (let idx = 0; idx < data.actionOptions.length; idx++) {
+      const option = data.actionOptions[idx];
+      const optionIsValid = isActionValid(option.action);
+
+      // Add section for this option (when hideApproveButton, show instruction only—no gcloud command)
+      const optionText = option.hideApproveButton
+        ? `*${option.label}*\n${option.description || ""}`
+        : `*${option.label}*\n${option.description ? `${option.description}\n` : ""}${option.action.substring(0, 500)}${option.action.length > 500 ? "..." : ""}`;
+      blocks.push({
+        type: "section",
+        text: { type: "mrkdwn", text: optionText }
+      });
+
+      // Add approve button for this option (skip if hideApproveButton)
+      if (optionIsValid && !option.hideApproveButton) {
+        blocks.push({
+          type: "actions",
+          elements: [
+            {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: `✅ Approve: ${option.label}`
+              },
+              style: "primary",
+              value: await storeAction("approve", {
+                action: option.action,
+                actionTemplate: option.template,
+                actionLabel: option.label,
+                gcloudCommandTemplate: option.gcloudCommandTemplate || null,
+                githubOwner: option.githubOwner ?? data.policy?.github_owner ?? null,
+                githubRepo: option.githubRepo ?? data.policy?.github_repo ?? null,
+                prNotifyChannel: data.policy?.pr_notify_channel ?? null,
+                prNotifyTemplate: data.policy?.pr_notify_template ?? null,
+                jiraBaseUrl: data.policy?.jira_base_url ?? null,
+                parsed: data.parsed,
+                decision: data.decision,
+                message_ts,
+                requested_by,
+                optionIndex: idx,
+                rollbackCommand: option.rollbackCommand || null,
+                revertCommand: option.revertCommand || null,
+                revertAfterSec: option.revertAfterSec ?? null,
+                ...approvePayload
+              }),
+              action_id: "approve_action"
+            },
+            ...(option.previewCommand ? [await previewButton(option.previewCommand, option.label)] : [])
+          ]
+        });
+      }
+    }
+
+    // Add Reject All only when at least one option has an Approve button (skip if all options have hideApproveButton)
+    const anyOptionHasApprove = data.actionOptions.some((opt) => !opt.hideApproveButton && isActionValid(opt.action));
+    if (anyOptionHasApprove) {
+      blocks.push({
+        type: "actions",
+        elements: [
+          {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "❌ Reject All"
+            },
+            style: "danger",
+            value: await storeAction("reject", {
+              parsed: data.parsed,
+              decision: data.decision,
+              message_ts,
+              requested_by
+            }),
+            action_id: "reject_action"
+          }
+        ]
+      });
+    }
+  }
+  // Single action (legacy format)
+  else {
+    if (data.action) {
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Action:* \`${data.action.substring(0, 200)}${data.action.length > 200 ? '...' : ''}\``
+        }
+      });
+    }
+
+    // Only add approval buttons if action is valid AND approval buttons are not disabled
+    if (isActionValid(data.action) && !disableApprovalButtons) {
+      blocks.push({
+        type: "actions",
+        elements: [
+          {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "✅ Approve & Execute"
+            },
+            style: "primary",
+            value: await storeAction("approve", {
+              action: data.action,
+              actionTemplate: data.policy?.action_template || null,
+              actionLabel: "Execute Action",
+              gcloudCommandTemplate: data.policy?.gcloud_command_template || null,
+              githubOwner: data.policy?.github_owner || null,
+              githubRepo: data.policy?.github_repo || null,
+              prNotifyChannel: data.policy?.pr_notify_channel ?? null,
+              prNotifyTemplate: data.policy?.pr_notify_template ?? null,
+              jiraBaseUrl: data.policy?.jira_base_url ?? null,
+              parsed: data.parsed,
+              decision: data.decision,
+              message_ts,
+              requested_by,
+              rollbackCommand: data.rollbackCommand || null,
+              revertCommand: data.revertCommand || null,
+              revertAfterSec: data.revertAfterSec ?? null,
+              ...approvePayload
+            }),
+            action_id: "approve_action"
+          },
+          ...(data.previewCommand ? [await previewButton(data.previewCommand, "Execute Action")] : []),
+          {
+            type: "button",
+            text: {
+              type: "plain_text",
+              text: "❌ Reject"
+            },
+            style: "danger",
+            value: await storeAction("reject", {
+              action: data.action,
+              parsed: data.parsed,
+              decision: data.decision,
+              message_ts,
+              requested_by
+            }),
+            action_id: "reject_action"
+          }
+        ]
+      });
+    }
+  }
+
+  // Add RAG history at the end (after all action options)
+  if (ragText) {
+    const ragBlocks = splitIntoBlocks(`*Additional Context from Slack History:*\n${ragText}`);
+    blocks.push(...ragBlocks);
+  }
+
+  return blocks;
+}
+
+/**
+ * "↩ Roll back" button for a successfully executed action. Clicking it posts a rollback proposal
+ * (with its own Approve/Reject buttons) in the thread.
+ *
+ * @param {Object} opts
+ * @param {string} opts.channel_id - Channel of the executed action
+ * @param {Object} opts.payload - { command, actionLabel, parsed, decision, message_ts, rollbackOf }
+ */
+export async function buildRollbackBlock({ channel_id, payload }) {
+  return {
+    type: "actions",
+    elements: [
+      {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "↩ Roll back"
+        },
+        value: await createPendingAction({ kind: "rollback", payload, channel_id }),
+        action_id: "rollback_action"
+      }
+    ]
+  };
+}
+
+export const DECISION_TRACE_BLOCK_ID = "decision_trace";
+const SHOW_TRACE_TEXT = "🤔 Why this decision?";
+const HIDE_TRACE_TEXT = "🙈 Hide explanation";
+
+/**
+ * "Why this decision?" toggle for a policy report whose policy has decision rules (or whose
+ * decision a change freeze changed), or []. The explanation (report.decisionExplanation) is
+ * stored with the pending action.
+ */
+export async function buildDecisionTraceBlocks({ report, channel_id }) {
+  if (!report?.decisionExplanation || !(report.policy?.decision_rules?.length || report.decision?.freeze)) return [];
+  return [{
+    type: "actions",
+    elements: [{
+      type: "button",
+      text: { type: "plain_text", text: SHOW_TRACE_TEXT },
+      value: await createPendingAction({ kind: "decision_trace", payload: { explanation: report.decisionExplanation }, channel_id }),
+      action_id: "toggle_decision_trace"
+    }]
+  }];
+}
+
+/**
+ * Message blocks with the explanation shown (inserted below the toggle) or hidden again.
+ * @param {Object[]} blocks - Current message blocks
+ * @param {string} explanation
+ */
+export function toggleDecisionTrace(blocks, explanation) {
+  const shown = blocks.some((b) => b.block_id === DECISION_TRACE_BLOCK_ID);
+  const next = blocks
+    .filter((b) => b.block_id !== DECISION_TRACE_BLOCK_ID)
+    .map((b) => b.type !== "actions" ? b : {
+      ...b,
+      elements: b.elements.map((e) => e.action_id !== "toggle_decision_trace" ? e : {
+        ...e,
+        text: { ...e.text, text: shown ? SHOW_TRACE_TEXT : HIDE_TRACE_TEXT }
+      })
+    });
+  if (shown) return next;
+  const at = next.findIndex((b) => b.type === "actions" && b.elements.some((e) => e.action_id === "toggle_decision_trace"));
+  const section = { type: "section", block_id: DECISION_TRACE_BLOCK_ID, text: { type: "mrkdwn", text: explanation.substring(0, 2900) } };
+  next.splice(at === -1 ? next.length : at + 1, 0, section);
+  return next;
+}
@@ -0,0 +1,174 @@
+/**
+ * Post-execution verification: after an approved action succeeds, wait, run the policy's
+ * verify_template and compare the measured value against the alert's threshold_percent.
+ */
+import { fillCommandTemplate } from "../report/formatReport.js";
+import { recordAudit } from "../audit/auditLog.js";
+import { createScheduledJob } from "../db/scheduledJobsRepo.js";
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number.parseFloat(String(value));
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Direction the alert fired in, from its value_percent vs threshold_percent; null if either is missing. */
+export function inferFiringWhen(parsed) {
+  const threshold = toNumber(parsed?.threshold_percent);
+  const original = toNumber(parsed?.value_percent);
+  if (threshold === null || original === null) return null;
+  return original < threshold ? "below" : "above";
+}
+
+/**
+ * Build the verification plan for a policy + parsed alert, or null if the policy has no verify_template
+ * (or the template can't be filled).
+ *
+ * Policy fields:
+ * - verify_template: gcloud command whose output contains the current metric value
+ * - verify_delay_sec: wait before running it (default VERIFY_DELAY_SEC, 300)
+ * - verify_value_regex: regex whose first capture group is the value (default: first number in the output)
+ * - verify_firing_when: "above" | "below" the threshold; default inferred from the original value_percent
+ */
+export function verificationPlan(policy, parsed) {
+  if (!policy?.verify_template) return null;
+  const command = fillCommandTemplate(policy.verify_template, parsed || {});
+  if (!command) {
+    console.warn(`[verify] verify_template for ${policy.alert_type} could not be filled from parsed fields`);
+    return null;
+  }
+
+  const threshold = toNumber(parsed?.threshold_percent);
+  const original = toNumber(parsed?.value_percent);
+  const firingWhen = policy.verify_firing_when || inferFiringWhen(parsed);
+
+  return {
+    command,
+    delaySec: toNumber(policy.verify_delay_sec) ?? toNumber(process.env.VERIFY_DELAY_SEC) ?? 300,
+    valueRegex: policy.verify_value_regex || "(-?\\d+(?:\\.\\d+)?)",
+    firingWhen,
+    threshold,
+    original
+  };
+}
+
+/**
+ * Compare verification output against the plan.
+ * @returns {{ status: "resolved"|"still_firing"|"unknown", value: number|null, reason?: string }}
+ */
+export function evaluateVerification(output, plan) {
+  let match = null;
+  try {
+    match = new RegExp(plan.valueRegex, "m").exec(output || "");
+  } catch (err) {
+    return { status: "unknown", value: null, reason: `invalid verify_value_regex: ${err.message}` };
+  }
+  const value = toNumber(match?.[1] ?? match?.[0]);
+  if (value === null) return { status: "unknown", value: null, reason: "no value found in output" };
+  if (plan.threshold === null || !plan.firingWhen) {
+    return { status: "unknown", value, reason: "no threshold_percent to compare against" };
+  }
+  const firing = plan.firingWhen === "below" ? value < plan.threshold : value > plan.threshold;
+  return { status: firing ? "still_firing" : "resolved", value };
+}
+
+function verificationText(plan, result, execution) {
+  const comparison = plan.threshold !== null
+    ? ` (threshold ${plan.threshold}${plan.original !== null ? `, was ${plan.original}` : ""})`
+    : "";
+  const headline = {
+    resolved: `✅ *Verification: resolved* — value is now ${result.value}${comparison}`,
+    still_firing: `🔥 *Verification: still firing* — value is ${result.value}${comparison}`,
+    unknown: `❔ *Verification inconclusive* — ${execution.success ? result.reason : execution.error || "verification command failed"}`
+  }[result.status];
+  const output = (execution.stdout || execution.output || "").trim();
+  const truncated = output.length > 1500 ? output.substring(0, 1500) + "\n... (truncated)" : output;
+  return `${headline}\n\n*Command:*\n\`\`\`${plan.command}\`\`\`${truncated ? `\n*Output:*\n\`\`\`${truncated}\`\`\`` : ""}`;
+}
+
+/**
+ * Schedule verification after plan.delaySec as a scheduled_jobs row (kind "verify"), so it survives
+ * a restart; the job scheduler runs it with runVerificationJob(). Never throws.
+ *
+ * @param {Object} opts
+ * @param {string} opts.channel - Channel ID
+ * @param {string} opts.thread_ts - Thread to post into
+ * @param {Object} opts.policy - Policy with verify_template
+ * @param {Object} opts.parsed - Parsed alert fields
+ * @param {Object} [opts.audit] - Base audit fields (channel_id, message_ts, requested_by, ...)
+ * @returns {Promise<Object|null>} the plan, or null when there is nothing to verify or it couldn't be scheduled
+ */
+export async function scheduleVerification({ channel, thread_ts, policy, parsed, audit = {} }) {
+  const plan = verificationPlan(policy, parsed);
+  if (!plan) return null;
+
+  try {
+    const job = await createScheduledJob({
+      kind: "verify",
+      delaySec: plan.delaySec,
+      channel_id: channel,
+      thread_ts,
+      alert_type: policy.alert_type,
+      command: plan.command,
+      payload: { plan, parsed, audit },
+      created_by: audit.requested_by ?? null
+    });
+    console.log(`[verify] Scheduled verification job ${job.id} for ${policy.alert_type} in ${plan.delaySec}s: ${plan.command}`);
+    return plan;
+  } catch (err) {
+    console.warn(`[verify] Could not schedule verification for ${policy.alert_type}:`, err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * Run a claimed "verify" job: execute the check, record it in the audit log and post the outcome
+ * in the thread.
+ *
+ * @param {Object} client - Slack WebClient
+ * @param {Object} job - scheduled_jobs row
+ * @returns {Promise<{ success: boolean, error: string|null }>} whether the check itself ran
+ */
+export async function runVerificationJob(client, job) {
+  const { plan, parsed = null, audit = {} } = job.payload || {};
+  const startedAt = Date.now();
+  let execution;
+  try {
+    const { executeMCPGcloudCommand } = await import("../report/mcpClient.js");
+    execution = await executeMCPGcloudCommand(plan.command, { alertType: job.alert_type });
+  } catch (err) {
+    execution = { success: false, error: err.message };
+  }
+  const result = execution.success
+    ? evaluateVerification(execution.stdout || execution.output, plan)
+    : { status: "unknown", value: null };
+  console.log(`[verify] ${job.alert_type}: ${result.status}${result.value !== null ? ` (value ${result.value})` : ""}`);
+
+  await recordAudit({
+    ...audit,
+    event: "verified",
+    outcome: result.status === "resolved" ? "success" : "failed",
+    verification_status: result.status,
+    alert_type: job.alert_type,
+    parsed,
+    command: plan.command,
+    mcp_tool: "execute_gcloud_command",
+    stdout: execution.stdout ?? execution.output ?? null,
+    stderr: execution.stderr ?? null,
+    error: execution.error ?? null,
+    duration_ms: Date.now() - startedAt,
+  });
+
+  try {
+    const text = verificationText(plan, result, execution);
+    await client.chat.postMessage({
+      channel: job.channel_id,
+      thread_ts: job.thread_ts || undefined,
+      text,
+      blocks: [{ type: "section", text: { type: "mrkdwn", text } }]
+    });
+  } catch (err) {
+    console.warn("[verify] Failed to post verification result:", err?.message || err);
+  }
+  return { success: Boolean(execution.success), error: execution.success ? null : execution.error || "verification command failed" };
+}
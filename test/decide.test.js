@@ -0,0 +1,150 @@
+/**
+ * decide(): field operators, all / any / not nesting, "context.*" fields and the decision trace.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decide } from "../src/decision/decide.js";
+
+// Monday 2026-03-02 14:30 UTC
+const NOW = "2026-03-02T14:30:00Z";
+
+/** Whether `condition` matches: a single AUTO_RESTART rule over a NEEDS_APPROVAL default. */
+function matches(condition, parsed = {}, context = {}) {
+  const policy = { alert_type: "t", default_decision: "NEEDS_APPROVAL", decision_rules: [{ condition, decision: "AUTO_RESTART" }] };
+  return decide(parsed, policy, { now: NOW, ...context }).decision === "AUTO_RESTART";
+}
+
+test("plain values, null and the string operators", () => {
+  const parsed = { project_id: "prod-a", instance_name: "web-12", zone: null };
+  assert.equal(matches({ project_id: "prod-a" }, parsed), true);
+  assert.equal(matches({ project_id: "prod" }, parsed), false);
+  assert.equal(matches({ zone: null }, parsed), true);
+  assert.equal(matches({ region: null }, parsed), true);
+  assert.equal(matches({ project_id: null }, parsed), false);
+  assert.equal(matches({ instance_name: { startsWith: "web-" } }, parsed), true);
+  assert.equal(matches({ instance_name: { contains: "b-1" } }, parsed), true);
+  assert.equal(matches({ instance_name: { matches: "^web-\\d+$" } }, parsed), true);
+  assert.equal(matches({ instance_name: { matches: "^WEB" } }, parsed), false);
+  assert.equal(matches({ instance_name: { equals: "web-12" } }, parsed), true);
+  // Every operator in one field condition must hold
+  assert.equal(matches({ instance_name: { startsWith: "web-", contains: "99" } }, parsed), false);
+  assert.equal(matches({ instance_name: {} }, parsed), false);
+});
+
+test("numeric operators accept numeric strings and never match non-numbers", () => {
+  const parsed = { value_percent: 95.5, threshold_percent: "80", label: "high" };
+  assert.equal(matches({ value_percent: { gt: 90 } }, parsed), true);
+  assert.equal(matches({ value_percent: { gt: 95.5 } }, parsed), false);
+  assert.equal(matches({ value_percent: { gte: 95.5 } }, parsed), true);
+  assert.equal(matches({ threshold_percent: { lt: 81, lte: 80 } }, parsed), true);
+  assert.equal(matches({ threshold_percent: { between: [80, 90] } }, parsed), true);
+  assert.equal(matches({ value_percent: { between: [80, 90] } }, parsed), false);
+  assert.equal(matches({ label: { gt: 0 } }, parsed), false);
+  assert.equal(matches({ label: { lt: 0 } }, parsed), false);
+  assert.equal(matches({ empty: { lt: 1 } }, { empty: "" }), false);
+});
+
+test("in / notIn / exists, and missing fields", () => {
+  const parsed = { zone: "us-central1-a", region: null };
+  assert.equal(matches({ zone: { in: ["us-central1-a", "us-east1-b"] } }, parsed), true);
+  assert.equal(matches({ zone: { notIn: ["us-central1-a"] } }, parsed), false);
+  assert.equal(matches({ zone: { exists: true } }, parsed), true);
+  assert.equal(matches({ region: { exists: false } }, parsed), true);
+  assert.equal(matches({ region: { exists: true } }, parsed), false);
+  // A missing field fails every operator except exists: false, even notIn
+  assert.equal(matches({ region: { notIn: ["x"] } }, parsed), false);
+  assert.equal(matches({ region: { lt: 100 } }, parsed), false);
+});
+
+test("unknown operators never match", () => {
+  assert.equal(matches({ zone: { near: "us" } }, { zone: "us-central1-a" }), false);
+});
+
+test("all / any / not nest", () => {
+  const parsed = { project_id: "prod-a", instance_name: "web-1", value_percent: 97 };
+  assert.equal(matches({ all: [{ project_id: "prod-a" }, { value_percent: { gt: 95 } }] }, parsed), true);
+  assert.equal(matches({ all: [{ project_id: "prod-a" }, { value_percent: { gt: 99 } }] }, parsed), false);
+  assert.equal(matches({ any: [{ project_id: "staging" }, { instance_name: { startsWith: "web" } }] }, parsed), true);
+  assert.equal(matches({ any: [{ project_id: "staging" }, { instance_name: "db-1" }] }, parsed), false);
+  assert.equal(matches({ not: { project_id: "prod-a" } }, parsed), false);
+  assert.equal(matches({ not: { project_id: "staging" } }, parsed), true);
+  assert.equal(matches({ all: [] }, parsed), true);
+  assert.equal(matches({ any: [] }, parsed), false);
+  assert.equal(matches({ any: { project_id: "prod-a" } }, parsed), false);
+
+  // Keys next to combinators must hold too
+  const nested = {
+    project_id: { startsWith: "prod" },
+    any: [
+      { all: [{ instance_name: { startsWith: "web" } }, { not: { value_percent: { lt: 95 } } }] },
+      { instance_name: "db-1" }
+    ]
+  };
+  assert.equal(matches(nested, parsed), true);
+  assert.equal(matches(nested, { ...parsed, value_percent: 90 }), false);
+  assert.equal(matches(nested, { ...parsed, value_percent: 90, instance_name: "db-1" }), true);
+  assert.equal(matches(nested, { ...parsed, project_id: "staging" }), false);
+});
+
+test("context fields: channel, channel_id, user, hour and weekday", () => {
+  const context = { channel: "#mcoc-ops", channel_id: "C1", user: "U1" };
+  assert.equal(matches({ "context.channel": "mcoc-ops" }, {}, context), true);
+  assert.equal(matches({ "context.channel_id": { in: ["C1", "C2"] } }, {}, context), true);
+  assert.equal(matches({ "context.user": "U2" }, {}, context), false);
+  assert.equal(matches({ "context.user": { exists: false } }, {}, {}), true);
+  assert.equal(matches({ "context.hour": 14 }, {}, context), true);
+  assert.equal(matches({ "context.hour": { between: [9, 17] }, "context.weekday": { notIn: ["sat", "sun"] } }, {}, context), true);
+  assert.equal(matches({ "context.weekday": "mon" }, {}, { now: "2026-03-07T10:00:00Z" }), false);
+  assert.equal(matches({ "context.weekday": "sat" }, {}, { now: "2026-03-07T10:00:00Z" }), true);
+  // Parsed fields can't pose as context
+  assert.equal(matches({ "context.user": "U9" }, { "context.user": "U9" }, context), false);
+});
+
+test("context.hour and context.weekday follow DECISION_TIMEZONE", () => {
+  const previous = process.env.DECISION_TIMEZONE;
+  process.env.DECISION_TIMEZONE = "Asia/Tokyo";
+  try {
+    // 14:30 UTC Monday is 23:30 Monday in Tokyo; 16:00 UTC is 01:00 Tuesday
+    assert.equal(matches({ "context.hour": 23, "context.weekday": "mon" }), true);
+    assert.equal(matches({ "context.hour": 1, "context.weekday": "tue" }, {}, { now: "2026-03-02T16:00:00Z" }), true);
+  } finally {
+    if (previous === undefined) delete process.env.DECISION_TIMEZONE;
+    else process.env.DECISION_TIMEZONE = previous;
+  }
+});
+
+test("the first matching rule decides and the trace shows the checks", () => {
+  const policy = {
+    alert_type: "t",
+    default_decision: "NEEDS_APPROVAL",
+    oncall_schedule: "platform",
+    decision_rules: [
+      { condition: { project_id: "staging" }, decision: "AUTO_RESTART" },
+      { condition: { any: [{ value_percent: { gt: 99 } }, { not: { instance_name: { startsWith: "web" } } }] }, decision: "NEEDS_APPROVAL", high_risk: true, required_approvals: 3, require_approval_from: "oncall" },
+      { condition: { project_id: "prod" }, decision: "AUTO_RESTART" }
+    ]
+  };
+  const result = decide({ project_id: "prod", instance_name: "db-1", value_percent: 50 }, policy, { now: NOW });
+  assert.equal(result.decision, "NEEDS_APPROVAL");
+  assert.equal(result.high_risk, true);
+  assert.equal(result.required_approvals, 3);
+  assert.equal(result.require_approval_from, "oncall");
+  assert.equal(result.oncall_schedule, "platform");
+  assert.equal(result.trace.matched_rule, 1);
+  assert.equal(result.trace.default_used, false);
+  // Rules after the matching one are not evaluated
+  assert.deepEqual(result.trace.rules.map((r) => [r.index, r.matched]), [[0, false], [1, true]]);
+  assert.deepEqual(result.trace.rules[1].checks, [
+    { path: "any[0].value_percent", operator: "gt", expected: 99, actual: 50, passed: false },
+    { path: "any[1].not.instance_name", operator: "startsWith", expected: "web", actual: "db-1", passed: false }
+  ]);
+
+  const fallback = decide({ project_id: "dev", instance_name: "web-1" }, policy, { now: NOW });
+  assert.equal(fallback.decision, "NEEDS_APPROVAL");
+  assert.equal(fallback.trace.matched_rule, null);
+  assert.equal(fallback.trace.default_used, true);
+  assert.equal(fallback.trace.rules.length, 3);
+
+  assert.equal(decide({}, { alert_type: "t" }).decision, "NO_ACTION");
+  assert.equal(decide({}, null).decision, "NO_ACTION");
+});
@@ -0,0 +1,122 @@
+/**
+ * Typed capture groups: duration parsing, coercion per field type and the generated zod schemas.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseDuration,
+  isCronExpression,
+  captureGroupSpec,
+  policyFieldTypes,
+  coerceField,
+  zodForField
+} from "../src/parser/fieldTypes.js";
+
+test("parseDuration reads seconds, units and combinations", () => {
+  assert.equal(parseDuration("7200"), 7200);
+  assert.equal(parseDuration(90), 90);
+  assert.equal(parseDuration("2h"), 7200);
+  assert.equal(parseDuration("90m"), 5400);
+  assert.equal(parseDuration("1h30m"), 5400);
+  assert.equal(parseDuration("1h 30m"), 5400);
+  assert.equal(parseDuration(" 90 Minutes "), 5400);
+  assert.equal(parseDuration("2 days 1 hr 5 secs"), 2 * 86400 + 3600 + 5);
+  assert.equal(parseDuration("1.5h"), 5400);
+  assert.equal(parseDuration("0.01s"), 0);
+});
+
+test("parseDuration refuses anything that is not entirely a duration", () => {
+  for (const raw of ["", "h", "2x", "2 weeks", "1h30", "about 2h", "2h!", "-5m", "1,5h"]) {
+    assert.equal(parseDuration(raw), null, raw);
+  }
+});
+
+test("isCronExpression accepts 5 or 6 fields of cron syntax", () => {
+  for (const value of ["30 17 4 02 * 2026", "*/15 * * * *", "0 9-17 * * MON-FRI", "0 0 1,15 JAN,JUL *", "5 1-30/5 * * *"]) {
+    assert.equal(isCronExpression(value), true, value);
+  }
+  for (const value of ["* * * *", "* * * * * * *", "0 9 * * monday", "0 9 ? * *", "@daily", ""]) {
+    assert.equal(isCronExpression(value), false, value);
+  }
+});
+
+test("captureGroupSpec and policyFieldTypes normalize capture_groups entries", () => {
+  assert.deepEqual(captureGroupSpec(2), { group: 2 });
+  assert.deepEqual(captureGroupSpec("3"), { group: 3 });
+  assert.deepEqual(captureGroupSpec("$.incident.project"), { path: "$.incident.project" });
+  const spec = { group: 1, type: "duration" };
+  assert.equal(captureGroupSpec(spec), spec);
+
+  const policy = {
+    patterns: [
+      { capture_groups: { project_id: 1, duration: { group: 2, type: "duration" } } },
+      { capture_groups: { service_name: { group: 1, transform: "lowercase" }, zone: { path: "$.zone" } } }
+    ]
+  };
+  assert.deepEqual(policyFieldTypes(policy), {
+    duration: { group: 2, type: "duration" },
+    service_name: { group: 1, transform: "lowercase" }
+  });
+  assert.deepEqual(policyFieldTypes(null), {});
+});
+
+test("coerceField: untyped fields stay strings unless they look numeric by name", () => {
+  assert.deepEqual(coerceField("project_id", "p-1"), { value: "p-1" });
+  assert.deepEqual(coerceField("value_percent", "95.5"), { value: 95.5 });
+  assert.deepEqual(coerceField("threshold", "80"), { value: 80 });
+  assert.deepEqual(coerceField("value_percent", "high"), { error: "Must be a number" });
+  assert.deepEqual(coerceField("project_id", "p-1", { group: 1 }), { value: "p-1" });
+});
+
+test("coerceField: number, int and duration", () => {
+  assert.deepEqual(coerceField("f", " 95.5% ", { type: "number" }), { value: 95.5 });
+  assert.deepEqual(coerceField("f", "", { type: "number" }), { error: "Must be a number" });
+  assert.deepEqual(coerceField("f", "1e3", { type: "number" }), { value: 1000 });
+  assert.deepEqual(coerceField("f", "+12", { type: "int" }), { value: 12 });
+  assert.deepEqual(coerceField("f", "1.5", { type: "int" }), { error: "Must be a whole number" });
+  assert.deepEqual(coerceField("f", "1h30m", { type: "duration" }), { value: 5400 });
+  assert.match(coerceField("f", "soon", { type: "duration" }).error, /Must be a duration/);
+});
+
+test("coerceField: cron expressions are normalized to single spaces", () => {
+  assert.deepEqual(coerceField("schedule", "30  17 4\t02 * 2026", { type: "cron" }), { value: "30 17 4 02 * 2026" });
+  assert.match(coerceField("schedule", "tomorrow 5pm", { type: "cron" }).error, /Must be a cron expression/);
+});
+
+test("coerceField: enum matches case-insensitively and returns the declared value", () => {
+  const spec = { type: "enum", values: ["prod", "Staging"] };
+  assert.deepEqual(coerceField("environment", "PROD", spec), { value: "prod" });
+  assert.deepEqual(coerceField("environment", " staging ", spec), { value: "Staging" });
+  assert.deepEqual(coerceField("environment", "dev", spec), { error: "Must be one of: prod, Staging" });
+});
+
+test("coerceField: gcp_zone is lowercased and checked", () => {
+  assert.deepEqual(coerceField("zone", "US-Central1-A", { type: "gcp_zone" }), { value: "us-central1-a" });
+  assert.deepEqual(coerceField("zone", "asia-northeast1-b", { type: "gcp_zone" }), { value: "asia-northeast1-b" });
+  for (const raw of ["us-central1", "us-central-a", "us_central1_a", "us-central1-ab"]) {
+    assert.match(coerceField("zone", raw, { type: "gcp_zone" }).error, /Must be a GCP zone/, raw);
+  }
+});
+
+test("coerceField: transforms apply before the type", () => {
+  assert.deepEqual(coerceField("service_name", " Gacha-API ", { transform: "lowercase" }), { value: "gacha-api" });
+  assert.deepEqual(coerceField("ticket", "marvel-1", { transform: "uppercase" }), { value: "MARVEL-1" });
+  assert.deepEqual(coerceField("environment", "PROD", { type: "enum", values: ["prod"], transform: "lowercase" }), { value: "prod" });
+});
+
+test("zodForField mirrors the coercion rules and allows missing values", () => {
+  const check = (spec, value) => zodForField(spec).safeParse(value).success;
+  assert.equal(check({ type: "duration" }, 7200), true);
+  assert.equal(check({ type: "duration" }, -1), false);
+  assert.equal(check({ type: "duration" }, "2h"), false);
+  assert.equal(check({ type: "int" }, 1.5), false);
+  assert.equal(check({ type: "cron" }, "30 17 4 02 * 2026"), true);
+  assert.equal(check({ type: "cron" }, "soon"), false);
+  assert.equal(check({ type: "enum", values: ["prod"] }, "prod"), true);
+  assert.equal(check({ type: "enum", values: ["prod"] }, "dev"), false);
+  assert.equal(check({ type: "gcp_zone" }, "us-central1-a"), true);
+  assert.equal(check({ transform: "lowercase" }, "Api"), false);
+  assert.equal(check({ transform: "uppercase" }, "API"), true);
+  assert.equal(check({ type: "number" }, null), true);
+  assert.equal(check({ type: "number" }, undefined), true);
+});
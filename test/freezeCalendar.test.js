@@ -0,0 +1,147 @@
+/**
+ * Change freezes: the Slack `freeze` command parser and loadFreezes() with the Postgres list
+ * replaced by a stub.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync, mkdtempSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { parseFreezeRequest, loadFreezes } from "../src/freeze/freezeCalendar.js";
+
+// policies.json freezes: the example policies plus one past and one current freeze_windows entry
+const policies = JSON.parse(readFileSync(new URL("../config/policies.json.example", import.meta.url), "utf8"));
+policies.freeze_windows = [
+  { name: "Last year", start: "2025-11-27T00:00:00Z", end: "2025-11-30T00:00:00Z" },
+  { start: "2026-01-01T00:00:00Z", end: "2099-01-01T00:00:00Z", mode: "block", project_ids: ["prod-a"] }
+];
+process.env.POLICIES_PATH = join(mkdtempSync(join(tmpdir(), "freeze-test-")), "policies.json");
+writeFileSync(process.env.POLICIES_PATH, JSON.stringify(policies));
+
+const now = new Date("2026-11-20T12:00:00Z");
+const parse = (text) => parseFreezeRequest(text, now);
+const iso = (date) => date.toISOString();
+
+test("parseFreezeRequest ignores other messages and reads list / end", () => {
+  assert.equal(parse("restart web-1"), null);
+  assert.equal(parse(""), null);
+  assert.equal(parse("freezer 4h"), null);
+  assert.deepEqual(parse("freeze"), { command: "list" });
+  assert.deepEqual(parse("  Freeze   LIST "), { command: "list" });
+  assert.deepEqual(parse("freeze end 12"), { command: "end", id: 12 });
+  assert.deepEqual(parse("unfreeze 3"), { command: "end", id: 3 });
+  assert.match(parse("freeze end").error, /Usage: `freeze end <id>`/);
+  assert.match(parse("freeze end x").error, /Usage/);
+  assert.match(parse("unfreeze 3 4").error, /Usage: `unfreeze <id>`/);
+  assert.match(parse("freeze soon").error, /Usage/);
+});
+
+test("parseFreezeRequest: durations start now", () => {
+  const cases = { "freeze 30m": "2026-11-20T12:30:00.000Z", "freeze 4h": "2026-11-20T16:00:00.000Z", "freeze 2D": "2026-11-22T12:00:00.000Z" };
+  for (const [text, end] of Object.entries(cases)) {
+    const request = parse(text);
+    assert.equal(request.command, "create", text);
+    assert.equal(iso(request.starts_at), iso(now), text);
+    assert.equal(iso(request.ends_at), end, text);
+  }
+  assert.match(parse("freeze 0h").error, /must end after it starts/);
+});
+
+test("parseFreezeRequest: date ranges are UTC and a date-only end covers that day", () => {
+  const days = parse("freeze 2026-11-27 to 2026-11-30");
+  assert.equal(iso(days.starts_at), "2026-11-27T00:00:00.000Z");
+  assert.equal(iso(days.ends_at), "2026-12-01T00:00:00.000Z");
+
+  const times = parse("freeze 2026-11-27T18:00 to 2026-11-30T06:00");
+  assert.equal(iso(times.starts_at), "2026-11-27T18:00:00.000Z");
+  assert.equal(iso(times.ends_at), "2026-11-30T06:00:00.000Z");
+
+  const offset = parse("freeze 2026-11-27T18:00+09:00 to 2026-11-28T06:30:15Z");
+  assert.equal(iso(offset.starts_at), "2026-11-27T09:00:00.000Z");
+  assert.equal(iso(offset.ends_at), "2026-11-28T06:30:15.000Z");
+
+  // Started in the past but still running is fine
+  assert.equal(parse("freeze 2026-11-01 to 2026-11-20T13:00").command, "create");
+});
+
+test("parseFreezeRequest refuses bad, reversed and already-past ranges", () => {
+  assert.match(parse("freeze 27/11 to 30/11").error, /Dates look like/);
+  assert.match(parse("freeze 2026-11-27 to tomorrow").error, /Dates look like/);
+  assert.match(parse("freeze 2026-13-01 to 2026-13-02").error, /Dates look like/);
+  assert.match(parse("freeze 2026-11-27 to").error, /Usage/);
+  assert.match(parse("freeze 2026-11-30 to 2026-11-27").error, /must end after it starts/);
+  assert.match(parse("freeze 2026-11-28T10:00 to 2026-11-28T10:00").error, /must end after it starts/);
+  assert.match(parse("freeze 2026-11-01 to 2026-11-19").error, /already be over/);
+  assert.match(parse("freeze 2026-11-20T08:00 to 2026-11-20T12:00").error, /already be over/);
+  // A date-only end covers the whole day, so "to today" still works
+  assert.equal(parse("freeze 2026-11-19 to 2026-11-20").command, "create");
+});
+
+test("parseFreezeRequest: mode, scope and name words", () => {
+  assert.deepEqual(
+    { ...parse("freeze 4h"), starts_at: undefined, ends_at: undefined },
+    { command: "create", mode: "approval", starts_at: undefined, ends_at: undefined, alert_types: null, project_ids: null, name: "Change freeze" }
+  );
+
+  const scoped = parse("freeze 4h BLOCK alert_type=high_cpu,disk_full project=prod-a Black Friday");
+  assert.equal(scoped.mode, "block");
+  assert.deepEqual(scoped.alert_types, ["high_cpu", "disk_full"]);
+  assert.deepEqual(scoped.project_ids, ["prod-a"]);
+  assert.equal(scoped.name, "Black Friday");
+
+  // Plural option names and empty list items
+  const plural = parse("freeze 2026-11-27 to 2026-11-30 approval alert_types=a,,b projects=p,q");
+  assert.equal(plural.mode, "approval");
+  assert.deepEqual(plural.alert_types, ["a", "b"]);
+  assert.deepEqual(plural.project_ids, ["p", "q"]);
+
+  // A mode word after the name has started is part of the name
+  const named = parse("freeze 4h release block party");
+  assert.equal(named.mode, "approval");
+  assert.equal(named.name, "release block party");
+});
+
+test("loadFreezes merges current policies.json freezes with Slack freezes from the list", async () => {
+  const row = {
+    id: 4,
+    name: "Release",
+    mode: "block",
+    starts_at: "2026-11-20T10:00:00Z",
+    ends_at: "2099-11-21T10:00:00Z",
+    alert_types: ["high_cpu"],
+    project_ids: null,
+    created_by: "U1"
+  };
+  const freezes = await loadFreezes(async () => [row]);
+  assert.deepEqual(freezes, [
+    {
+      id: null,
+      name: "Change freeze",
+      mode: "block",
+      starts_at: new Date("2026-01-01T00:00:00Z"),
+      ends_at: new Date("2099-01-01T00:00:00Z"),
+      alert_types: null,
+      project_ids: ["prod-a"],
+      created_by: null,
+      source: "file"
+    },
+    {
+      id: 4,
+      name: "Release",
+      mode: "block",
+      starts_at: new Date(row.starts_at),
+      ends_at: new Date(row.ends_at),
+      alert_types: ["high_cpu"],
+      project_ids: null,
+      created_by: "U1",
+      source: "slack"
+    }
+  ]);
+});
+
+test("loadFreezes falls back to policies.json freezes when Postgres fails", async () => {
+  const freezes = await loadFreezes(async () => {
+    throw new Error("connect ECONNREFUSED 127.0.0.1:5432");
+  });
+  assert.deepEqual(freezes.map((f) => [f.source, f.mode, f.project_ids]), [["file", "block", ["prod-a"]]]);
+});
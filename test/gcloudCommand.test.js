@@ -0,0 +1,147 @@
+/**
+ * Security boundary for gcloud execution: tokenizing without a shell, the per-policy allowlist,
+ * unsafe parsed values and the read-only preview check.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  tokenizeCommand,
+  unsafeTemplateValues,
+  validateGcloudArgv,
+  previewRejection
+} from "../src/services/automation/gcloudCommand.js";
+
+test("tokenizeCommand splits words and strips quotes like a shell", () => {
+  assert.deepEqual(tokenizeCommand("gcloud  compute\tinstances list"), ["gcloud", "compute", "instances", "list"]);
+  assert.deepEqual(
+    tokenizeCommand(`gcloud compute ssh vm --command='top -bn1 | head' --zone="us-central1-a"`),
+    ["gcloud", "compute", "ssh", "vm", "--command=top -bn1 | head", "--zone=us-central1-a"]
+  );
+  assert.deepEqual(tokenizeCommand(`gcloud a'b c'"d"`), ["gcloud", "ab cd"]);
+  assert.deepEqual(tokenizeCommand(`gcloud '' x`), ["gcloud", "", "x"]);
+  // Inside single quotes everything is literal
+  assert.deepEqual(tokenizeCommand(`gcloud '$(id) \`id\` \\n'`), ["gcloud", "$(id) `id` \\n"]);
+});
+
+test("tokenizeCommand refuses unterminated quotes", () => {
+  assert.throws(() => tokenizeCommand(`gcloud compute ssh vm --command='ls`), /Unterminated quote/);
+  assert.throws(() => tokenizeCommand(`gcloud "compute`), /Unterminated quote/);
+});
+
+test("tokenizeCommand refuses shell syntax outside single quotes", () => {
+  for (const command of [
+    "gcloud compute instances list; rm -rf /",
+    "gcloud compute instances list | sh",
+    "gcloud compute instances list && id",
+    "gcloud compute instances list > /tmp/out",
+    "gcloud compute instances describe $(id)",
+    "gcloud compute instances describe `id`",
+    "gcloud compute instances describe $HOME",
+    "gcloud compute instances describe vm\\ name",
+    "gcloud compute instances list\nid"
+  ]) {
+    assert.throws(() => tokenizeCommand(command), /metacharacter/, command);
+  }
+  for (const command of [`gcloud "$(id)"`, 'gcloud "`id`"', `gcloud "$HOME"`, `gcloud "a\\"b"`]) {
+    assert.throws(() => tokenizeCommand(command), /inside double quotes/, command);
+  }
+});
+
+test("unsafeTemplateValues flags values that are not a single plain token", () => {
+  const template = "gcloud compute instances stop {instance} --zone={zone} --project={project}";
+  assert.deepEqual(unsafeTemplateValues(template, { instance: "web-1", zone: "us-central1-a", project: "p" }), []);
+  for (const value of ["web-1; rm -rf /", "a|b", "$(id)", "`id`", "a b", "a'b", "a\"b", "a&b", "a>b", "*"]) {
+    assert.deepEqual(unsafeTemplateValues(template, { instance: value }), ["instance"], value);
+  }
+  assert.deepEqual(unsafeTemplateValues(template, { instance: "--zone=evil" }), ["instance"]);
+  assert.deepEqual(unsafeTemplateValues(template, { instance: "-q" }), ["instance"]);
+  // Values not used by the template, and missing values, don't matter
+  assert.deepEqual(unsafeTemplateValues(template, { other: "a; b", instance: null, zone: undefined }), []);
+});
+
+test("validateGcloudArgv matches allowlist entries by whole words from the start", () => {
+  const allowlist = { commands: ["compute instance-groups managed set-autoscaling", "compute ssh"] };
+  const check = (command) => validateGcloudArgv(tokenizeCommand(command), allowlist);
+
+  assert.equal(check("gcloud compute instance-groups managed set-autoscaling mig --max-num-replicas=5"), null);
+  assert.equal(check("gcloud beta compute instance-groups managed set-autoscaling mig"), null);
+  assert.equal(check("gcloud compute ssh vm --command=uptime"), null);
+
+  assert.match(check("ls -la"), /Only gcloud/);
+  assert.match(check("gcloud compute instance-groups managed delete mig"), /not in the allowlist/);
+  assert.match(check("gcloud compute instance-groups managed"), /not in the allowlist/);
+  // Near misses: a longer or different word, or the entry further along the command
+  assert.match(check("gcloud compute instance-groups managed set-autoscaling-x mig"), /not in the allowlist/);
+  assert.match(check("gcloud compute instance-groups unmanaged set-autoscaling mig"), /not in the allowlist/);
+  assert.match(check("gcloud compute sshd vm"), /not in the allowlist/);
+  assert.match(check("gcloud alpha other compute ssh vm"), /not in the allowlist/);
+  // Words after the first flag are not part of the command path
+  assert.match(check("gcloud compute --verbosity=debug ssh vm"), /not in the allowlist/);
+
+  assert.match(validateGcloudArgv(tokenizeCommand("gcloud compute ssh vm"), {}), /No gcloud commands are allowlisted/);
+});
+
+test("validateGcloudArgv refuses identity flags and extra denied flags", () => {
+  const allowlist = { commands: ["compute ssh"], denied_flags: ["--tunnel-through-iap"] };
+  const check = (command) => validateGcloudArgv(tokenizeCommand(command), allowlist);
+
+  assert.match(check("gcloud compute ssh vm --impersonate-service-account=sa@p.iam"), /--impersonate-service-account is not allowed/);
+  assert.match(check("gcloud compute ssh vm --account other@example.com"), /--account is not allowed/);
+  assert.match(check("gcloud compute ssh vm --flags-file=/tmp/f.yaml"), /--flags-file is not allowed/);
+  assert.match(check("gcloud compute ssh vm --tunnel-through-iap"), /--tunnel-through-iap is not allowed/);
+});
+
+test("validateGcloudArgv requires an allowed --project when projects are listed", () => {
+  const allowlist = { commands: ["compute ssh"], projects: ["prod-a", "prod-b"] };
+  const check = (command) => validateGcloudArgv(tokenizeCommand(command), allowlist);
+
+  assert.equal(check("gcloud compute ssh vm --project=prod-a"), null);
+  assert.equal(check("gcloud compute ssh vm --project prod-b"), null);
+  assert.match(check("gcloud compute ssh vm"), /--project is required/);
+  assert.match(check("gcloud compute ssh vm --project=other"), /Project 'other' is not allowed/);
+  assert.match(check("gcloud compute ssh vm --project="), /--project is required/);
+  // The last --project wins in gcloud, so it is the one checked
+  assert.match(check("gcloud compute ssh vm --project=prod-a --project=other"), /Project 'other' is not allowed/);
+
+  assert.equal(validateGcloudArgv(tokenizeCommand("gcloud compute ssh vm"), { commands: ["compute ssh"] }), null);
+});
+
+test("previewRejection checks the verb right after the allowlisted command", () => {
+  const allowlist = { commands: ["compute instances", "compute instance-groups managed describe"], projects: ["p"] };
+  const check = (command) => previewRejection(tokenizeCommand(command), allowlist);
+
+  assert.equal(check("gcloud compute instances describe vm --project=p"), null);
+  assert.equal(check("gcloud compute instances list --project=p"), null);
+  assert.equal(check("gcloud compute instances get-serial-port-output vm --project=p"), null);
+  assert.equal(check("gcloud compute instance-groups managed describe mig --project=p --format=yaml"), null);
+
+  // A read-only word later in the command doesn't hide the real verb
+  assert.match(check("gcloud compute instances attach-disk describe --disk=d --project=p"), /'attach-disk' is not/);
+  assert.match(check("gcloud compute instances simulate-maintenance-event list --project=p"), /read-only/);
+  assert.match(check("gcloud compute instances restart vm --project=p"), /'restart' is not/);
+  // The allowlist and project checks apply as for execution
+  assert.match(check("gcloud sql instances describe db --project=p"), /not in the allowlist/);
+  assert.match(check("gcloud compute instances describe vm --project=q"), /Project 'q' is not allowed/);
+  assert.match(check("gcloud compute instances describe vm --project=p --account=x"), /--account is not allowed/);
+});
+
+test("previewRejection takes the verb from a fixed position, not a read-only resource name", () => {
+  const group = { commands: ["compute instances"], projects: ["p"] };
+  const command = { commands: ["compute instances delete", "compute ssh"], projects: ["p"] };
+
+  assert.match(previewRejection(tokenizeCommand("gcloud compute instances delete describe --project=p"), group), /'delete' is not/);
+  assert.match(previewRejection(tokenizeCommand("gcloud compute instances delete describe --project=p"), command), /'delete' is not/);
+  assert.match(previewRejection(tokenizeCommand("gcloud compute instances delete list --project=p"), command), /'delete' is not/);
+  assert.match(previewRejection(tokenizeCommand("gcloud compute ssh describe --project=p"), command), /'ssh' is not/);
+  assert.equal(previewRejection(tokenizeCommand("gcloud compute instances delete vm --project=p --dry-run"), command), null);
+});
+
+test("previewRejection accepts --dry-run / --validate-only but not when disabled", () => {
+  const allowlist = { commands: ["compute instances"] };
+  const check = (command) => previewRejection(tokenizeCommand(command), allowlist);
+
+  assert.equal(check("gcloud compute instances delete vm --dry-run"), null);
+  assert.equal(check("gcloud compute instances delete vm --validate-only=true"), null);
+  assert.match(check("gcloud compute instances delete vm --dry-run=false"), /read-only/);
+  assert.match(check("gcloud compute instances delete vm"), /read-only/);
+});
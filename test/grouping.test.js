@@ -0,0 +1,128 @@
+/**
+ * Incident grouping: alert fingerprints, groupAlert() with the Postgres recorder replaced by an
+ * in-memory one, and the orchestrator's handling of repeats.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { alertFingerprint, groupAlert, describeOccurrences } from "../src/incidents/grouping.js";
+import { processIncomingMessage } from "../src/orchestrator.js";
+
+globalThis.fetch = async (url) => {
+  throw new Error(`Unexpected network call in grouping tests: ${url}`);
+};
+
+const alert = { alert_type: "high_cpu", project_id: "prod", instance_name: "web-1", condition_name: "CPU > 90%" };
+
+/** recordAlertOccurrence() over a list, with the clock set by the test (seconds). */
+function memoryRecorder() {
+  const incidents = [];
+  const calls = [];
+  let now = 0;
+  const record = async ({ fingerprint, channel_id, message_ts, windowSec }) => {
+    calls.push({ fingerprint, channel_id, message_ts, windowSec });
+    const open = incidents.find((i) => i.fingerprint === fingerprint && i.channel_id === channel_id && i.last_seen > now - windowSec);
+    if (open) {
+      Object.assign(open, { occurrences: open.occurrences + 1, last_seen: now, last_message_ts: message_ts });
+      return { incident: open, repeat: true };
+    }
+    const incident = { id: incidents.length + 1, fingerprint, channel_id, thread_ts: message_ts, occurrences: 1, last_seen: now };
+    incidents.push(incident);
+    return { incident, repeat: false };
+  };
+  return { record, calls, incidents, advance: (sec) => { now += sec; } };
+}
+
+test("alertFingerprint depends on the alert type and resource fields only", () => {
+  const fp = alertFingerprint(alert);
+  assert.match(fp, /^[0-9a-f]{32}$/);
+  assert.equal(alertFingerprint({ ...alert, value: "95%", summary: "other text" }), fp);
+  assert.notEqual(alertFingerprint({ ...alert, instance_name: "web-2" }), fp);
+  assert.notEqual(alertFingerprint({ ...alert, alert_type: "high_memory" }), fp);
+  assert.notEqual(alertFingerprint({ ...alert, project_id: "staging" }), fp);
+});
+
+test("alertFingerprint treats empty resource fields as missing", () => {
+  const partial = { alert_type: "high_cpu", project_id: "prod" };
+  assert.equal(alertFingerprint({ ...partial, instance_name: "", condition_name: null }), alertFingerprint(partial));
+  // Nothing that names a resource: never grouped
+  assert.equal(alertFingerprint({ alert_type: "scalepr_request" }), null);
+  assert.equal(alertFingerprint({ alert_type: "high_cpu", project_id: "", instance_name: "", condition_name: null }), null);
+  assert.equal(alertFingerprint({ project_id: "prod" }), null);
+  assert.equal(alertFingerprint(null), null);
+});
+
+test("groupAlert marks repeats within the window and opens a new incident after it", async () => {
+  const store = memoryRecorder();
+  const group = (message_ts, extra = {}) => groupAlert({ parsed: alert, channel_id: "C1", message_ts, windowSec: 600, ...extra }, store.record);
+
+  const first = await group("1.1");
+  assert.equal(first.repeat, false);
+  store.advance(300);
+  const second = await group("1.2");
+  assert.equal(second.repeat, true);
+  assert.equal(second.incident.id, first.incident.id);
+  assert.equal(second.incident.occurrences, 2);
+  assert.equal(second.incident.thread_ts, "1.1");
+  // The window runs from the last occurrence, so a steady alert stays one incident
+  store.advance(599);
+  assert.equal((await group("1.3")).repeat, true);
+  store.advance(600);
+  const expired = await group("1.4");
+  assert.equal(expired.repeat, false);
+  assert.notEqual(expired.incident.id, first.incident.id);
+
+  // Same alert in another channel, or another instance: separate incidents
+  assert.equal((await group("2.1", { channel_id: "C2" })).repeat, false);
+  assert.equal((await group("2.2", { parsed: { ...alert, instance_name: "web-2" } })).repeat, false);
+
+  assert.deepEqual(store.calls[0], { fingerprint: alertFingerprint(alert), channel_id: "C1", message_ts: "1.1", windowSec: 600 });
+});
+
+test("groupAlert skips alerts it can't group and survives recorder errors", async () => {
+  const store = memoryRecorder();
+  assert.equal(await groupAlert({ parsed: { alert_type: "scalepr_request" }, channel_id: "C1", message_ts: "1.1" }, store.record), null);
+  assert.equal(await groupAlert({ parsed: alert, channel_id: "C1", message_ts: null }, store.record), null);
+  assert.equal(await groupAlert({ parsed: alert, channel_id: null, message_ts: "1.1" }, store.record), null);
+  assert.equal(await groupAlert({ parsed: alert, channel_id: "C1", message_ts: "1.1", windowSec: 0 }, store.record), null);
+  assert.equal(store.calls.length, 0);
+
+  const failing = async () => {
+    throw new Error("connect ECONNREFUSED");
+  };
+  assert.equal(await groupAlert({ parsed: alert, channel_id: "C1", message_ts: "1.1", windowSec: 600 }, failing), null);
+});
+
+test("describeOccurrences counts from the first occurrence", () => {
+  const first_seen_at = "2026-03-01T10:00:00Z";
+  const at = (iso) => Date.parse(iso);
+  assert.equal(describeOccurrences({ occurrences: 1, first_seen_at }, at("2026-03-01T10:00:10Z")), "fired 1× in last 1m");
+  assert.equal(describeOccurrences({ occurrences: 4, first_seen_at }, at("2026-03-01T10:29:30Z")), "fired 4× in last 30m");
+  assert.equal(describeOccurrences({ occurrences: 9, first_seen_at }, at("2026-03-01T13:10:00Z")), "fired 9× in last 3h");
+});
+
+test("processIncomingMessage answers a repeat without a new proposal", async () => {
+  const incident = { id: 7, occurrences: 3, first_seen_at: new Date().toISOString() };
+  const groupCalls = [];
+  const deps = {
+    parse: async () => ({ matched: true, policy: { alert_type: "high_cpu" }, parsed: alert }),
+    retrieve: async () => [],
+    chat: async () => null,
+    freezes: async () => [],
+    group: async (opts) => {
+      groupCalls.push(opts);
+      return { incident, repeat: true };
+    }
+  };
+
+  const result = await processIncomingMessage({ text: "CPU alert", channel_id: "C1", message_ts: "1.2" }, deps);
+  assert.equal(result.source, "incident_repeat");
+  assert.equal(result.incident, incident);
+  assert.equal(result.policy_result, null);
+  assert.match(result.text, /fired 3×/);
+  assert.deepEqual(groupCalls, [{ parsed: alert, channel_id: "C1", message_ts: "1.2" }]);
+
+  // Without a message to thread under (e.g. the web UI) nothing is grouped
+  const plain = await processIncomingMessage({ text: "CPU alert", channel_id: "C1" }, deps);
+  assert.equal(plain.source, "policy_engine");
+  assert.equal(groupCalls.length, 1);
+});
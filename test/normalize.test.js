@@ -0,0 +1,58 @@
+/**
+ * Flattening Slack messages for the parsers: what a real app_mention looks like (text plus the
+ * rich_text copy Slack adds), attachments and Block Kit sections.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { flattenSlackMessage } from "../src/slack/normalize.js";
+import { parseAuditRequest } from "../src/audit/buildAuditMessage.js";
+import { isHelpRequest } from "../src/help/buildHelpMessage.js";
+import { parseFreezeRequest } from "../src/freeze/freezeCalendar.js";
+
+/** app_mention event as sent by the Slack desktop / mobile clients. */
+function appMention(text, elements) {
+  return {
+    type: "app_mention",
+    user: "U1",
+    channel: "C1",
+    ts: "1700000000.000100",
+    text,
+    blocks: [{ type: "rich_text", block_id: "b1", elements: [{ type: "rich_text_section", elements }] }]
+  };
+}
+
+/** What the app_mention handlers do: drop the bot mention from `text`, then flatten. */
+const flattenMention = (event) => flattenSlackMessage({ ...event, text: event.text.replace(/<@[A-Z0-9]+>/g, "").trim() }).text;
+
+test("app_mention: the rich_text copy doesn't bring the bot mention back", () => {
+  const audit = appMention("<@UBOT> audit", [{ type: "user", user_id: "UBOT" }, { type: "text", text: " audit" }]);
+  assert.equal(flattenMention(audit), "audit");
+  assert.deepEqual(parseAuditRequest(flattenMention(audit)), { scope: "channel", service: null, limit: 10 });
+
+  const help = appMention("<@UBOT> help", [{ type: "user", user_id: "UBOT" }, { type: "text", text: " help" }]);
+  assert.equal(isHelpRequest(flattenMention(help)), true);
+
+  const freeze = appMention("<@UBOT> freeze 4h block Release", [{ type: "user", user_id: "UBOT" }, { type: "text", text: " freeze 4h block Release" }]);
+  assert.equal(parseFreezeRequest(flattenMention(freeze)).name, "Release");
+
+  // A mention alone leaves nothing to answer
+  assert.equal(flattenMention(appMention("<@UBOT>", [{ type: "user", user_id: "UBOT" }])), "");
+});
+
+test("messages without text keep their rich_text content", () => {
+  const { text } = flattenSlackMessage({ blocks: appMention("", [{ type: "text", text: "disk full on web-1" }]).blocks });
+  assert.equal(text, "disk full on web-1");
+});
+
+test("attachments and section blocks are appended after the text", () => {
+  const { text, fields } = flattenSlackMessage({
+    text: "<@UBOT> look at this",
+    blocks: [
+      { type: "rich_text", elements: [{ type: "rich_text_section", elements: [{ type: "user", user_id: "UBOT" }, { type: "text", text: " look at this" }] }] },
+      { type: "section", text: { type: "mrkdwn", text: "CPU utilization for prod web-1" }, fields: [{ type: "mrkdwn", text: "*Zone*\nus-central1-a" }] }
+    ],
+    attachments: [{ title: "Incident 42", fields: [{ title: "Project", value: "prod" }] }]
+  });
+  assert.equal(text, "<@UBOT> look at this\nCPU utilization for prod web-1\nZone: us-central1-a\nIncident 42\nProject: prod");
+  assert.deepEqual(fields, { Zone: "us-central1-a", Project: "prod" });
+});
@@ -0,0 +1,57 @@
+/**
+ * parseAlert() paths that go through the LLM, with Ollama replaced by a fetch stub: missing_fields
+ * comes from the policy, not from the model's answer, and pattern captures survive the merge.
+ */
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { parseAlert } from "../src/parser/parserEngine.js";
+
+const LLM_DEFAULTS = {
+  project_id: null,
+  instance_name: null,
+  metric_labels: {},
+  policy_name: null,
+  condition_name: null,
+  violation_started_raw: null,
+  gcp_alert_url: null,
+  confidence: 0.8,
+  parse_method: "llm"
+};
+
+let llmAnswer = null;
+
+beforeEach(() => {
+  process.env.OLLAMA_BASE_URL = "http://ollama.test";
+  process.env.OLLAMA_MODEL = "test-model";
+  globalThis.fetch = async (url) => {
+    if (url === "http://ollama.test/api/tags") return Response.json({ models: [{ name: "test-model" }] });
+    if (url === "http://ollama.test/api/chat") return Response.json({ message: { content: JSON.stringify(llmAnswer) } });
+    throw new Error(`Unexpected network call in parser tests: ${url}`);
+  };
+});
+
+test("LLM parse: missing_fields lists the policy's empty fields, whatever the model says", async () => {
+  llmAnswer = { ...LLM_DEFAULTS, alert_type: "game_performance_issue", mig_name: "game-mig", region: "", missing_fields: [] };
+  const result = await parseAlert("players say matches keep stuttering in asia");
+  assert.equal(result.matched, true);
+  assert.equal(result.policy.alert_type, "game_performance_issue");
+  assert.deepEqual(result.parsed.missing_fields, ["project_id", "region"]);
+
+  // Fields the model claims are missing but that it filled in are not asked for
+  llmAnswer = { ...LLM_DEFAULTS, alert_type: "game_performance_issue", project_id: "p", mig_name: "m", region: "r", missing_fields: ["mig_name", "foo"] };
+  assert.deepEqual((await parseAlert("players say matches keep stuttering in asia")).parsed.missing_fields, []);
+});
+
+test("merged parse: pattern captures win, the LLM fills the rest and missing_fields is recomputed", async () => {
+  const text = "CPU utilization for project-123 instance-456 CPU usage 95.5% exceeds threshold 80%";
+  // The model misreads the instance and forgets the numbers the patterns captured
+  llmAnswer = { ...LLM_DEFAULTS, alert_type: "cpu_utilization_high", project_id: "project-123", instance_name: "instance-4", mig_name: "web-mig", missing_fields: ["mig_name"] };
+  const result = await parseAlert(text);
+  assert.equal(result.matched, true);
+  assert.equal(result.policy.alert_type, "cpu_utilization_high");
+  assert.equal(result.parsed.parse_method, "llm");
+  assert.equal(result.parsed.instance_name, "instance-456");
+  assert.equal(result.parsed.value_percent, 95.5);
+  assert.equal(result.parsed.mig_name, "web-mig");
+  assert.deepEqual(result.parsed.missing_fields, ["region"]);
+});
@@ -0,0 +1,126 @@
+/**
+ * Built-in pattern types: keywords (any / all), fuzzy phrases and the JSONPath subset.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getPatternType, patternInput, parseJsonPath, queryJsonPath } from "../src/parser/patternTypes.js";
+
+const match = (pattern, text, data = null) => getPatternType(pattern.type).match(pattern, patternInput(text, data));
+const validate = (pattern) => getPatternType(pattern.type).validate(pattern, "p");
+
+test("keywords: any (default) or all, as whole words or phrases", () => {
+  const any = { type: "keywords", keywords: ["outage", "503 errors"] };
+  assert.deepEqual(match(any, "Seeing 503 errors on login"), {});
+  assert.deepEqual(match(any, "OUTAGE in asia"), {});
+  assert.equal(match(any, "no outages here"), null);
+  assert.equal(match(any, "1503 errors"), null);
+  assert.equal(match(any, "503 errorsx"), null);
+
+  const all = { type: "keywords", keywords: ["disk", "full"], match: "all" };
+  assert.deepEqual(match(all, "disk is full on web-1"), {});
+  assert.equal(match(all, "disk is fine"), null);
+  // Regex characters in keywords are literal
+  assert.deepEqual(match({ type: "keywords", keywords: ["c++ (build)"] }, "the c++ (build) broke"), {});
+  assert.equal(match({ type: "keywords", keywords: ["a.c"] }, "abc"), null);
+});
+
+test("keywords: validation", () => {
+  assert.deepEqual(validate({ type: "keywords", keywords: ["a"] }), []);
+  assert.deepEqual(validate({ type: "keywords", keywords: [] }), ["p.keywords: must be a non-empty list of strings"]);
+  assert.deepEqual(validate({ type: "keywords", keywords: ["a", " "] }), ["p.keywords: must be a non-empty list of strings"]);
+  assert.deepEqual(validate({ type: "keywords", keywords: ["a"], match: "most" }), ['p.match: must be "all" or "any"']);
+  assert.deepEqual(validate({ type: "keywords", keywords: ["a"], capture_groups: { x: 1 } }), ["p.capture_groups: keywords patterns don't capture fields"]);
+});
+
+test("fuzzy: tolerates one edit per 5 characters by default", () => {
+  const pattern = { type: "fuzzy", pattern: "disk utilization" };
+  assert.deepEqual(match(pattern, "Disk utilization low on web-1"), {});
+  assert.deepEqual(match(pattern, "disk utilisation low"), {});
+  assert.deepEqual(match(pattern, "dsk utilizaton low"), {});
+  // Merged or split words
+  assert.deepEqual(match(pattern, "diskutilization low"), {});
+  assert.deepEqual(match(pattern, "disk util ization low"), {});
+  assert.equal(match(pattern, "desk utility low"), null);
+  assert.equal(match(pattern, "memory utilization"), null);
+
+  // Short phrases still allow one edit
+  assert.deepEqual(match({ type: "fuzzy", pattern: "oom" }, "got an oon kill"), {});
+  assert.equal(match({ type: "fuzzy", pattern: "oom" }, "got a kill"), null);
+});
+
+test("fuzzy: max_distance sets the threshold", () => {
+  const exact = { type: "fuzzy", pattern: "high cpu usage", max_distance: 0 };
+  assert.deepEqual(match(exact, "High CPU usage!"), {});
+  assert.equal(match(exact, "hihg cpu usage"), null);
+  assert.deepEqual(match({ ...exact, max_distance: 2 }, "hihg cpu usage"), {});
+  assert.equal(match({ ...exact, max_distance: 1 }, "hihg cpu usage"), null);
+
+  assert.deepEqual(validate({ type: "fuzzy", pattern: "a b", max_distance: 0 }), []);
+  assert.deepEqual(validate({ type: "fuzzy", pattern: "!!" }), ["p.pattern: must be a phrase with at least one word"]);
+  assert.deepEqual(validate({ type: "fuzzy", pattern: "a", max_distance: 1.5 }), ["p.max_distance: must be a non-negative integer"]);
+});
+
+test("parseJsonPath reads the supported subset", () => {
+  assert.deepEqual(parseJsonPath("$"), []);
+  assert.deepEqual(parseJsonPath("$.incident.policy_name"), [{ descend: false, key: "incident" }, { descend: false, key: "policy_name" }]);
+  assert.deepEqual(parseJsonPath("$['a b'][0][*].*"), [
+    { descend: false, key: "a b" },
+    { descend: false, index: 0 },
+    { descend: false, wildcard: true },
+    { descend: false, wildcard: true }
+  ]);
+  assert.deepEqual(parseJsonPath("$..resource_name"), [{ descend: true, key: "resource_name" }]);
+  assert.deepEqual(parseJsonPath('$..["x"]'), [{ descend: true, key: "x" }]);
+
+  assert.throws(() => parseJsonPath("incident.name"), /must start with \$/);
+  assert.throws(() => parseJsonPath("$.a[0"), /unclosed \[/);
+  assert.throws(() => parseJsonPath("$.a[?(@.x)]"), /unsupported selector/);
+  assert.throws(() => parseJsonPath("$.a[-1]"), /unsupported selector/);
+  assert.throws(() => parseJsonPath("$a"), /unexpected "a"/);
+  assert.throws(() => parseJsonPath("$."), /missing name/);
+});
+
+test("queryJsonPath selects values in document order", () => {
+  const doc = {
+    incident: { policy_name: "CPU", resource: { labels: { instance_id: "123" } } },
+    attachments: [{ title: "first", fields: [{ value: "a" }, { value: "b" }] }, { title: "second" }]
+  };
+  assert.deepEqual(queryJsonPath(doc, "$.incident.policy_name"), ["CPU"]);
+  assert.deepEqual(queryJsonPath(doc, "$.attachments[1].title"), ["second"]);
+  assert.deepEqual(queryJsonPath(doc, "$.attachments[*].title"), ["first", "second"]);
+  assert.deepEqual(queryJsonPath(doc, "$..value"), ["a", "b"]);
+  assert.deepEqual(queryJsonPath(doc, "$..instance_id"), ["123"]);
+  assert.deepEqual(queryJsonPath(doc, "$.incident.*"), ["CPU", { labels: { instance_id: "123" } }]);
+  assert.deepEqual(queryJsonPath(doc, "$.attachments[5].title"), []);
+  assert.deepEqual(queryJsonPath(doc, "$.incident[0]"), []);
+  assert.deepEqual(queryJsonPath(doc, "$.missing.key"), []);
+});
+
+test("jsonpath patterns match structured data or JSON message text", () => {
+  const pattern = {
+    type: "jsonpath",
+    pattern: "$.incident.policy_name",
+    matches: "^cpu",
+    capture_groups: { project_id: "$.incident.scoping_project_id", value_percent: "$..observed_value" }
+  };
+  const body = { incident: { policy_name: "CPU high", scoping_project_id: "prod", metric: { observed_value: 95 } } };
+  assert.deepEqual(match(pattern, "", body), { project_id: "prod", value_percent: "95" });
+  assert.deepEqual(match(pattern, "```json\n" + JSON.stringify(body) + "\n```"), { project_id: "prod", value_percent: "95" });
+  assert.equal(match(pattern, "", { incident: { policy_name: "Disk low" } }), null);
+  assert.equal(match(pattern, "", { incident: {} }), null);
+  assert.equal(match(pattern, "CPU high on prod"), null);
+
+  // Without `pattern`, at least one capture must be found
+  const capturesOnly = { type: "jsonpath", capture_groups: { project_id: "$..project" } };
+  assert.deepEqual(match(capturesOnly, "", { a: { project: "p" } }), { project_id: "p" });
+  assert.equal(match(capturesOnly, "", { a: {} }), null);
+  // Objects are skipped in favour of the first scalar
+  assert.deepEqual(match(capturesOnly, "", { project: { id: 1 }, b: { project: "p" } }), { project_id: "p" });
+});
+
+test("jsonpath: validation", () => {
+  assert.deepEqual(validate({ type: "jsonpath", pattern: "$.a" }), []);
+  assert.deepEqual(validate({ type: "jsonpath" }), ["p: needs a pattern path or capture_groups"]);
+  assert.deepEqual(validate({ type: "jsonpath", capture_groups: { x: "$.a[" } }), ['p.capture_groups.x: invalid JSONPath "$.a[": unclosed [ at position 3']);
+  assert.match(validate({ type: "jsonpath", pattern: "$.a", matches: "(" })[0], /^p\.matches: regex does not compile/);
+});
@@ -0,0 +1,47 @@
+/**
+ * Approver rules: policy approvers, required approval counts, high-risk and on-call rules.
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { effectiveApprovers, requiredApprovals, requiredApprover } from "../src/approval/permissions.js";
+import { approvalStatusText } from "../src/approval/approvalBlocks.js";
+
+const policy = { approvers: { users: ["U1"], channels: ["#ops"], required_approvals: 1 } };
+const oncall = { require_approval_from: "oncall", oncall: { schedule: "platform", provider: "file", user_id: "UON" } };
+
+test("requiredApprovals: rule override, then policy, then 1; high_risk needs two", () => {
+  assert.equal(requiredApprovals(null, {}), 1);
+  assert.equal(requiredApprovals(policy, {}), 1);
+  assert.equal(requiredApprovals({ approvers: { required_approvals: 3 } }, {}), 3);
+  assert.equal(requiredApprovals(policy, { required_approvals: 2 }), 2);
+  assert.equal(requiredApprovals(policy, { high_risk: true }), 2);
+  assert.equal(requiredApprovals(policy, { high_risk: true, required_approvals: 3 }), 3);
+});
+
+test("on-call rules keep the approval count and require the on-call", () => {
+  assert.equal(requiredApprovals(policy, oncall), 1);
+  assert.equal(requiredApprovals(policy, { ...oncall, high_risk: true }), 2);
+  assert.equal(requiredApprovals(policy, { ...oncall, required_approvals: 3 }), 3);
+  assert.equal(requiredApprover(oncall), "UON");
+  assert.equal(requiredApprover({}), null);
+  // A failed lookup falls back to the policy's approvers
+  assert.equal(requiredApprover({ ...oncall, oncall: { schedule: "platform", user_id: null, error: "x" } }), null);
+});
+
+test("effectiveApprovers adds the on-call to the policy's approvers", () => {
+  assert.deepEqual(effectiveApprovers(policy, oncall), { users: ["U1", "UON"], channels: ["#ops"], required_approvals: 1 });
+  assert.deepEqual(effectiveApprovers({ approvers: { channels: ["#ops"] } }, oncall), { channels: ["#ops"], users: ["UON"] });
+  assert.equal(effectiveApprovers(policy, {}), policy.approvers);
+  // Without policy approvers anyone may approve; the on-call is still required to execute
+  assert.equal(effectiveApprovers({}, oncall), null);
+});
+
+test("approvalStatusText says when the on-call still has to approve", () => {
+  const request = (approvals, required_approvals, required_approver = "UON") =>
+    ({ state: "partially_approved", approvals: approvals.map((user_id) => ({ user_id })), required_approvals, required_approver });
+
+  assert.match(approvalStatusText(request(["U1"], 1)), /Approvals 1\/1: ✅ <@U1> · waiting for <@UON> \(on call\)$/);
+  assert.match(approvalStatusText(request(["U1"], 3)), /waiting for 2 more approver\(s\), including <@UON> \(on call\)/);
+  assert.match(approvalStatusText(request(["UON"], 2), { highRisk: true }), /^🔐 .*waiting for 1 more approver\(s\) \(must be a different person\)$/);
+  assert.doesNotMatch(approvalStatusText(request(["U1"], 2, null)), /on call/);
+});
@@ -0,0 +1,107 @@
+/**
+ * Policy regression harness: every policy's sample_texts go through processIncomingMessage with
+ * Ollama and Postgres stubbed out (policy patterns only, no RAG), and the matched alert_type,
+ * parsed fields, decision, summary and action are compared with test/__snapshots__/policySamples.json.
+ *
+ * After an intended policy change, review the diff and refresh the snapshot:
+ *   UPDATE_SNAPSHOTS=1 npm test
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { parseAlert, getPolicies } from "../src/parser/parserEngine.js";
+import { processIncomingMessage } from "../src/orchestrator.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SNAPSHOT_PATH = join(__dirname, "__snapshots__", "policySamples.json");
+const updateSnapshots = process.env.UPDATE_SNAPSHOTS === "1" || process.env.UPDATE_SNAPSHOTS === "true";
+
+// Anything that still reaches the network (Ollama, GitHub, ...) is a bug in the stubbing
+globalThis.fetch = async (url) => {
+  throw new Error(`Unexpected network call in policy tests: ${url}`);
+};
+
+const deps = {
+  parse: (text) => parseAlert(text, { useLLM: false }),
+  retrieve: async () => [],
+  chat: async () => null,
+  freezes: async () => [],
+};
+
+async function runSample(policy, text) {
+  const result = await processIncomingMessage(
+    {
+      text,
+      channel_id: "CTESTCHANNEL",
+      // Pretend every sample is posted where its policy is allowed to trigger
+      getChannelName: async () => (policy.trigger_channel_only || "").replace(/^#/, ""),
+    },
+    deps
+  );
+  // Policy-only results are returned flat; combined ones nest the policy part in policy_result
+  const policyResult = result.source === "policy_engine" ? result : result.policy_result;
+  const report = policyResult?.data ?? null;
+  // JSON round-trip drops undefined values so the result compares equal to the stored snapshot
+  return JSON.parse(JSON.stringify({
+    text,
+    alert_type: report?.parsed?.alert_type ?? null,
+    parsed: report?.parsed ?? null,
+    decision: report?.decision ?? null,
+    summary: policyResult?.text ?? null,
+    action: report?.action ?? null,
+  }));
+}
+
+async function buildSnapshot() {
+  const snapshot = {};
+  for (const policy of getPolicies()) {
+    if (!policy.sample_texts?.length) continue;
+    snapshot[policy.alert_type] = [];
+    for (const text of policy.sample_texts) {
+      snapshot[policy.alert_type].push(await runSample(policy, text));
+    }
+  }
+  return snapshot;
+}
+
+const actual = await buildSnapshot();
+
+if (updateSnapshots || !existsSync(SNAPSHOT_PATH)) {
+  mkdirSync(dirname(SNAPSHOT_PATH), { recursive: true });
+  writeFileSync(SNAPSHOT_PATH, JSON.stringify(actual, null, 2) + "\n");
+  console.log(`[test] Wrote ${SNAPSHOT_PATH}`);
+}
+const expected = JSON.parse(readFileSync(SNAPSHOT_PATH, "utf8"));
+
+for (const [alertType, samples] of Object.entries(actual)) {
+  test(`${alertType} samples match the snapshot`, () => {
+    assert.ok(expected[alertType], `No snapshot for ${alertType}; run UPDATE_SNAPSHOTS=1 npm test`);
+    samples.forEach((sample, i) => {
+      const stored = expected[alertType].find((s) => s.text === sample.text);
+      assert.ok(stored, `No snapshot for ${alertType}.sample_texts[${i}]; run UPDATE_SNAPSHOTS=1 npm test`);
+      assert.equal(
+        sample.alert_type,
+        stored.alert_type,
+        `${alertType}.sample_texts[${i}] is now parsed as ${sample.alert_type ?? "nothing"} (was ${stored.alert_type ?? "nothing"})`
+      );
+      assert.deepEqual(sample, stored, `${alertType}.sample_texts[${i}] changed`);
+    });
+  });
+}
+
+test("pattern-parsed policies still own their samples", () => {
+  for (const policy of getPolicies()) {
+    if (policy.extraction_rules?.parse_method === "llm") continue;
+    (policy.sample_texts || []).forEach((text, i) => {
+      const sample = actual[policy.alert_type][i];
+      assert.equal(sample.alert_type, policy.alert_type, `${policy.alert_type}.sample_texts[${i}] is parsed as ${sample.alert_type ?? "nothing"}`);
+    });
+  }
+});
+
+test("snapshot has no policies that were removed", () => {
+  const stale = Object.keys(expected).filter((alertType) => !actual[alertType]);
+  assert.deepEqual(stale, [], "Stale snapshot entries; run UPDATE_SNAPSHOTS=1 npm test");
+});
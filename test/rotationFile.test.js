@@ -0,0 +1,99 @@
+/**
+ * On-call rotation file: who is on call at a given time, and validation of the file.
+ */
+import fs from "node:fs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parse as parseYaml } from "yaml";
+import { oncallFromRotation, rotationFileErrors } from "../src/oncall/rotationFile.js";
+
+const rotation = {
+  schedules: {
+    weekly: {
+      users: ["U1", "U2", "U3"],
+      start: "2026-01-05T09:00:00Z",
+      overrides: [{ user: "U9", from: "2026-12-24T00:00:00Z", to: "2026-12-27T00:00:00Z" }]
+    },
+    daily: { users: ["UA", "UB"], start: "2026-01-05T00:00:00Z", shift_hours: 24 }
+  }
+};
+const at = (schedule, time) => oncallFromRotation(rotation, schedule, new Date(time));
+
+test("oncallFromRotation follows the rotation from start, weekly by default", () => {
+  assert.equal(at("weekly", "2026-01-05T09:00:00Z"), "U1");
+  assert.equal(at("weekly", "2026-01-12T08:59:59Z"), "U1");
+  assert.equal(at("weekly", "2026-01-12T09:00:00Z"), "U2");
+  assert.equal(at("weekly", "2026-01-19T09:00:00Z"), "U3");
+  assert.equal(at("weekly", "2026-01-26T09:00:00Z"), "U1");
+  assert.equal(at("daily", "2026-01-05T23:59:00Z"), "UA");
+  assert.equal(at("daily", "2026-01-06T00:00:00Z"), "UB");
+  assert.equal(at("daily", "2026-01-07T12:00:00Z"), "UA");
+});
+
+test("oncallFromRotation counts shifts backwards before start", () => {
+  // Shift -1 is the last user, -2 the one before, and so on
+  assert.equal(at("weekly", "2026-01-05T08:59:59Z"), "U3");
+  assert.equal(at("weekly", "2025-12-29T09:00:00Z"), "U3");
+  assert.equal(at("weekly", "2025-12-29T08:59:59Z"), "U2");
+  assert.equal(at("weekly", "2025-12-15T09:00:00Z"), "U1");
+  assert.equal(at("daily", "2026-01-04T12:00:00Z"), "UB");
+  assert.equal(at("daily", "2026-01-03T12:00:00Z"), "UA");
+});
+
+test("oncallFromRotation prefers an override for its [from, to) window", () => {
+  assert.equal(at("weekly", "2026-12-23T23:59:59Z"), "U3");
+  assert.equal(at("weekly", "2026-12-24T00:00:00Z"), "U9");
+  assert.equal(at("weekly", "2026-12-26T23:59:59Z"), "U9");
+  assert.equal(at("weekly", "2026-12-27T00:00:00Z"), "U3");
+  // The rotation carries on underneath the override
+  assert.equal(at("weekly", "2026-12-28T09:00:00Z"), "U1");
+});
+
+test("oncallFromRotation returns null for an unknown schedule", () => {
+  assert.equal(at("nope", "2026-01-05T09:00:00Z"), null);
+  assert.equal(oncallFromRotation({}, "weekly"), null);
+});
+
+test("rotationFileErrors accepts a valid file", () => {
+  assert.deepEqual(rotationFileErrors(rotation), []);
+  assert.deepEqual(rotationFileErrors({ schedules: {} }), []);
+  assert.deepEqual(rotationFileErrors({ schedules: { s: { users: ["U1"], start: "2026-01-05", shift_hours: null } } }), []);
+});
+
+test("rotationFileErrors reports each problem with its path", () => {
+  for (const data of [null, {}, { schedules: [] }, { schedules: "x" }]) {
+    assert.deepEqual(rotationFileErrors(data), ["schedules: must be a map of schedule names"]);
+  }
+  assert.deepEqual(rotationFileErrors({ schedules: { a: null, b: ["U1"] } }), ["schedules.a: must be a map", "schedules.b: must be a map"]);
+  assert.deepEqual(
+    rotationFileErrors({ schedules: { s: { users: [], start: "soon", shift_hours: 0 } } }),
+    ["schedules.s.users: must be a non-empty list of Slack user IDs", "schedules.s.start: must be an ISO time", "schedules.s.shift_hours: must be a positive number"]
+  );
+  assert.deepEqual(rotationFileErrors({ schedules: { s: { users: ["U1", 2], start: 0, shift_hours: -1 } } }), [
+    "schedules.s.users: must be a non-empty list of Slack user IDs",
+    "schedules.s.start: must be an ISO time",
+    "schedules.s.shift_hours: must be a positive number"
+  ]);
+  assert.deepEqual(
+    rotationFileErrors({
+      schedules: {
+        s: {
+          users: ["U1"],
+          start: "2026-01-05T09:00:00Z",
+          overrides: [{ user: "U2", from: "2026-01-01T00:00:00Z", to: "2026-01-02T00:00:00Z" }, { user: "U2", from: "x", to: "2026-01-02" }, { from: "2026-01-01", to: "2026-01-02" }]
+        }
+      }
+    }),
+    ["schedules.s.overrides[1]: needs user, from and to (ISO times)", "schedules.s.overrides[2]: needs user, from and to (ISO times)"]
+  );
+  assert.deepEqual(
+    rotationFileErrors({ schedules: { s: { users: ["U1"], start: "2026-01-05", overrides: { user: "U2" } } } }),
+    ["schedules.s.overrides[0]: needs user, from and to (ISO times)"]
+  );
+});
+
+test("the example rotation file is valid", () => {
+  const data = parseYaml(fs.readFileSync(new URL("../config/oncall.yaml.example", import.meta.url), "utf8"));
+  assert.deepEqual(rotationFileErrors(data), []);
+  assert.equal(oncallFromRotation(data, "default", new Date("2026-12-25T12:00:00Z")), "U0456DEF");
+});